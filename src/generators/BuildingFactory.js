@@ -0,0 +1,439 @@
+import * as THREE from 'three';
+import { mergeGeometryList } from '../utils/MeshUtils.js';
+
+/**
+ * BuildingFactory - Parametrische Gebäude aus Parzelle + Stil
+ * Verantwortlichkeiten:
+ * - 'medieval': Fachwerkhaus mit steinernem Erdgeschoss und vorkragenden Obergeschossen
+ * - 'house': Einfaches verputztes Wohnhaus mit Sattel- oder Walmdach
+ * - 'tower': Runder Turm mit Kegeldach
+ * - Fenster- und Türöffnungen auf allen Fassaden
+ *
+ * Konvention: lokale X-Achse = Parzellenbreite, lokale +Z-Achse zeigt zur Straße.
+ * Geometrien werden pro Material zusammengeführt, damit eine Stadt mit
+ * vielen Häusern nur wenige Draw Calls pro Gebäude benötigt.
+ */
+export class BuildingFactory {
+    constructor(colors) {
+        this.colors = colors;
+        this.materialCache = new Map();
+
+        this.settings = {
+            floorHeight: 2.8,
+            jetty: 0.35,          // Vorkragung pro Obergeschoss (Fachwerk)
+            roofOverhang: 0.3,
+            beamSize: 0.18,
+            windowSize: { width: 0.7, height: 1.0 },
+            windowSpacing: 1.8,
+            doorSize: { width: 1.1, height: 2.0 }
+        };
+
+        this.floorRanges = {
+            medieval: [2, 4],
+            house: [1, 2],
+            tower: [3, 5]
+        };
+    }
+
+    /**
+     * Erzeugt ein Gebäude für eine Parzelle { x, z, width, depth, rotation, id }.
+     * plinthHeight: Höhe des Steinsockels unter y = 0 (Ausgleich am Hang).
+     * Rückgabe ist eine THREE.Group mit Metadaten in userData.
+     */
+    createBuilding(plot, style, random, plinthHeight = 0) {
+        const [minFloors, maxFloors] = this.floorRanges[style] || this.floorRanges.house;
+        const floors = random.int(minFloors, maxFloors);
+
+        const params = {
+            // Kleiner Abstand zur Parzellengrenze für Traufgassen
+            width: plot.width - 0.4,
+            depth: plot.depth - 0.4,
+            floors,
+            wallColor: random.pick(this.colors.buildings),
+            roofColor: random.pick(this.colors.roofs),
+            roofType: style === 'tower' ? 'conical' : (random.chance(0.65) ? 'gabled' : 'hipped'),
+            random
+        };
+
+        let parts;
+        if (style === 'tower') {
+            parts = this.buildTower(params);
+        } else if (style === 'medieval') {
+            parts = this.buildHalfTimbered(params);
+        } else {
+            parts = this.buildHouse(params);
+        }
+
+        if (plinthHeight > 0) {
+            this.addPlinth(parts, plinthHeight);
+        }
+
+        const group = this.assemble(parts, params);
+        group.name = `building-${plot.id}`;
+        group.position.set(plot.x, 0, plot.z);
+        group.rotation.y = plot.rotation;
+        group.userData = {
+            type: 'building',
+            style,
+            floors,
+            height: parts.height,
+            roofType: params.roofType,
+            plotId: plot.id,
+            footprint: {
+                x: plot.x,
+                z: plot.z,
+                width: plot.width,
+                depth: plot.depth,
+                rotation: plot.rotation
+            }
+        };
+
+        return group;
+    }
+
+    // Fachwerkhaus: Steinsockel, vorkragende Fachwerk-Obergeschosse, steiles Dach
+    buildHalfTimbered(params) {
+        const { width, depth, floors } = params;
+        const { floorHeight, jetty } = this.settings;
+        const parts = this.createPartBuckets();
+
+        // Vorkragung so begrenzen, dass das Gebäude nicht zu weit über die Parzelle ragt
+        const maxJetty = Math.min(jetty, 0.8 / Math.max(1, floors - 1));
+
+        for (let floor = 0; floor < floors; floor++) {
+            const floorDepth = depth - 2 * maxJetty * (floors - 1) + 2 * maxJetty * floor;
+            const floorWidth = width;
+            const y = floor * floorHeight;
+
+            const bucket = floor === 0 ? parts.stone : parts.walls;
+            bucket.push(this.box(floorWidth, floorHeight, floorDepth, 0, y + floorHeight / 2, 0));
+
+            if (floor > 0) {
+                this.addTimberFrame(parts.timber, floorWidth, floorDepth, y, floorHeight, params.random);
+                // Geschossbalken als sichtbare Kante der Vorkragung
+                parts.timber.push(this.box(floorWidth + 0.1, 0.22, floorDepth + 0.1, 0, y, 0));
+            }
+
+            this.addWindows(parts.windows, floorWidth, floorDepth, y, floor === 0);
+        }
+
+        const wallHeight = floors * floorHeight;
+        parts.base = { width, depth: depth - 2 * maxJetty * (floors - 1) };
+        this.addDoor(parts.door, width, parts.base.depth);
+        this.addPitchedRoof(parts, width, depth, wallHeight, params.roofType, 1.0);
+
+        parts.height = wallHeight + this.roofHeight(width, depth, 1.0);
+        return parts;
+    }
+
+    // Schlichtes Wohnhaus: verputzte Wände, flacheres Dach
+    buildHouse(params) {
+        const { width, depth, floors } = params;
+        const { floorHeight } = this.settings;
+        const parts = this.createPartBuckets();
+        const wallHeight = floors * floorHeight;
+
+        parts.walls.push(this.box(width, wallHeight, depth, 0, wallHeight / 2, 0));
+
+        // Sockel aus Stein
+        parts.stone.push(this.box(width + 0.1, 0.5, depth + 0.1, 0, 0.25, 0));
+
+        for (let floor = 0; floor < floors; floor++) {
+            this.addWindows(parts.windows, width, depth, floor * floorHeight, floor === 0);
+        }
+
+        parts.base = { width, depth };
+        this.addDoor(parts.door, width, depth);
+        this.addPitchedRoof(parts, width, depth, wallHeight, params.roofType, 0.7);
+
+        parts.height = wallHeight + this.roofHeight(width, depth, 0.7);
+        return parts;
+    }
+
+    // Runder Turm mit Kegeldach und Schießscharten-Fenstern
+    buildTower(params) {
+        const { width, depth, floors } = params;
+        const { floorHeight } = this.settings;
+        const parts = this.createPartBuckets();
+
+        const radius = Math.max(1.2, Math.min(width, depth) / 2 - 0.2);
+        const wallHeight = floors * floorHeight + 1;
+        const segments = 16;
+        parts.base = { radius };
+
+        const wall = new THREE.CylinderGeometry(radius, radius * 1.08, wallHeight, segments);
+        wall.translate(0, wallHeight / 2, 0);
+        parts.stone.push(wall);
+
+        // Gesims unter dem Dach
+        const cornice = new THREE.CylinderGeometry(radius + 0.2, radius + 0.2, 0.3, segments);
+        cornice.translate(0, wallHeight, 0);
+        parts.timber.push(cornice);
+
+        const roofHeight = radius * 2.2;
+        const roof = new THREE.ConeGeometry(radius + 0.45, roofHeight, segments);
+        roof.translate(0, wallHeight + roofHeight / 2, 0);
+        parts.roof.push(roof);
+
+        // Schmale Fenster pro Geschoss, versetzt um den Turm verteilt
+        const slitsPerFloor = Math.max(3, Math.round(radius * 2));
+        for (let floor = 0; floor < floors; floor++) {
+            for (let i = 0; i < slitsPerFloor; i++) {
+                const angle = (i / slitsPerFloor) * Math.PI * 2 + floor * 0.5;
+                if (floor === 0 && Math.abs(angle % (Math.PI * 2)) < 0.4) continue; // Platz für Tür
+
+                const slit = this.box(0.3, 0.9, 0.12, 0, 0, 0);
+                slit.translate(0, 0, radius + 0.01);
+                slit.rotateY(angle);
+                slit.translate(0, floor * floorHeight + 1.6, 0);
+                parts.windows.push(slit);
+            }
+        }
+
+        // Tür zeigt zur Straße (+Z)
+        const { doorSize } = this.settings;
+        parts.door.push(this.box(doorSize.width, doorSize.height, 0.15, 0, doorSize.height / 2, radius + 0.02));
+
+        parts.height = wallHeight + roofHeight;
+        return parts;
+    }
+
+    // Sockel unter der Bodenlinie, passend zur Grundform des Gebäudes
+    addPlinth(parts, height) {
+        const { base } = parts;
+        let plinth;
+
+        if (base.radius) {
+            plinth = new THREE.CylinderGeometry(base.radius * 1.1, base.radius * 1.15, height, 16);
+        } else {
+            plinth = new THREE.BoxGeometry(base.width + 0.1, height, base.depth + 0.1);
+        }
+
+        plinth.translate(0, -height / 2, 0);
+        parts.stone.push(plinth);
+    }
+
+    // Fachwerk: Eckpfosten, Ständer, Riegel und Streben auf allen vier Fassaden
+    addTimberFrame(bucket, width, depth, y, height, random) {
+        const { beamSize } = this.settings;
+        const faces = [
+            { length: width, offset: depth / 2, rotation: 0 },
+            { length: width, offset: depth / 2, rotation: Math.PI },
+            { length: depth, offset: width / 2, rotation: Math.PI / 2 },
+            { length: depth, offset: width / 2, rotation: -Math.PI / 2 }
+        ];
+
+        faces.forEach(face => {
+            const bays = Math.max(2, Math.round(face.length / 1.4));
+            const bayWidth = face.length / bays;
+            const pieces = [];
+
+            // Ständer
+            for (let i = 0; i <= bays; i++) {
+                const x = -face.length / 2 + i * bayWidth;
+                pieces.push(this.box(beamSize, height, beamSize, x, y + height / 2, 0));
+            }
+
+            // Schwelle, Brustriegel und Rähm
+            [0.1, 0.45, 0.95].forEach(level => {
+                pieces.push(this.box(face.length, beamSize, beamSize, 0, y + height * level, 0));
+            });
+
+            // Streben in den äußeren Gefachen (K-Muster / Mann-Figur)
+            const braceLength = Math.hypot(bayWidth, height * 0.45);
+            const braceAngle = Math.atan2(height * 0.45, bayWidth);
+            [0, bays - 1].forEach(bay => {
+                const direction = bay === 0 ? 1 : -1;
+                const brace = this.box(braceLength, beamSize * 0.8, beamSize * 0.8, 0, 0, 0);
+                brace.rotateZ(direction * braceAngle);
+                brace.translate(-face.length / 2 + (bay + 0.5) * bayWidth, y + height * 0.225 + 0.1, 0);
+                pieces.push(brace);
+            });
+
+            // Gelegentlich ein Andreaskreuz in einem mittleren Gefach
+            if (bays > 2 && random.chance(0.5)) {
+                const bay = random.int(1, bays - 2);
+                const diagonal = Math.hypot(bayWidth, height * 0.35);
+                const angle = Math.atan2(height * 0.35, bayWidth);
+                [-1, 1].forEach(direction => {
+                    const cross = this.box(diagonal, beamSize * 0.7, beamSize * 0.7, 0, 0, 0);
+                    cross.rotateZ(direction * angle);
+                    cross.translate(-face.length / 2 + (bay + 0.5) * bayWidth, y + height * 0.275, 0);
+                    pieces.push(cross);
+                });
+            }
+
+            pieces.forEach(piece => {
+                piece.translate(0, 0, face.offset + 0.03);
+                piece.rotateY(face.rotation);
+                bucket.push(piece);
+            });
+        });
+    }
+
+    addWindows(bucket, width, depth, y, isGroundFloor) {
+        const { windowSize, windowSpacing, doorSize } = this.settings;
+        const sillHeight = y + (isGroundFloor ? 1.1 : 0.9);
+        const faces = [
+            { length: width, offset: depth / 2, rotation: 0, front: true },
+            { length: width, offset: depth / 2, rotation: Math.PI },
+            { length: depth, offset: width / 2, rotation: Math.PI / 2 },
+            { length: depth, offset: width / 2, rotation: -Math.PI / 2 }
+        ];
+
+        faces.forEach(face => {
+            const count = Math.floor((face.length - 0.6) / windowSpacing);
+            if (count < 1) return;
+
+            const spacing = face.length / count;
+            for (let i = 0; i < count; i++) {
+                const x = -face.length / 2 + (i + 0.5) * spacing;
+
+                // Im Erdgeschoss der Straßenseite bleibt die Mitte für die Tür frei
+                if (face.front && isGroundFloor && Math.abs(x) < doorSize.width) continue;
+
+                const pane = this.box(windowSize.width, windowSize.height, 0.1, x, sillHeight + windowSize.height / 2, 0);
+                pane.translate(0, 0, face.offset + 0.02);
+                pane.rotateY(face.rotation);
+                bucket.push(pane);
+            }
+        });
+    }
+
+    addDoor(bucket, width, depth) {
+        const { doorSize } = this.settings;
+        bucket.push(this.box(doorSize.width, doorSize.height, 0.12, 0, doorSize.height / 2, depth / 2 + 0.03));
+    }
+
+    roofHeight(width, depth, steepness) {
+        return Math.min(width, depth) * 0.5 * steepness + 0.6;
+    }
+
+    /**
+     * Satteldach (First entlang der längeren Seite) oder Walmdach.
+     * Giebeldreiecke landen in der Wand-Gruppe, Dachflächen in der Dach-Gruppe.
+     */
+    addPitchedRoof(parts, width, depth, baseY, roofType, steepness) {
+        const overhang = this.settings.roofOverhang;
+        const ridgeAlongX = width >= depth;
+        const length = (ridgeAlongX ? width : depth) + overhang * 2;
+        const span = (ridgeAlongX ? depth : width) + overhang * 2;
+        const height = this.roofHeight(width, depth, steepness);
+        const hipInset = roofType === 'hipped' ? Math.min(span / 2, length / 2 - 0.2) : 0;
+
+        const halfL = length / 2;
+        const halfS = span / 2;
+        const ridgeStart = -halfL + hipInset;
+        const ridgeEnd = halfL - hipInset;
+
+        // Eckpunkte im lokalen Dach-System (First entlang X)
+        const eaveA = [[-halfL, 0, -halfS], [halfL, 0, -halfS]];
+        const eaveB = [[halfL, 0, halfS], [-halfL, 0, halfS]];
+        const ridge = [[ridgeStart, height, 0], [ridgeEnd, height, 0]];
+
+        const roofFaces = [
+            [eaveA[0], eaveA[1], ridge[1], ridge[0]],
+            [eaveB[0], eaveB[1], ridge[0], ridge[1]]
+        ];
+        const endFaces = [
+            [eaveB[1], eaveA[0], ridge[0]],
+            [eaveA[1], eaveB[0], ridge[1]]
+        ];
+
+        // Dach um den Überstand absenken, damit es bündig auf der Wandkrone aufliegt
+        const drop = height * overhang / halfS;
+        const roof = this.polygonGeometry(roofFaces.concat(roofType === 'hipped' ? endFaces : []));
+        const placeRoof = (geometry) => {
+            if (!ridgeAlongX) geometry.rotateY(Math.PI / 2);
+            geometry.translate(0, baseY - drop, 0);
+            return geometry;
+        };
+        parts.roof.push(placeRoof(roof));
+
+        if (roofType !== 'hipped') {
+            // Giebelwände ohne Dachüberstand
+            const gableHalfS = halfS - overhang;
+            const gableX = halfL - overhang;
+            const gables = this.polygonGeometry([
+                [[-gableX, drop, gableHalfS], [-gableX, height - overhang * 0.5, 0], [-gableX, drop, -gableHalfS]],
+                [[gableX, drop, -gableHalfS], [gableX, height - overhang * 0.5, 0], [gableX, drop, gableHalfS]]
+            ]);
+            parts.walls.push(placeRoof(gables));
+        }
+    }
+
+    // Flach schattierte Geometrie aus konvexen Polygonen (Fan-Triangulierung)
+    polygonGeometry(polygons) {
+        const positions = [];
+
+        polygons.forEach(polygon => {
+            for (let i = 1; i < polygon.length - 1; i++) {
+                positions.push(...polygon[0], ...polygon[i], ...polygon[i + 1]);
+            }
+        });
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+        geometry.computeVertexNormals();
+        return geometry;
+    }
+
+    box(width, height, depth, x, y, z) {
+        const geometry = new THREE.BoxGeometry(width, height, depth);
+        geometry.translate(x, y, z);
+        return geometry;
+    }
+
+    createPartBuckets() {
+        return { walls: [], stone: [], timber: [], roof: [], windows: [], door: [], height: 0, base: null };
+    }
+
+    // Teilgeometrien pro Material zusammenführen und als Gruppe zurückgeben
+    assemble(parts, params) {
+        const group = new THREE.Group();
+        const materials = {
+            walls: this.getMaterial('walls', params.wallColor),
+            stone: this.getMaterial('stone', 0x8A8378),
+            timber: this.getMaterial('timber', 0x3B2A1E),
+            roof: this.getMaterial('roof', params.roofColor),
+            windows: this.getMaterial('windows', 0x1C232B),
+            door: this.getMaterial('door', 0x4A3020)
+        };
+
+        Object.entries(materials).forEach(([key, material]) => {
+            const geometries = parts[key];
+            if (!geometries || geometries.length === 0) return;
+
+            const mesh = new THREE.Mesh(mergeGeometryList(geometries), material);
+            mesh.name = key;
+            mesh.castShadow = key !== 'windows' && key !== 'door';
+            mesh.receiveShadow = true;
+            group.add(mesh);
+        });
+
+        return group;
+    }
+
+    getMaterial(kind, color) {
+        // Fenster bekommen je Gebäude ein eigenes Material, alle übrigen Teile teilen sich den Cache
+        const key = `${kind}-${color}`;
+        if (kind !== 'windows' && this.materialCache.has(key)) {
+            return this.materialCache.get(key);
+        }
+
+        const material = new THREE.MeshLambertMaterial({ color });
+        if (kind === 'roof') {
+            material.side = THREE.DoubleSide;
+        }
+
+        if (kind !== 'windows') {
+            this.materialCache.set(key, material);
+        }
+        return material;
+    }
+
+    dispose() {
+        this.materialCache.forEach(material => material.dispose());
+        this.materialCache.clear();
+    }
+}
@@ -0,0 +1,442 @@
+import * as THREE from 'three';
+import {
+    distance,
+    polylineLength,
+    signedPolygonArea,
+    offsetPolygon,
+    resamplePolyline,
+    pointInPolygon,
+    distanceToPolygonEdge
+} from '../utils/GeometryUtils.js';
+import { mergeGeometryList, createRibbonGeometry } from '../utils/MeshUtils.js';
+
+/**
+ * FortificationGenerator - Stadtmauer mit Türmen, Torhäusern und Graben
+ * Verantwortlichkeiten:
+ * - Geschlossenen, leicht unregelmäßigen Mauerring um den Platz legen
+ * - Wehrtürme an Ecken und in regelmäßigen Abständen planen
+ * - Torhäuser dort, wo Hauptstraßen die Stadt verlassen
+ * - Optionaler Wassergraben mit Erddämmen vor den Toren
+ *
+ * traceOutline() und plan() arbeiten rein auf Daten, createMeshes() baut die Geometrie.
+ */
+export class FortificationGenerator {
+    constructor(config = {}) {
+        this.config = {
+            outlineSegments: 22,
+            inset: 0.92,            // Anteil des verfügbaren Radius bis zum Stadtrand
+            irregularity: 0.07,
+            wallHeight: 6,
+            wallThickness: 1.4,
+            towerRadius: 2.2,
+            towerSpacing: 16,
+            cornerAngle: 0.3,       // Mindest-Knickwinkel (rad) für einen Eckturm
+            gateWidth: 4.5,
+            gateHeight: 4.5,
+            moat: { enabled: true, offset: 5.5, width: 5, depth: 2.2 },
+            ...config
+        };
+    }
+
+    // Polygon um den Platz, das innerhalb der Stadtgrenzen bleibt
+    traceOutline(random, bounds, square) {
+        const { outlineSegments, inset, irregularity } = this.config;
+        const radii = [];
+        const angles = [];
+
+        for (let i = 0; i < outlineSegments; i++) {
+            const angle = (i / outlineSegments) * Math.PI * 2 + random.range(-0.08, 0.08);
+            const dir = { x: Math.cos(angle), z: Math.sin(angle) };
+
+            // Verfügbarer Radius bis zum Rand des Stadtgebiets in dieser Richtung
+            const tx = dir.x > 0 ? (bounds.maxX - square.x) / dir.x : (bounds.minX - square.x) / dir.x;
+            const tz = dir.z > 0 ? (bounds.maxZ - square.z) / dir.z : (bounds.minZ - square.z) / dir.z;
+            const maxRadius = Math.min(Math.abs(tx), Math.abs(tz));
+
+            angles.push(angle);
+            radii.push({ value: maxRadius * inset * (1 + random.range(-irregularity, irregularity)), maxRadius });
+        }
+
+        // Einmal glätten, damit keine Zacken entstehen
+        const smoothed = radii.map((radius, i) => {
+            const prev = radii[(i - 1 + radii.length) % radii.length].value;
+            const next = radii[(i + 1) % radii.length].value;
+            return Math.min(radius.maxRadius, (prev + radius.value * 2 + next) / 4);
+        });
+
+        return angles.map((angle, i) => ({
+            x: square.x + Math.cos(angle) * smoothed[i],
+            z: square.z + Math.sin(angle) * smoothed[i]
+        }));
+    }
+
+    /**
+     * Plant Türme, Tore und Graben für einen Mauerring.
+     * gates: Tore aus dem Straßennetz ({ x, z, angle, edgeIndex }).
+     */
+    plan(outline, gates) {
+        const { moat, gateWidth } = this.config;
+
+        const fortGates = gates
+            .filter(gate => gate.edgeIndex !== null && gate.edgeIndex !== undefined)
+            .map(gate => {
+                const a = outline[gate.edgeIndex];
+                const b = outline[(gate.edgeIndex + 1) % outline.length];
+                return {
+                    id: gate.id,
+                    x: gate.x,
+                    z: gate.z,
+                    angle: gate.angle,
+                    wallAngle: Math.atan2(b.z - a.z, b.x - a.x),
+                    width: gateWidth
+                };
+            });
+
+        return {
+            outline,
+            orientation: signedPolygonArea(outline) > 0 ? 1 : -1,
+            length: polylineLength([...outline, outline[0]]),
+            towers: this.planTowers(outline, fortGates),
+            gates: fortGates,
+            moat: moat.enabled ? { ...moat, outline: offsetPolygon(outline, moat.offset) } : null
+        };
+    }
+
+    planTowers(outline, gates) {
+        const { towerSpacing, cornerAngle, towerRadius, gateWidth } = this.config;
+        const candidates = [];
+
+        outline.forEach((point, i) => {
+            const prev = outline[(i - 1 + outline.length) % outline.length];
+            const next = outline[(i + 1) % outline.length];
+            const inAngle = Math.atan2(point.z - prev.z, point.x - prev.x);
+            const outAngle = Math.atan2(next.z - point.z, next.x - point.x);
+            let turn = Math.abs(outAngle - inAngle);
+            if (turn > Math.PI) turn = Math.PI * 2 - turn;
+
+            if (turn >= cornerAngle) {
+                candidates.push({ x: point.x, z: point.z, corner: true });
+            }
+        });
+
+        // Zwischentürme gleichmäßig entlang des Rings
+        const ring = [...outline, outline[0]];
+        const perimeter = polylineLength(ring);
+        const count = Math.max(4, Math.round(perimeter / towerSpacing));
+        const spacing = perimeter / count;
+        let travelled = 0;
+        let nextTower = 0;
+
+        for (let i = 0; i < ring.length - 1; i++) {
+            const a = ring[i];
+            const b = ring[i + 1];
+            const length = distance(a, b);
+            while (nextTower <= travelled + length) {
+                const t = (nextTower - travelled) / length;
+                candidates.push({ x: a.x + (b.x - a.x) * t, z: a.z + (b.z - a.z) * t, corner: false });
+                nextTower += spacing;
+            }
+            travelled += length;
+        }
+
+        // Ecktürme haben Vorrang, zu nahe Türme und Türme im Torbereich entfallen
+        const towers = [];
+        const clearance = gateWidth / 2 + towerRadius + 2.5;
+        [...candidates.filter(c => c.corner), ...candidates.filter(c => !c.corner)].forEach(candidate => {
+            if (gates.some(gate => distance(gate, candidate) < clearance)) return;
+            if (towers.some(tower => distance(tower, candidate) < spacing * 0.45)) return;
+            towers.push({ id: towers.length, x: candidate.x, z: candidate.z, radius: towerRadius, corner: candidate.corner });
+        });
+
+        return towers;
+    }
+
+    /**
+     * Baut die Meshes. heightAt(x, z) liefert die Geländehöhe.
+     * Rückgabe: Array von Object3D zum Hinzufügen in die Szene.
+     */
+    createMeshes(fortifications, heightAt, colors) {
+        const parts = { stone: [], roof: [], timber: [] };
+
+        this.addWall(parts, fortifications, heightAt);
+        fortifications.towers.forEach(tower => this.addTower(parts, tower, heightAt));
+        fortifications.gates.forEach(gate => this.addGatehouse(parts, gate, heightAt));
+
+        const materials = {
+            stone: new THREE.MeshLambertMaterial({ color: colors.wall }),
+            roof: new THREE.MeshLambertMaterial({ color: colors.roof, side: THREE.DoubleSide }),
+            timber: new THREE.MeshLambertMaterial({ color: colors.timber })
+        };
+
+        const group = new THREE.Group();
+        group.name = 'city-wall';
+        group.userData = { type: 'fortification' };
+
+        Object.entries(materials).forEach(([key, material]) => {
+            if (parts[key].length === 0) return;
+            const mesh = new THREE.Mesh(mergeGeometryList(parts[key]), material);
+            mesh.name = `city-wall-${key}`;
+            mesh.castShadow = true;
+            mesh.receiveShadow = true;
+            group.add(mesh);
+        });
+
+        const objects = [group];
+        const water = this.createMoatWater(fortifications, heightAt, colors.water);
+        if (water) objects.push(water);
+
+        return objects;
+    }
+
+    // Mauerstücke von höchstens 3 m, die dem Gelände folgen; Torbereiche bleiben offen
+    planWallPieces(fortifications, heightAt) {
+        const { wallHeight } = this.config;
+        const ring = [...fortifications.outline, fortifications.outline[0]];
+        const pieceLength = 3;
+        const pieces = [];
+
+        for (let i = 0; i < ring.length - 1; i++) {
+            const a = ring[i];
+            const b = ring[i + 1];
+            const length = distance(a, b);
+            const steps = Math.max(1, Math.ceil(length / pieceLength));
+            const angle = Math.atan2(b.z - a.z, b.x - a.x);
+
+            // Außenseite des Rings (für die Zinnen)
+            const outward = {
+                x: Math.sin(angle) * fortifications.orientation,
+                z: -Math.cos(angle) * fortifications.orientation
+            };
+
+            for (let s = 0; s < steps; s++) {
+                const p0 = { x: a.x + (b.x - a.x) * (s / steps), z: a.z + (b.z - a.z) * (s / steps) };
+                const p1 = { x: a.x + (b.x - a.x) * ((s + 1) / steps), z: a.z + (b.z - a.z) * ((s + 1) / steps) };
+                const mid = { x: (p0.x + p1.x) / 2, z: (p0.z + p1.z) / 2 };
+
+                // Torbereiche bleiben offen, dort steht das Torhaus
+                if (fortifications.gates.some(gate => distance(gate, mid) < gate.width / 2 + 1)) continue;
+
+                const h0 = heightAt(p0.x, p0.z);
+                const h1 = heightAt(p1.x, p1.z);
+                pieces.push({
+                    p0,
+                    p1,
+                    mid,
+                    angle,
+                    outward,
+                    bottom: Math.min(h0, h1) - 0.8,
+                    top: (h0 + h1) / 2 + wallHeight
+                });
+            }
+        }
+        return pieces;
+    }
+
+    addWall(parts, fortifications, heightAt) {
+        const { wallThickness } = this.config;
+
+        this.planWallPieces(fortifications, heightAt).forEach(({ p0, p1, mid, angle, outward, bottom, top }) => {
+            const pieceWidth = distance(p0, p1) + 0.3;
+
+            const piece = new THREE.BoxGeometry(pieceWidth, top - bottom, wallThickness);
+            piece.rotateY(-angle);
+            piece.translate(mid.x, (top + bottom) / 2, mid.z);
+            parts.stone.push(piece);
+
+            // Zinnen auf der Außenkante
+            const merlons = Math.max(1, Math.floor(pieceWidth / 1.2));
+            for (let m = 0; m < merlons; m++) {
+                const t = (m + 0.5) / merlons;
+                const merlon = new THREE.BoxGeometry(0.6, 0.8, 0.35);
+                merlon.rotateY(-angle);
+                merlon.translate(
+                    p0.x + (p1.x - p0.x) * t + outward.x * (wallThickness / 2 - 0.17),
+                    top + 0.4,
+                    p0.z + (p1.z - p0.z) * t + outward.z * (wallThickness / 2 - 0.17)
+                );
+                parts.stone.push(merlon);
+            }
+        });
+    }
+
+    addTower(parts, tower, heightAt) {
+        const { wallHeight } = this.config;
+        const groundHeights = [0, 1, 2, 3].map(k => {
+            const angle = (k / 4) * Math.PI * 2;
+            return heightAt(tower.x + Math.cos(angle) * tower.radius, tower.z + Math.sin(angle) * tower.radius);
+        });
+        const bottom = Math.min(...groundHeights) - 0.8;
+        const top = Math.max(...groundHeights) + wallHeight + 3;
+        tower.baseHeight = bottom;
+        tower.height = top - bottom;
+
+        const body = new THREE.CylinderGeometry(tower.radius, tower.radius * 1.1, top - bottom, 14);
+        body.translate(tower.x, (top + bottom) / 2, tower.z);
+        parts.stone.push(body);
+
+        const ring = new THREE.CylinderGeometry(tower.radius + 0.25, tower.radius + 0.25, 0.4, 14);
+        ring.translate(tower.x, top, tower.z);
+        parts.timber.push(ring);
+
+        const roofHeight = tower.radius * 1.8;
+        const roof = new THREE.ConeGeometry(tower.radius + 0.5, roofHeight, 14);
+        roof.translate(tower.x, top + 0.2 + roofHeight / 2, tower.z);
+        parts.roof.push(roof);
+    }
+
+    // Zwei Flankenbauten mit Torbogen-Sturz und Walmdach quer über der Durchfahrt
+    addGatehouse(parts, gate, heightAt) {
+        const { wallHeight, wallThickness, gateHeight } = this.config;
+        const ground = heightAt(gate.x, gate.z);
+        const blockWidth = 3;
+        const blockDepth = wallThickness + 2.5;
+        const blockHeight = wallHeight + 3;
+        const tangent = { x: Math.cos(gate.wallAngle), z: Math.sin(gate.wallAngle) };
+
+        [-1, 1].forEach(side => {
+            const offset = gate.width / 2 + blockWidth / 2;
+            const block = new THREE.BoxGeometry(blockWidth, blockHeight + 1, blockDepth);
+            block.rotateY(-gate.wallAngle);
+            block.translate(
+                gate.x + tangent.x * offset * side,
+                ground - 1 + (blockHeight + 1) / 2,
+                gate.z + tangent.z * offset * side
+            );
+            parts.stone.push(block);
+        });
+
+        // Sturz über der Durchfahrt
+        const lintelHeight = blockHeight - gateHeight;
+        const lintel = new THREE.BoxGeometry(gate.width + 0.2, lintelHeight, blockDepth);
+        lintel.rotateY(-gate.wallAngle);
+        lintel.translate(gate.x, ground + gateHeight + lintelHeight / 2, gate.z);
+        parts.stone.push(lintel);
+
+        // Fallgitter-Balken als Andeutung des Tors
+        const portcullis = new THREE.BoxGeometry(gate.width, 0.3, 0.3);
+        portcullis.rotateY(-gate.wallAngle);
+        portcullis.translate(gate.x, ground + gateHeight - 0.15, gate.z);
+        parts.timber.push(portcullis);
+
+        // Pyramidendach (4 Segmente) über dem ganzen Torhaus
+        const roofSpan = gate.width + blockWidth * 2;
+        const roof = new THREE.ConeGeometry(roofSpan * 0.72, 3.5, 4);
+        roof.rotateY(Math.PI / 4);
+        roof.scale(1, 1, blockDepth / roofSpan);
+        roof.rotateY(-gate.wallAngle);
+        roof.translate(gate.x, ground + blockHeight + 1.75, gate.z);
+        parts.roof.push(roof);
+
+        gate.height = blockHeight + 3.5;
+        gate.baseHeight = ground;
+    }
+
+    /**
+     * Kollisionskörper für Mauer, Türme und Torhäuser in eine CollisionWorld eintragen.
+     * Unter dem Torsturz bleibt die Durchfahrt frei.
+     */
+    addColliders(world, fortifications, heightAt) {
+        const { wallHeight, wallThickness, gateHeight } = this.config;
+
+        this.planWallPieces(fortifications, heightAt).forEach(({ p0, p1, bottom, top }) => {
+            world.addSegment(p0, p1, wallThickness, bottom, top, 'wall');
+        });
+
+        fortifications.towers.forEach(tower => {
+            const bottom = tower.baseHeight ?? heightAt(tower.x, tower.z) - 0.8;
+            const top = tower.height !== undefined ? bottom + tower.height : bottom + wallHeight + 3.8;
+            world.addCircle(tower.x, tower.z, tower.radius * 1.1, bottom, top, 'tower');
+        });
+
+        fortifications.gates.forEach(gate => {
+            const ground = heightAt(gate.x, gate.z);
+            const blockWidth = 3;
+            const blockDepth = wallThickness + 2.5;
+            const top = ground + wallHeight + 3;
+            const tangent = { x: Math.cos(gate.wallAngle), z: Math.sin(gate.wallAngle) };
+            const offset = gate.width / 2 + blockWidth / 2;
+
+            [-1, 1].forEach(side => {
+                world.addBox({
+                    x: gate.x + tangent.x * offset * side,
+                    z: gate.z + tangent.z * offset * side,
+                    width: blockWidth,
+                    depth: blockDepth,
+                    rotation: -gate.wallAngle
+                }, ground - 1, top, 'gate');
+            });
+            world.addBox({ x: gate.x, z: gate.z, width: gate.width + 0.2, depth: blockDepth, rotation: -gate.wallAngle }, ground + gateHeight, top, 'gate');
+        });
+    }
+
+    // Wasserfläche im Graben, unterbrochen an den Erddämmen vor den Toren
+    createMoatWater(fortifications, heightAt, color) {
+        const { moat, gates } = fortifications;
+        if (!moat) return null;
+
+        const points = resamplePolyline([...moat.outline, moat.outline[0]], 1);
+        const runs = [];
+        let current = [];
+
+        points.forEach(point => {
+            if (this.isOnCauseway(point, fortifications)) {
+                if (current.length > 1) runs.push(current);
+                current = [];
+            } else {
+                current.push(point);
+            }
+        });
+        if (current.length > 1) runs.push(current);
+        if (runs.length === 0) return null;
+
+        // Erster und letzter Lauf hängen zusammen, wenn kein Tor am Startpunkt liegt
+        if (runs.length > 1 && gates.length > 0 && !this.isOnCauseway(points[0], fortifications)) {
+            runs[0] = [...runs.pop(), ...runs[0]];
+        }
+
+        const geometries = runs.map(run => createRibbonGeometry(run, moat.width - 1.2, (x, z) => heightAt(x, z) + 0.9));
+        const material = new THREE.MeshPhongMaterial({
+            color,
+            transparent: true,
+            opacity: 0.85,
+            shininess: 80,
+            side: THREE.DoubleSide
+        });
+
+        const mesh = new THREE.Mesh(mergeGeometryList(geometries), material);
+        mesh.name = 'moat';
+        mesh.receiveShadow = true;
+        mesh.userData = { type: 'water' };
+        return mesh;
+    }
+
+    // Grabentiefe an einer Position – als Höhen-Modifier für den TerrainGenerator
+    getMoatDepthAt(point, fortifications) {
+        const { moat, outline } = fortifications;
+        if (!moat || pointInPolygon(point, outline) || this.isOnCauseway(point, fortifications)) return 0;
+
+        const d = distanceToPolygonEdge(point, outline);
+        const profile = 1 - this.smoothstep(moat.width / 2 - 1, moat.width / 2 + 0.8, Math.abs(d - moat.offset));
+        return moat.depth * profile;
+    }
+
+    smoothstep(edge0, edge1, value) {
+        const t = Math.max(0, Math.min(1, (value - edge0) / (edge1 - edge0)));
+        return t * t * (3 - 2 * t);
+    }
+
+    // Erddamm: Korridor vom Tor nach außen über den Graben
+    isOnCauseway(point, fortifications) {
+        const { moat, gates } = fortifications;
+        if (!moat) return false;
+
+        return gates.some(gate => {
+            const dir = { x: Math.cos(gate.angle), z: Math.sin(gate.angle) };
+            const dx = point.x - gate.x;
+            const dz = point.z - gate.z;
+            const along = dx * dir.x + dz * dir.z;
+            const across = Math.abs(dx * dir.z - dz * dir.x);
+            return along > -1 && along < moat.offset + moat.width && across < gate.width / 2 + 1.5;
+        });
+    }
+}
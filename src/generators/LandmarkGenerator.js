@@ -0,0 +1,299 @@
+import * as THREE from 'three';
+
+/**
+ * LandmarkGenerator - Einzigartige Bauwerke rund um den Marktplatz
+ * Verantwortlichkeiten:
+ * - Platzierung von Kirche, Rathaus und Gildenhäusern am Platzrand,
+ *   jeweils mit der Schauseite (+Z) zum Platz
+ * - Brunnen in der Platzmitte
+ * - Prozedurale Geometrie als Ersatz, solange kein glTF-Modell vorliegt
+ *
+ * Nutzt die BuildingFactory für Dächer, Fenster, Materialien und Fachwerk.
+ */
+export class LandmarkGenerator {
+    constructor(config, buildingFactory) {
+        this.config = config;
+        this.factory = buildingFactory;
+    }
+
+    /**
+     * Sucht für jedes Wahrzeichen einen freien Platz am Rand des Marktplatzes.
+     * isAreaFree(rect, taken) prüft Straßen, Stadtgrenze und bereits platzierte Bauwerke.
+     */
+    plan(random, square, isAreaFree) {
+        const placed = [];
+        const candidateCount = 48;
+
+        // Größte Bauwerke zuerst, damit sie die besten Lagen bekommen
+        const ordered = [...this.config.buildings].sort((a, b) => b.width * b.depth - a.width * a.depth);
+        const startAngle = random.range(0, Math.PI * 2);
+
+        ordered.forEach((definition, index) => {
+            const offset = random.int(0, candidateCount - 1);
+
+            // Erst direkt am Platzrand, dann etwas zurückgesetzt
+            for (let attempt = 0; attempt < candidateCount * 3; attempt++) {
+                const i = attempt % candidateCount;
+                const setback = Math.floor(attempt / candidateCount) * 1.5;
+                const distanceToCenter = square.radius + 0.8 + setback + definition.depth / 2;
+                const angle = startAngle + ((i + offset) / candidateCount) * Math.PI * 2;
+                const rect = {
+                    id: `${definition.kind}-${index}`,
+                    kind: definition.kind,
+                    model: definition.model || null,
+                    x: square.x + Math.cos(angle) * distanceToCenter,
+                    z: square.z + Math.sin(angle) * distanceToCenter,
+                    width: definition.width,
+                    depth: definition.depth,
+                    // Lokale +Z-Achse zeigt zur Platzmitte
+                    rotation: Math.atan2(-Math.cos(angle), -Math.sin(angle))
+                };
+
+                if (isAreaFree(rect, placed)) {
+                    placed.push(rect);
+                    return;
+                }
+            }
+
+            console.warn(`⚠️ Kein Platz für Wahrzeichen: ${definition.kind}`);
+        });
+
+        return placed;
+    }
+
+    createFountainPlan(square) {
+        const { fountain } = this.config;
+        if (!fountain) return null;
+
+        return {
+            id: 'fountain-0',
+            kind: 'fountain',
+            model: fountain.model || null,
+            x: square.x,
+            z: square.z,
+            radius: fountain.radius,
+            width: fountain.radius * 2,
+            depth: fountain.radius * 2,
+            rotation: 0
+        };
+    }
+
+    /**
+     * Baut das prozedurale Ersatzmodell für ein geplantes Wahrzeichen.
+     * plinthHeight gleicht wie bei normalen Gebäuden Hanglagen aus.
+     */
+    createLandmark(landmark, random, plinthHeight = 0) {
+        let group;
+
+        switch (landmark.kind) {
+            case 'church':
+                group = this.createChurch(landmark, random, plinthHeight);
+                break;
+            case 'town-hall':
+                group = this.createTownHall(landmark, random, plinthHeight);
+                break;
+            case 'fountain':
+                group = this.createFountain(landmark, plinthHeight);
+                break;
+            default:
+                // Gildenhaus: besonders stattliches Fachwerkhaus
+                group = this.factory.createBuilding(landmark, 'medieval', random, plinthHeight);
+                break;
+        }
+
+        group.name = `landmark-${landmark.id}`;
+        group.position.set(landmark.x, 0, landmark.z);
+        group.rotation.y = landmark.rotation;
+        group.userData = {
+            ...group.userData,
+            type: landmark.kind === 'fountain' ? 'landmark' : 'building',
+            style: 'landmark',
+            landmark: landmark.kind,
+            landmarkId: landmark.id,
+            model: landmark.model,
+            source: 'procedural',
+            footprint: {
+                x: landmark.x,
+                z: landmark.z,
+                width: landmark.width,
+                depth: landmark.depth,
+                rotation: landmark.rotation
+            }
+        };
+
+        return group;
+    }
+
+    // Kirche: Langhaus mit steilem Satteldach, Apsis, Glockenturm mit Spitzhelm zum Platz
+    createChurch(landmark, random, plinthHeight) {
+        const parts = this.factory.createPartBuckets();
+        const width = landmark.width - 0.4;
+        const depth = landmark.depth - 0.4;
+        const towerSize = Math.min(4.2, width * 0.5);
+        const naveDepth = depth - towerSize;
+        const naveCenterZ = -towerSize / 2;
+        const naveHeight = 9;
+
+        parts.stone.push(this.box(width, naveHeight, naveDepth, 0, naveHeight / 2, naveCenterZ));
+        this.addOffset(parts, temp => {
+            this.factory.addPitchedRoof(temp, width, naveDepth, naveHeight, 'gabled', 1.4);
+        }, naveCenterZ);
+
+        // Spitzbogenfenster an den Langseiten
+        const windowCount = Math.max(2, Math.floor(naveDepth / 3));
+        for (let i = 0; i < windowCount; i++) {
+            const z = naveCenterZ - naveDepth / 2 + (i + 0.5) * (naveDepth / windowCount);
+            [-1, 1].forEach(side => {
+                parts.windows.push(this.box(0.15, 3.4, 0.9, side * (width / 2 + 0.03), 4.6, z));
+            });
+        }
+
+        // Apsis als Halbzylinder an der Rückseite
+        const apseRadius = width * 0.38;
+        const apseZ = naveCenterZ - naveDepth / 2;
+        const apse = new THREE.CylinderGeometry(apseRadius, apseRadius, naveHeight * 0.75, 12, 1, false, Math.PI / 2, Math.PI);
+        apse.translate(0, naveHeight * 0.375, apseZ);
+        parts.stone.push(apse);
+        const apseRoof = new THREE.ConeGeometry(apseRadius + 0.3, 3, 12, 1, false, Math.PI / 2, Math.PI);
+        apseRoof.translate(0, naveHeight * 0.75 + 1.5, apseZ);
+        parts.roof.push(apseRoof);
+
+        // Glockenturm an der Platzseite
+        const towerHeight = 17 + random.range(0, 4);
+        const towerZ = depth / 2 - towerSize / 2;
+        parts.stone.push(this.box(towerSize, towerHeight, towerSize, 0, towerHeight / 2, towerZ));
+
+        // Schallöffnungen der Glockenstube
+        [0, Math.PI / 2, Math.PI, -Math.PI / 2].forEach(angle => {
+            const opening = this.box(1.0, 2.2, 0.12, 0, 0, towerSize / 2 + 0.02);
+            opening.rotateY(angle);
+            opening.translate(0, towerHeight - 2.2, towerZ);
+            parts.windows.push(opening);
+        });
+
+        const spire = new THREE.ConeGeometry(towerSize * 0.75, 9, 4);
+        spire.rotateY(Math.PI / 4);
+        spire.translate(0, towerHeight + 4.5, towerZ);
+        parts.roof.push(spire);
+
+        // Portal im Turm
+        parts.door.push(this.box(1.6, 3.0, 0.15, 0, 1.5, depth / 2 + 0.03));
+
+        parts.base = { width, depth };
+        parts.height = towerHeight + 9;
+        return this.finish(parts, plinthHeight, { wallColor: 0xB8AE9C, roofColor: 0x4F5A5E }, {
+            floors: 1,
+            height: parts.height
+        });
+    }
+
+    // Rathaus: Arkaden im Erdgeschoss, zwei Obergeschosse, Walmdach mit Dachreiter
+    createTownHall(landmark, random, plinthHeight) {
+        const parts = this.factory.createPartBuckets();
+        const width = landmark.width - 0.4;
+        const depth = landmark.depth - 0.4;
+        const { floorHeight } = this.factory.settings;
+        const floors = 3;
+        const groundHeight = floorHeight * 1.2;
+        const wallHeight = groundHeight + (floors - 1) * floorHeight;
+
+        parts.stone.push(this.box(width, groundHeight, depth, 0, groundHeight / 2, 0));
+        parts.walls.push(this.box(width, wallHeight - groundHeight, depth, 0, groundHeight + (wallHeight - groundHeight) / 2, 0));
+        parts.timber.push(this.box(width + 0.2, 0.3, depth + 0.2, 0, groundHeight, 0));
+
+        // Arkadenbögen zum Platz
+        const arches = Math.max(3, Math.floor(width / 2.2));
+        for (let i = 0; i < arches; i++) {
+            const x = -width / 2 + (i + 0.5) * (width / arches);
+            parts.door.push(this.box(width / arches - 0.6, groundHeight - 0.8, 0.15, x, (groundHeight - 0.8) / 2, depth / 2 + 0.03));
+        }
+
+        for (let floor = 1; floor < floors; floor++) {
+            this.factory.addWindows(parts.windows, width, depth, groundHeight + (floor - 1) * floorHeight, false);
+        }
+
+        this.factory.addPitchedRoof(parts, width, depth, wallHeight, 'hipped', 0.9);
+        const roofHeight = this.factory.roofHeight(width, depth, 0.9);
+
+        // Dachreiter mit Uhrtürmchen
+        const turretY = wallHeight + roofHeight - 0.6;
+        parts.timber.push(this.box(1.4, 2.2, 1.4, 0, turretY + 1.1, 0));
+        const turretRoof = new THREE.ConeGeometry(1.1, 2.6, 8);
+        turretRoof.translate(0, turretY + 2.2 + 1.3, 0);
+        parts.roof.push(turretRoof);
+
+        parts.base = { width, depth };
+        parts.height = turretY + 4.8;
+        return this.finish(parts, plinthHeight, {
+            wallColor: random.pick(this.factory.colors.buildings),
+            roofColor: random.pick(this.factory.colors.roofs)
+        }, { floors, height: parts.height });
+    }
+
+    // Brunnen: achteckiges Becken, Säule mit Schale
+    createFountain(landmark, plinthHeight) {
+        const parts = this.factory.createPartBuckets();
+        const { radius } = landmark;
+
+        const basin = new THREE.CylinderGeometry(radius, radius + 0.1, 0.8, 8);
+        basin.translate(0, 0.4, 0);
+        parts.stone.push(basin);
+
+        const column = new THREE.CylinderGeometry(0.22, 0.3, 2.2, 8);
+        column.translate(0, 1.1, 0);
+        parts.stone.push(column);
+
+        const bowl = new THREE.CylinderGeometry(0.75, 0.3, 0.35, 8);
+        bowl.translate(0, 2.1, 0);
+        parts.stone.push(bowl);
+
+        const finial = new THREE.SphereGeometry(0.22, 8, 6);
+        finial.translate(0, 2.55, 0);
+        parts.stone.push(finial);
+
+        parts.base = { radius };
+        parts.height = 2.8;
+        const group = this.finish(parts, plinthHeight, { wallColor: 0x9A9288, roofColor: 0x9A9288 }, {
+            floors: 0,
+            height: parts.height
+        });
+
+        const water = new THREE.Mesh(
+            new THREE.CylinderGeometry(radius - 0.2, radius - 0.2, 0.05, 8),
+            new THREE.MeshPhongMaterial({ color: 0x3A6F8F, transparent: true, opacity: 0.85, shininess: 90 })
+        );
+        water.position.y = 0.65;
+        water.name = 'water';
+        group.add(water);
+
+        return group;
+    }
+
+    // Teile mit Versatz entlang Z erzeugen (z.B. Dach über dem Langhaus)
+    addOffset(parts, build, offsetZ) {
+        const temp = this.factory.createPartBuckets();
+        build(temp);
+
+        Object.keys(temp).forEach(key => {
+            if (!Array.isArray(temp[key])) return;
+            temp[key].forEach(geometry => {
+                geometry.translate(0, 0, offsetZ);
+                parts[key].push(geometry);
+            });
+        });
+    }
+
+    finish(parts, plinthHeight, colors, metadata) {
+        if (plinthHeight > 0) {
+            this.factory.addPlinth(parts, plinthHeight);
+        }
+
+        const group = this.factory.assemble(parts, colors);
+        group.userData = { ...metadata };
+        return group;
+    }
+
+    box(width, height, depth, x, y, z) {
+        return this.factory.box(width, height, depth, x, y, z);
+    }
+}
@@ -0,0 +1,197 @@
+import * as THREE from 'three';
+import {
+    distance,
+    distanceToPolyline,
+    pointInPolygon,
+    rectangleCorners,
+    resamplePolyline
+} from '../utils/GeometryUtils.js';
+import { mergeGeometryList } from '../utils/MeshUtils.js';
+
+/**
+ * StreetLightGenerator - Laternen an den Straßen und Fackeln an den Toren
+ * Verantwortlichkeiten:
+ * - Laternenpfähle entlang der Straßen (wechselnde Seiten) und rund um den Marktplatz
+ * - Fackeln an beiden Seiten jeder Tordurchfahrt
+ * - Pro Lichtquelle ein gestaffelter Einschaltzeitpunkt und eine Flacker-Phase
+ *
+ * plan() arbeitet rein auf Daten, createMeshes() baut Pfähle und Halterungen.
+ * Die Lichter selbst (Punktlichter, Leuchtpunkte) verwaltet der LightingManager.
+ */
+export class StreetLightGenerator {
+    constructor(config = {}) {
+        this.config = {
+            mainSpacing: 12,            // Abstand der Laternen an Hauptstraßen
+            alleySpacing: 18,
+            squareLanterns: 6,
+            minDistance: 7,             // Mindestabstand zwischen zwei Laternen
+            edgeOffset: 0.35,           // Abstand vom Straßenrand
+            lanternHeight: 3.2,
+            torchHeight: 3.4,
+            gateDepth: 3.9,             // Tiefe der Torhaus-Flanken (Mauerstärke + Vorbau)
+            switchRange: [-1, 5],       // Sonnenhöhe (Grad), bei der eingeschaltet wird
+            ...config
+        };
+    }
+
+    /**
+     * Lichtpunkte auf Basis des fertigen Layouts. heightAt liefert die Geländehöhe,
+     * damit die Lichtposition (y) direkt in Weltkoordinaten vorliegt.
+     */
+    plan(random, layout, heightAt) {
+        const lanterns = [];
+        const blocked = [...layout.plots, ...(layout.landmarks || [])].map(rect => rectangleCorners(rect, 0.2));
+        const boundary = layout.boundary || null;
+
+        const isFree = (point) => {
+            if (boundary && !pointInPolygon(point, boundary)) return false;
+            if (blocked.some(corners => pointInPolygon(point, corners))) return false;
+            // Nicht auf eine andere Straße stellen
+            if (layout.roads.some(road => distanceToPolyline(point, road.points) < road.width / 2 + 0.1)) return false;
+            return lanterns.every(lantern => distance(lantern, point) >= this.config.minDistance);
+        };
+
+        this.planSquare(layout.square, isFree, lanterns);
+        layout.roads
+            .filter(road => road.type === 'main')
+            .concat(layout.roads.filter(road => road.type !== 'main'))
+            .forEach(road => this.planRoad(road, isFree, lanterns));
+
+        const torches = this.planTorches(layout.fortifications);
+
+        return [...lanterns, ...torches].map((light, index) => ({
+            ...light,
+            id: index,
+            y: heightAt(light.x, light.z) + (light.kind === 'torch' ? this.config.torchHeight : this.config.lanternHeight),
+            // Gestaffeltes Ein-/Ausschalten und eigener Flacker-Rhythmus
+            switchAltitude: random.range(...this.config.switchRange),
+            phase: random.range(0, Math.PI * 2)
+        }));
+    }
+
+    planSquare(square, isFree, lanterns) {
+        const count = this.config.squareLanterns;
+        for (let i = 0; i < count; i++) {
+            const angle = (i / count) * Math.PI * 2 + Math.PI / count;
+            const point = {
+                x: square.x + Math.cos(angle) * (square.radius + 0.2),
+                z: square.z + Math.sin(angle) * (square.radius + 0.2),
+                kind: 'lantern',
+                rotation: -angle
+            };
+            if (isFree(point)) lanterns.push(point);
+        }
+    }
+
+    planRoad(road, isFree, lanterns) {
+        const spacing = road.type === 'main' ? this.config.mainSpacing : this.config.alleySpacing;
+        const points = resamplePolyline(road.points, 1);
+        const offset = road.width / 2 + this.config.edgeOffset;
+        let travelled = spacing / 2;
+        let side = 1;
+
+        for (let i = 1; i < points.length; i++) {
+            travelled += distance(points[i - 1], points[i]);
+            if (travelled < spacing) continue;
+
+            const dx = points[i].x - points[i - 1].x;
+            const dz = points[i].z - points[i - 1].z;
+            const length = Math.hypot(dx, dz) || 1;
+            const normal = { x: -dz / length, z: dx / length };
+
+            // Erst die gewünschte Seite, sonst die gegenüberliegende versuchen
+            const placed = [side, -side].some(s => {
+                const point = {
+                    x: points[i].x + normal.x * offset * s,
+                    z: points[i].z + normal.z * offset * s,
+                    kind: 'lantern',
+                    rotation: Math.atan2(normal.x * s, normal.z * s)
+                };
+                if (!isFree(point)) return false;
+                lanterns.push(point);
+                return true;
+            });
+
+            if (placed) {
+                travelled = 0;
+                side = -side;
+            }
+        }
+    }
+
+    // Je Tor eine Fackel rechts und links der Durchfahrt, feld- und stadtseitig
+    planTorches(fortifications) {
+        if (!fortifications) return [];
+
+        const torches = [];
+        fortifications.gates.forEach(gate => {
+            const tangent = { x: Math.cos(gate.wallAngle), z: Math.sin(gate.wallAngle) };
+            const normal = { x: -tangent.z, z: tangent.x };
+            const along = gate.width / 2 + 0.35;
+            const across = this.config.gateDepth / 2 + 0.15;
+
+            [-1, 1].forEach(side => {
+                [-1, 1].forEach(face => {
+                    torches.push({
+                        x: gate.x + tangent.x * along * side + normal.x * across * face,
+                        z: gate.z + tangent.z * along * side + normal.z * across * face,
+                        kind: 'torch',
+                        gateId: gate.id,
+                        rotation: Math.atan2(normal.x * face, normal.z * face)
+                    });
+                });
+            });
+        });
+        return torches;
+    }
+
+    // Pfähle und Laternengehäuse bzw. Fackelhalter, zusammengeführt pro Material
+    createMeshes(lights, colors) {
+        const { lanternHeight } = this.config;
+        const iron = [];
+        const wood = [];
+
+        lights.forEach(light => {
+            if (light.kind === 'lantern') {
+                const ground = light.y - lanternHeight;
+
+                const post = new THREE.CylinderGeometry(0.06, 0.08, lanternHeight - 0.25, 6);
+                post.translate(light.x, ground + (lanternHeight - 0.25) / 2, light.z);
+                iron.push(post);
+
+                // Laternengehäuse mit Dach
+                const cage = new THREE.CylinderGeometry(0.16, 0.12, 0.4, 6, 1, true);
+                cage.translate(light.x, light.y, light.z);
+                iron.push(cage);
+
+                const cap = new THREE.ConeGeometry(0.24, 0.22, 6);
+                cap.translate(light.x, light.y + 0.31, light.z);
+                iron.push(cap);
+            } else {
+                // Schräg aus der Wand ragende Fackel
+                const torch = new THREE.CylinderGeometry(0.05, 0.04, 0.7, 5);
+                torch.rotateX(0.5);
+                torch.rotateY(light.rotation);
+                torch.translate(light.x, light.y - 0.3, light.z);
+                wood.push(torch);
+
+                const bracket = new THREE.BoxGeometry(0.08, 0.08, 0.4);
+                bracket.rotateY(light.rotation);
+                bracket.translate(light.x, light.y - 0.5, light.z);
+                iron.push(bracket);
+            }
+        });
+
+        const objects = [];
+        [['street-lights-iron', iron, colors.iron], ['street-lights-wood', wood, colors.wood]].forEach(([name, geometries, color]) => {
+            if (geometries.length === 0) return;
+
+            const mesh = new THREE.Mesh(mergeGeometryList(geometries), new THREE.MeshLambertMaterial({ color }));
+            mesh.name = name;
+            mesh.castShadow = true;
+            mesh.userData = { type: 'street-lights', count: geometries.length };
+            objects.push(mesh);
+        });
+        return objects;
+    }
+}
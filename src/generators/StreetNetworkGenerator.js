@@ -0,0 +1,421 @@
+import {
+    distance,
+    closestPointOnSegment,
+    distanceToPolyline,
+    distanceSegmentToPolygon,
+    polygonsOverlap,
+    rectangleCorners,
+    polylineLength,
+    pointInPolygon,
+    distanceToPolygonEdge,
+    rayPolygonIntersection
+} from '../utils/GeometryUtils.js';
+
+/**
+ * StreetNetworkGenerator - Organisches mittelalterliches Straßennetz
+ * Verantwortlichkeiten:
+ * - Zentraler Platz und Stadttore am Rand des Stadtgebiets
+ * - Hauptstraßen von den Toren zum Platz (leicht geschwungen)
+ * - Gassen, die von Straßen abzweigen und an anderen Straßen enden
+ * - Bauparzellen entlang der Straßen ohne Überschneidungen
+ * - Optionale Begrenzung durch einen Mauerring (Tore liegen auf dem Ring)
+ * - Reservierte Flächen (Wahrzeichen am Platz), die Gassen und Parzellen meiden
+ *
+ * Arbeitet rein auf Daten (XZ-Ebene), die Meshes erzeugt der CityGenerator.
+ */
+export class StreetNetworkGenerator {
+    constructor(config = {}) {
+        this.config = {
+            width: 80,
+            depth: 80,
+            margin: 4,
+            squareRadius: 8,
+            mainRoadCount: 4,
+            mainRoadWidth: 4,
+            alleyWidth: 2.2,
+            alleySpacing: 12,
+            alleyStep: 5,
+            alleyMaxSteps: 7,
+            alleyTurn: 0.2,
+            alleyBranchDepth: 2,
+            maxAlleys: 24,
+            minRoadDistance: 5,
+            boundaryClearance: 3,   // Freiraum hinter der Stadtmauer (Mauergasse)
+            roadExtension: 10,      // Länge der Hauptstraße außerhalb des Tors
+            plot: { minWidth: 4, maxWidth: 8, minDepth: 5, maxDepth: 9, setback: 0.4, gap: 0.3 },
+            maxPlots: 120,
+            ...config
+        };
+    }
+
+    /**
+     * Erzeugt das komplette Layout – identischer Random-Stream ergibt identisches Layout.
+     * Optionale Hooks:
+     * - traceBoundary(bounds, square): geschlossenes Polygon (z.B. Stadtmauer),
+     *   innerhalb dessen Gassen und Parzellen bleiben müssen
+     * - reserveAreas(square, isAreaFree): Rechtecke, die nach den Hauptstraßen
+     *   belegt werden (z.B. Wahrzeichen) und für Gassen und Parzellen tabu sind.
+     *   isAreaFree(rect, taken) prüft Straßen, Grenze und bereits vergebene Rechtecke.
+     */
+    generate(random, { traceBoundary = null, reserveAreas = null } = {}) {
+        this.random = random;
+        this.roads = [];
+        this.nextRoadId = 0;
+        this.reserved = [];
+
+        const bounds = this.createBounds();
+        const square = this.createSquare(bounds);
+        this.boundary = traceBoundary ? traceBoundary(bounds, square) : null;
+        const gates = this.createGates(bounds, square);
+
+        gates.forEach(gate => this.createMainRoad(square, gate));
+
+        if (reserveAreas) {
+            const isAreaFree = (rect, taken = []) => this.isPlotValid(rect, taken, bounds, square);
+            this.reserved = reserveAreas(square, isAreaFree);
+        }
+
+        this.growAlleys(bounds, square);
+
+        const plots = this.carvePlots(bounds, square);
+
+        return { bounds, square, gates, roads: this.roads, plots, boundary: this.boundary, reserved: this.reserved };
+    }
+
+    createBounds() {
+        const { width, depth, margin } = this.config;
+
+        return {
+            minX: -width / 2 + margin,
+            maxX: width / 2 - margin,
+            minZ: -depth / 2 + margin,
+            maxZ: depth / 2 - margin
+        };
+    }
+
+    createSquare(bounds) {
+        // Platz leicht aus der Mitte verschoben, damit nicht jede Stadt symmetrisch wirkt
+        const jitterX = (bounds.maxX - bounds.minX) * 0.05;
+        const jitterZ = (bounds.maxZ - bounds.minZ) * 0.05;
+
+        return {
+            x: this.random.range(-jitterX, jitterX),
+            z: this.random.range(-jitterZ, jitterZ),
+            radius: this.config.squareRadius
+        };
+    }
+
+    createGates(bounds, square) {
+        const { mainRoadCount } = this.config;
+        const offset = this.random.range(0, Math.PI * 2);
+        const gates = [];
+
+        for (let i = 0; i < mainRoadCount; i++) {
+            const jitter = this.random.range(-0.25, 0.25) * (Math.PI / mainRoadCount);
+            const angle = offset + (i / mainRoadCount) * Math.PI * 2 + jitter;
+            const dir = { x: Math.cos(angle), z: Math.sin(angle) };
+
+            // Strahl vom Platz bis zum Rand des Stadtgebiets
+            const tx = dir.x > 0 ? (bounds.maxX - square.x) / dir.x : (bounds.minX - square.x) / dir.x;
+            const tz = dir.z > 0 ? (bounds.maxZ - square.z) / dir.z : (bounds.minZ - square.z) / dir.z;
+            const t = Math.min(Math.abs(tx), Math.abs(tz));
+            let position = { x: square.x + dir.x * t, z: square.z + dir.z * t };
+            let edgeIndex = null;
+
+            // Mit Mauerring: Tor dort, wo der Strahl den Ring schneidet
+            if (this.boundary) {
+                const hit = rayPolygonIntersection(square, dir, this.boundary);
+                if (hit) {
+                    position = { x: hit.x, z: hit.z };
+                    edgeIndex = hit.edgeIndex;
+                }
+            }
+
+            gates.push({ id: i, ...position, angle, edgeIndex });
+        }
+
+        return gates;
+    }
+
+    createMainRoad(square, gate) {
+        const dir = { x: Math.cos(gate.angle), z: Math.sin(gate.angle) };
+        const start = { x: square.x + dir.x * square.radius, z: square.z + dir.z * square.radius };
+        const end = { x: gate.x, z: gate.z };
+
+        // Mittelpunkt-Verschiebung für geschwungenen Verlauf
+        let points = [start, end];
+        let amplitude = distance(start, end) * 0.12;
+
+        for (let iteration = 0; iteration < 3; iteration++) {
+            const refined = [points[0]];
+            for (let i = 0; i < points.length - 1; i++) {
+                const a = points[i];
+                const b = points[i + 1];
+                const length = distance(a, b) || 1;
+                const normal = { x: -(b.z - a.z) / length, z: (b.x - a.x) / length };
+                const offset = this.random.range(-amplitude, amplitude);
+
+                refined.push({
+                    x: (a.x + b.x) / 2 + normal.x * offset,
+                    z: (a.z + b.z) / 2 + normal.z * offset
+                });
+                refined.push(b);
+            }
+            points = refined;
+            amplitude *= 0.5;
+        }
+
+        // Durch das Tor hinaus ins Umland
+        if (this.boundary && this.config.roadExtension > 0) {
+            const angle = gate.angle + this.random.range(-0.15, 0.15);
+            points.push({
+                x: end.x + Math.cos(angle) * this.config.roadExtension,
+                z: end.z + Math.sin(angle) * this.config.roadExtension
+            });
+        }
+
+        return this.addRoad('main', points, this.config.mainRoadWidth, null, gate.id);
+    }
+
+    growAlleys(bounds, square) {
+        const { alleySpacing, alleyBranchDepth, maxAlleys } = this.config;
+        const queue = this.roads.map(road => ({ road, depth: 0 }));
+        let alleyCount = 0;
+
+        while (queue.length > 0 && alleyCount < maxAlleys) {
+            const { road, depth } = queue.shift();
+            if (depth >= alleyBranchDepth) continue;
+
+            // Abzweigpunkte entlang der Straße
+            const branchPoints = this.sampleAlongPolyline(road.points, alleySpacing);
+
+            for (const sample of branchPoints) {
+                for (const side of [-1, 1]) {
+                    if (alleyCount >= maxAlleys) break;
+                    if (!this.random.chance(depth === 0 ? 0.55 : 0.3)) continue;
+
+                    const alley = this.growAlley(bounds, square, road, sample, side);
+                    if (alley) {
+                        alleyCount++;
+                        queue.push({ road: alley, depth: depth + 1 });
+                    }
+                }
+            }
+        }
+    }
+
+    growAlley(bounds, square, parent, sample, side) {
+        const { alleyStep, alleyMaxSteps, alleyTurn, alleyWidth, minRoadDistance } = this.config;
+
+        let heading = Math.atan2(sample.tangent.z, sample.tangent.x) + side * Math.PI / 2;
+        heading += this.random.range(-0.3, 0.3);
+
+        const points = [{ x: sample.x, z: sample.z }];
+        let connected = false;
+
+        for (let step = 0; step < alleyMaxSteps; step++) {
+            heading += this.random.range(-alleyTurn, alleyTurn);
+            const last = points[points.length - 1];
+            const next = {
+                x: last.x + Math.cos(heading) * alleyStep,
+                z: last.z + Math.sin(heading) * alleyStep
+            };
+
+            if (!this.isInsideCity(next, bounds, this.config.boundaryClearance - 1) ||
+                distance(next, square) < square.radius + 1 ||
+                this.crossesReserved(last, next, alleyWidth / 2 + 0.5)) {
+                break;
+            }
+
+            // Trifft die Gasse auf eine andere Straße, wird sie dort angeschlossen
+            const hit = this.findNearbyRoad(next, minRoadDistance, parent, step);
+            if (hit) {
+                points.push({ x: hit.x, z: hit.z });
+                connected = true;
+                break;
+            }
+
+            points.push(next);
+        }
+
+        // Zu kurze Stummel verwerfen, außer sie verbinden zwei Straßen
+        if (points.length < 3 && !connected) return null;
+
+        return this.addRoad('alley', points, alleyWidth, parent.id, null);
+    }
+
+    crossesReserved(a, b, clearance) {
+        return this.reserved.some(rect => distanceSegmentToPolygon(a, b, rectangleCorners(rect)) < clearance);
+    }
+
+    findNearbyRoad(point, maxDistance, parent, step) {
+        let best = null;
+
+        for (const road of this.roads) {
+            // Die Elternstraße erst nach ein paar Schritten berücksichtigen
+            if (road === parent && step < 2) continue;
+
+            for (let i = 0; i < road.points.length - 1; i++) {
+                const closest = closestPointOnSegment(point, road.points[i], road.points[i + 1]);
+                const d = distance(point, closest);
+                if (d < maxDistance && (!best || d < best.distance)) {
+                    best = { x: closest.x, z: closest.z, distance: d, road };
+                }
+            }
+        }
+
+        return best;
+    }
+
+    carvePlots(bounds, square) {
+        const { plot: plotConfig, maxPlots } = this.config;
+        const plots = [];
+
+        // Hauptstraßen zuerst – dort stehen die repräsentativen Häuser
+        const ordered = [
+            ...this.roads.filter(road => road.type === 'main'),
+            ...this.roads.filter(road => road.type !== 'main')
+        ];
+
+        for (const road of ordered) {
+            const length = polylineLength(road.points);
+
+            for (const side of [-1, 1]) {
+                let cursor = this.random.range(0, 1);
+
+                while (cursor + plotConfig.minWidth <= length && plots.length < maxPlots) {
+                    const width = this.random.range(plotConfig.minWidth, plotConfig.maxWidth);
+                    const depth = this.random.range(plotConfig.minDepth, plotConfig.maxDepth);
+                    if (cursor + width > length) break;
+
+                    // Passt die Wunschgröße nicht, eine minimale Parzelle versuchen
+                    const candidates = [
+                        this.createPlot(road, side, cursor, width, depth, plots.length),
+                        this.createPlot(road, side, cursor, plotConfig.minWidth, plotConfig.minDepth, plots.length)
+                    ];
+                    const plot = candidates.find(candidate => this.isPlotValid(candidate, plots, bounds, square));
+
+                    if (plot) {
+                        plots.push(plot);
+                        cursor += plot.width + plotConfig.gap;
+                    } else {
+                        cursor += 1;
+                    }
+                }
+            }
+        }
+
+        return plots;
+    }
+
+    createPlot(road, side, cursor, width, depth, id) {
+        // Sehne über die Parzellenbreite, damit auch Kurven sauber bebaut werden
+        const start = this.pointAtDistance(road.points, cursor);
+        const end = this.pointAtDistance(road.points, cursor + width);
+        const chord = distance(start, end) || 1;
+        const tangent = { x: (end.x - start.x) / chord, z: (end.z - start.z) / chord };
+        const normal = { x: -tangent.z, z: tangent.x };
+        const offset = road.width / 2 + this.config.plot.setback + depth / 2;
+
+        // Lokale +Z-Achse der Parzelle zeigt immer zur Straße
+        return {
+            id,
+            x: (start.x + end.x) / 2 + normal.x * side * offset,
+            z: (start.z + end.z) / 2 + normal.z * side * offset,
+            width,
+            depth,
+            rotation: Math.atan2(-tangent.z, tangent.x) + (side > 0 ? Math.PI : 0),
+            roadId: road.id,
+            roadType: road.type
+        };
+    }
+
+    isPlotValid(plot, plots, bounds, square) {
+        const corners = rectangleCorners(plot);
+
+        const { boundaryClearance } = this.config;
+        if (!corners.every(corner => this.isInsideCity(corner, bounds, boundaryClearance))) return false;
+        if (corners.some(corner => distance(corner, square) < square.radius + 0.5)) return false;
+
+        // Abstand zu allen Straßen
+        for (const road of this.roads) {
+            const clearance = road.width / 2 + 0.2;
+            for (let i = 0; i < road.points.length - 1; i++) {
+                if (distanceSegmentToPolygon(road.points[i], road.points[i + 1], corners) < clearance) {
+                    return false;
+                }
+            }
+        }
+
+        const padded = rectangleCorners(plot, this.config.plot.gap / 2);
+        const others = plots === this.reserved ? plots : [...this.reserved, ...plots];
+        return !others.some(other => polygonsOverlap(padded, rectangleCorners(other, this.config.plot.gap / 2)));
+    }
+
+    sampleAlongPolyline(points, spacing) {
+        const samples = [];
+        let next = spacing * this.random.range(0.5, 1);
+        let travelled = 0;
+
+        for (let i = 0; i < points.length - 1; i++) {
+            const a = points[i];
+            const b = points[i + 1];
+            const length = distance(a, b);
+            const tangent = { x: (b.x - a.x) / length, z: (b.z - a.z) / length };
+
+            while (next <= travelled + length) {
+                const t = next - travelled;
+                samples.push({ x: a.x + tangent.x * t, z: a.z + tangent.z * t, tangent });
+                next += spacing * this.random.range(0.8, 1.2);
+            }
+            travelled += length;
+        }
+
+        return samples;
+    }
+
+    pointAtDistance(points, target) {
+        let travelled = 0;
+
+        for (let i = 0; i < points.length - 1; i++) {
+            const length = distance(points[i], points[i + 1]);
+            if (travelled + length >= target) {
+                const t = length > 0 ? (target - travelled) / length : 0;
+                return {
+                    x: points[i].x + (points[i + 1].x - points[i].x) * t,
+                    z: points[i].z + (points[i + 1].z - points[i].z) * t
+                };
+            }
+            travelled += length;
+        }
+
+        return { ...points[points.length - 1] };
+    }
+
+    // Innerhalb des Stadtgebiets und (falls vorhanden) mit Abstand innerhalb des Mauerrings
+    isInsideCity(point, bounds, clearance = 0) {
+        if (!this.isInsideBounds(point, bounds)) return false;
+        if (!this.boundary) return true;
+
+        return pointInPolygon(point, this.boundary) && distanceToPolygonEdge(point, this.boundary) >= clearance;
+    }
+
+    isInsideBounds(point, bounds) {
+        return point.x >= bounds.minX && point.x <= bounds.maxX &&
+            point.z >= bounds.minZ && point.z <= bounds.maxZ;
+    }
+
+    addRoad(type, points, width, parentId, gateId) {
+        const road = { id: this.nextRoadId++, type, points, width, parentId, gateId };
+        this.roads.push(road);
+        return road;
+    }
+
+    // Abstand eines Punktes zur nächsten Straße (für spätere Platzierungsschritte)
+    static distanceToRoads(point, roads) {
+        return roads.reduce(
+            (min, road) => Math.min(min, distanceToPolyline(point, road.points) - road.width / 2),
+            Infinity
+        );
+    }
+}
@@ -0,0 +1,270 @@
+import * as THREE from 'three';
+import { ValueNoise } from '../utils/ValueNoise.js';
+import { distanceToPolyline } from '../utils/GeometryUtils.js';
+import { createRibbonGeometry } from '../utils/MeshUtils.js';
+
+/**
+ * TerrainGenerator - Geseedetes Heightmap-Terrain
+ * Verantwortlichkeiten:
+ * - Hügellandschaft aus fraktalem Rauschen
+ * - Flussbett mit Talaue außerhalb des Stadtgebiets
+ * - Erhöhter Burgberg mit Plateau
+ * - Abgeflachter Stadtbereich (sanfte Hänge statt Bergland)
+ * - Höhenabfrage getHeightAt(x, z), exakt passend zur Mesh-Triangulierung
+ */
+export class TerrainGenerator {
+    constructor(config = {}) {
+        this.config = {
+            size: 200,
+            resolution: 1,        // Weltmeter pro Gitterzelle
+            hillHeight: 6,
+            noiseScale: 0.018,
+            cityFlatness: 0.3,    // Anteil der Hügelhöhe, der im Stadtgebiet erhalten bleibt
+            cityFalloff: 18,
+            river: { enabled: true, width: 7, valleyWidth: 26, depth: 2.5, distance: 58, meander: 7 },
+            castleHill: { enabled: true, radius: 14, height: 9, distance: 56 },
+            ...config
+        };
+
+        this.segments = Math.round(this.config.size / this.config.resolution);
+        this.step = this.config.size / this.segments;
+        this.heights = null;
+        this.features = null;
+    }
+
+    /**
+     * Berechnet die Heightmap. cityBounds { minX, maxX, minZ, maxZ } wird abgeflacht
+     * und von Fluss und Burgberg freigehalten.
+     * carvers: Funktionen (x, z) => Tiefe, die vom Gelände abgezogen wird (z.B. Stadtgraben).
+     */
+    generate(random, cityBounds, carvers = []) {
+        this.noise = new ValueNoise(random);
+        this.cityBounds = cityBounds;
+        this.carvers = carvers;
+        this.features = this.createFeatures(random);
+
+        const count = this.segments + 1;
+        const half = this.config.size / 2;
+        this.heights = new Float32Array(count * count);
+
+        for (let j = 0; j < count; j++) {
+            for (let i = 0; i < count; i++) {
+                this.heights[j * count + i] = this.sampleHeight(-half + i * this.step, -half + j * this.step);
+            }
+        }
+
+        return { heights: this.heights, segments: this.segments, size: this.config.size, features: this.features };
+    }
+
+    createFeatures(random) {
+        const { river, castleHill, size } = this.config;
+        const sides = [0, 1, 2, 3]; // +X, +Z, -X, -Z
+        const riverSide = random.pick(sides);
+        const features = { river: null, castleHill: null };
+
+        if (river.enabled) {
+            // Fluss verläuft parallel zu einer Stadtseite quer über das ganze Terrain
+            const half = size / 2;
+            const phase = random.range(0, Math.PI * 2);
+            const points = [];
+            for (let t = -half; t <= half; t += 4) {
+                const offset = river.distance + Math.sin(t * 0.05 + phase) * river.meander;
+                points.push(this.sideToWorld(riverSide, t, offset));
+            }
+            features.river = { side: riverSide, points, width: river.width, waterLevel: -river.depth + 0.7 };
+        }
+
+        if (castleHill.enabled) {
+            // Burgberg auf einer anderen Seite als der Fluss
+            const hillSide = random.pick(sides.filter(side => side !== riverSide));
+            const along = random.range(-15, 15);
+            features.castleHill = {
+                side: hillSide,
+                ...this.sideToWorld(hillSide, along, castleHill.distance),
+                radius: castleHill.radius,
+                height: castleHill.height
+            };
+        }
+
+        return features;
+    }
+
+    // Position relativ zu einer Stadtseite: along = entlang der Seite, offset = Abstand zum Zentrum
+    sideToWorld(side, along, offset) {
+        switch (side) {
+            case 0: return { x: offset, z: along };
+            case 1: return { x: along, z: offset };
+            case 2: return { x: -offset, z: along };
+            default: return { x: along, z: -offset };
+        }
+    }
+
+    sampleHeight(x, z) {
+        const { hillHeight, noiseScale, cityFlatness, river, castleHill } = this.config;
+
+        let height = this.noise.fbm(x * noiseScale, z * noiseScale, 4) * hillHeight;
+        height += this.noise.fbm(x * noiseScale * 0.3 + 17.3, z * noiseScale * 0.3 - 4.1, 2) * hillHeight * 0.6;
+
+        // Stadtgebiet abflachen – sanfter Übergang an den Rändern
+        const cityMask = this.getCityMask(x, z);
+        height *= 1 - cityMask * (1 - cityFlatness);
+
+        const hill = this.features.castleHill;
+        if (hill) {
+            const d = Math.hypot(x - hill.x, z - hill.z);
+            const plateau = 1 - this.smoothstep(hill.radius * 0.45, hill.radius, d);
+            height = height * (1 - plateau) + (castleHill.height + height * 0.2) * plateau;
+        }
+
+        const riverFeature = this.features.river;
+        if (riverFeature) {
+            const d = distanceToPolyline({ x, z }, riverFeature.points);
+            const valley = 1 - this.smoothstep(river.width / 2, river.valleyWidth / 2, d);
+            const bed = 1 - this.smoothstep(0, river.width / 2, d);
+            height = height * (1 - valley) + (-river.depth * 0.3) * valley;
+            height -= bed * river.depth * 0.7;
+        }
+
+        this.carvers.forEach(carve => {
+            height -= carve(x, z);
+        });
+
+        return height;
+    }
+
+    getCityMask(x, z) {
+        if (!this.cityBounds) return 0;
+
+        const { minX, maxX, minZ, maxZ } = this.cityBounds;
+        const dx = Math.max(minX - x, 0, x - maxX);
+        const dz = Math.max(minZ - z, 0, z - maxZ);
+        return 1 - this.smoothstep(0, this.config.cityFalloff, Math.hypot(dx, dz));
+    }
+
+    smoothstep(edge0, edge1, value) {
+        const t = Math.max(0, Math.min(1, (value - edge0) / (edge1 - edge0)));
+        return t * t * (3 - 2 * t);
+    }
+
+    // Interpolation auf denselben Dreiecken wie im Mesh – Objekte sitzen exakt auf dem Boden
+    getHeightAt(x, z) {
+        if (!this.heights) return 0;
+
+        const count = this.segments + 1;
+        const half = this.config.size / 2;
+        const fx = Math.max(0, Math.min(this.segments - 1e-6, (x + half) / this.step));
+        const fz = Math.max(0, Math.min(this.segments - 1e-6, (z + half) / this.step));
+        const i = Math.floor(fx);
+        const j = Math.floor(fz);
+        const u = fx - i;
+        const v = fz - j;
+
+        const ha = this.heights[j * count + i];
+        const hb = this.heights[(j + 1) * count + i];
+        const hc = this.heights[j * count + i + 1];
+        const hd = this.heights[(j + 1) * count + i + 1];
+
+        if (u + v <= 1) {
+            return ha + (hc - ha) * u + (hb - ha) * v;
+        }
+        return hd + (hb - hd) * (1 - u) + (hc - hd) * (1 - v);
+    }
+
+    // Oberflächennormale per zentraler Differenz (z.B. für Hangneigung)
+    getNormalAt(x, z) {
+        const e = this.step;
+        const normal = new THREE.Vector3(
+            this.getHeightAt(x - e, z) - this.getHeightAt(x + e, z),
+            2 * e,
+            this.getHeightAt(x, z - e) - this.getHeightAt(x, z + e)
+        );
+        return normal.normalize();
+    }
+
+    createMesh(colors) {
+        const count = this.segments + 1;
+        const half = this.config.size / 2;
+        const positions = new Float32Array(count * count * 3);
+        const indices = [];
+
+        for (let j = 0; j < count; j++) {
+            for (let i = 0; i < count; i++) {
+                const index = j * count + i;
+                positions[index * 3] = -half + i * this.step;
+                positions[index * 3 + 1] = this.heights[index];
+                positions[index * 3 + 2] = -half + j * this.step;
+            }
+        }
+
+        for (let j = 0; j < this.segments; j++) {
+            for (let i = 0; i < this.segments; i++) {
+                const a = j * count + i;
+                const b = (j + 1) * count + i;
+                const c = j * count + i + 1;
+                const d = (j + 1) * count + i + 1;
+                indices.push(a, b, c, c, b, d);
+            }
+        }
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        geometry.setIndex(indices);
+        geometry.computeVertexNormals();
+        geometry.setAttribute('color', new THREE.BufferAttribute(this.createVertexColors(geometry, colors), 3));
+
+        const mesh = new THREE.Mesh(geometry, new THREE.MeshLambertMaterial({ vertexColors: true }));
+        mesh.receiveShadow = true;
+        mesh.name = 'terrain';
+        mesh.userData = { type: 'terrain' };
+        return mesh;
+    }
+
+    // Gras auf flachen Flächen, Erde an Hängen, Kies am Flussufer
+    createVertexColors(geometry, colors) {
+        const normals = geometry.getAttribute('normal');
+        const positions = geometry.getAttribute('position');
+        const result = new Float32Array(positions.count * 3);
+
+        const grass = new THREE.Color(colors.grass);
+        const dirt = new THREE.Color(colors.dirt);
+        const bank = new THREE.Color(colors.riverbank);
+        const color = new THREE.Color();
+        const waterLevel = this.features.river ? this.features.river.waterLevel : -Infinity;
+
+        for (let i = 0; i < positions.count; i++) {
+            const slope = 1 - normals.getY(i);
+            color.copy(grass).lerp(dirt, this.smoothstep(0.05, 0.25, slope));
+
+            const aboveWater = positions.getY(i) - waterLevel;
+            color.lerp(bank, 1 - this.smoothstep(0.2, 1.2, aboveWater));
+
+            result[i * 3] = color.r;
+            result[i * 3 + 1] = color.g;
+            result[i * 3 + 2] = color.b;
+        }
+
+        return result;
+    }
+
+    // Wasseroberfläche als Band entlang des Flusslaufs
+    createRiverMesh(color) {
+        const river = this.features.river;
+        if (!river) return null;
+
+        const geometry = createRibbonGeometry(river.points, river.width + 3, () => river.waterLevel);
+
+        const material = new THREE.MeshPhongMaterial({
+            color,
+            transparent: true,
+            opacity: 0.85,
+            shininess: 80,
+            side: THREE.DoubleSide
+        });
+
+        const mesh = new THREE.Mesh(geometry, material);
+        mesh.receiveShadow = true;
+        mesh.name = 'river';
+        mesh.userData = { type: 'water' };
+        return mesh;
+    }
+}
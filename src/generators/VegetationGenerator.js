@@ -0,0 +1,548 @@
+import * as THREE from 'three';
+import { poissonDiscSample } from '../utils/PoissonDisc.js';
+import { ValueNoise } from '../utils/ValueNoise.js';
+import {
+    distance,
+    distanceToSegment,
+    distanceSegmentToPolygon,
+    distanceToPolyline,
+    distanceToPolygonEdge,
+    pointInPolygon,
+    polygonsOverlap,
+    rectangleCorners,
+    offsetPolygon
+} from '../utils/GeometryUtils.js';
+import { mergeGeometryList } from '../utils/MeshUtils.js';
+
+/**
+ * VegetationGenerator - Bäume, Büsche, Hecken und Gärten
+ * Verantwortlichkeiten:
+ * - Poisson-Disc-Verteilung, die Straßen, Gebäude, Mauer und Wasser meidet
+ * - Lockere Bepflanzung in der Stadt, Haine und Wiesen außerhalb der Mauern
+ * - Hinterhofgärten mit Beeten, Hecken und Obstbäumen in den Blöcken
+ *
+ * plan() arbeitet rein auf Daten, createMeshes() baut instanzierte Meshes
+ * (ein Draw Call pro Pflanzenart und Bauteil).
+ */
+export class VegetationGenerator {
+    constructor(config = {}) {
+        this.config = {
+            treeCount: 20,              // Bäume innerhalb der Mauern
+            citySpacing: 4,
+            outsideSpacing: 3.6,        // Dichter als in der Stadt
+            outsideExtent: 92,          // Halbe Kantenlänge der bepflanzten Fläche
+            groveScale: 0.035,          // Größe der Waldstücke (Rauschfrequenz)
+            groveThreshold: -0.05,
+            coniferShare: 0.3,
+            bushShare: 0.25,
+            buildingClearance: 1.0,
+            gardenChance: 0.6,
+            garden: { minDepth: 2.5, maxDepth: 4.5, hedgeHeight: 0.9, hedgeThickness: 0.45 },
+            ...config
+        };
+    }
+
+    /**
+     * Verteilt die Pflanzen auf Basis des fertigen Layouts
+     * (Straßen, Parzellen, Wahrzeichen, Mauerring und Fluss).
+     */
+    plan(random, layout) {
+        this.obstacles = this.collectObstacles(layout);
+        this.groveNoise = new ValueNoise(random.fork('groves'));
+
+        const gardens = this.planGardens(random.fork('gardens'), layout);
+        this.obstacles.rects.push(...gardens);
+
+        const city = this.planCity(random.fork('city'), layout);
+        const outside = this.planOutside(random.fork('outside'));
+
+        const trees = [...city.trees, ...outside.trees, ...gardens.flatMap(garden => garden.trees)];
+        const bushes = [...city.bushes, ...outside.bushes, ...gardens.flatMap(garden => garden.bushes)];
+        const hedges = gardens.flatMap(garden => garden.hedges);
+
+        return { trees, bushes, hedges, gardens };
+    }
+
+    collectObstacles(layout) {
+        const fortifications = layout.fortifications;
+
+        return {
+            roads: layout.roads,
+            rects: [...layout.plots, ...(layout.landmarks || []).filter(landmark => landmark.kind !== 'fountain')],
+            square: layout.square,
+            wall: fortifications ? fortifications.outline : null,
+            // Außenkante des Grabens – davor liegt freies Schussfeld
+            glacis: fortifications
+                ? offsetPolygon(fortifications.outline, fortifications.moat
+                    ? fortifications.moat.offset + fortifications.moat.width / 2 + 2
+                    : 4)
+                : null,
+            river: layout.terrain ? layout.terrain.river : null,
+            bounds: layout.bounds
+        };
+    }
+
+    // Abstand zu Straßen, Gebäuden und Wasser prüfen
+    isClear(point, clearance) {
+        const { roads, rects, river, square } = this.obstacles;
+
+        if (distance(point, square) < square.radius + clearance) return false;
+
+        for (const road of roads) {
+            const limit = road.width / 2 + clearance;
+            for (let i = 0; i < road.points.length - 1; i++) {
+                if (distanceToSegment(point, road.points[i], road.points[i + 1]) < limit) return false;
+            }
+        }
+
+        for (const rect of rects) {
+            // Grober Vorfilter über den Umkreis des Rechtecks
+            const reach = Math.hypot(rect.width, rect.depth) / 2 + clearance;
+            if (Math.abs(point.x - rect.x) > reach || Math.abs(point.z - rect.z) > reach) continue;
+            if (this.distanceToRect(point, rect) < clearance) return false;
+        }
+
+        if (river && distanceToPolyline(point, river.points) < river.width / 2 + 2) return false;
+
+        return true;
+    }
+
+    // Fläche frei von Straßen, Platz und anderen Rechtecken (Parzellen, Gärten)
+    isRectClear(rect, others) {
+        const corners = rectangleCorners(rect);
+        const { roads, square } = this.obstacles;
+
+        if (corners.some(corner => distance(corner, square) < square.radius + 0.5)) return false;
+
+        for (const road of roads) {
+            for (let i = 0; i < road.points.length - 1; i++) {
+                if (distanceSegmentToPolygon(road.points[i], road.points[i + 1], corners) < road.width / 2 + 0.3) {
+                    return false;
+                }
+            }
+        }
+
+        const padded = rectangleCorners(rect, 0.2);
+        return !others.some(other => polygonsOverlap(padded, rectangleCorners(other, 0.2)));
+    }
+
+    distanceToRect(point, rect) {
+        // In lokale Koordinaten des Rechtecks drehen (Umkehrung von rectangleCorners)
+        const dx = point.x - rect.x;
+        const dz = point.z - rect.z;
+        const cos = Math.cos(rect.rotation);
+        const sin = Math.sin(rect.rotation);
+        const lx = dx * cos - dz * sin;
+        const lz = dx * sin + dz * cos;
+
+        const ox = Math.max(0, Math.abs(lx) - rect.width / 2);
+        const oz = Math.max(0, Math.abs(lz) - rect.depth / 2);
+        return Math.hypot(ox, oz);
+    }
+
+    isInsideWalls(point, clearance) {
+        const { wall, bounds } = this.obstacles;
+        if (!wall) {
+            return point.x > bounds.minX + clearance && point.x < bounds.maxX - clearance &&
+                point.z > bounds.minZ + clearance && point.z < bounds.maxZ - clearance;
+        }
+        return pointInPolygon(point, wall) && distanceToPolygonEdge(point, wall) > clearance;
+    }
+
+    isOutsideGlacis(point) {
+        const { glacis, bounds } = this.obstacles;
+        if (!glacis) {
+            return point.x < bounds.minX - 4 || point.x > bounds.maxX + 4 ||
+                point.z < bounds.minZ - 4 || point.z > bounds.maxZ + 4;
+        }
+        return !pointInPolygon(point, glacis);
+    }
+
+    // Gärten hinter den Häusern, dort wo der Block Platz lässt
+    planGardens(random, layout) {
+        const { gardenChance, garden: settings } = this.config;
+        const gardens = [];
+
+        layout.plots.forEach(plot => {
+            if (!random.chance(gardenChance)) return;
+
+            // Wunschgröße, sonst ein schmaler Streifen
+            const wished = {
+                width: Math.max(2.5, plot.width - random.range(0.4, 1.2)),
+                depth: random.range(settings.minDepth, settings.maxDepth)
+            };
+            const sizes = [wished, { width: Math.max(2.5, plot.width - 1.2), depth: settings.minDepth }];
+
+            for (const size of sizes) {
+                const garden = this.createGardenRect(plot, size.width, size.depth);
+                if (!rectangleCorners(garden).every(corner => this.isInsideWalls(corner, 1.5))) continue;
+                if (!this.isRectClear(garden, [...this.obstacles.rects, ...gardens])) continue;
+
+                this.furnishGarden(garden, random);
+                gardens.push(garden);
+                return;
+            }
+        });
+
+        return gardens;
+    }
+
+    // Rechteck direkt hinter der Parzelle – lokale -Z-Achse zeigt von der Straße weg in den Hof
+    createGardenRect(plot, width, depth) {
+        const offset = plot.depth / 2 + 0.5 + depth / 2;
+        return {
+            id: `garden-${plot.id}`,
+            plotId: plot.id,
+            x: plot.x - Math.sin(plot.rotation) * offset,
+            z: plot.z - Math.cos(plot.rotation) * offset,
+            width,
+            depth,
+            rotation: plot.rotation
+        };
+    }
+
+    // Beete, Hecke an der Rückseite und den Seiten, ein Obstbaum oder Büsche
+    furnishGarden(garden, random) {
+        const { hedgeThickness } = this.config.garden;
+        const toWorld = (lx, lz) => ({
+            x: garden.x + lx * Math.cos(garden.rotation) + lz * Math.sin(garden.rotation),
+            z: garden.z - lx * Math.sin(garden.rotation) + lz * Math.cos(garden.rotation)
+        });
+
+        garden.hedges = [];
+        garden.trees = [];
+        garden.bushes = [];
+
+        const hw = garden.width / 2;
+        const hd = garden.depth / 2;
+        const tint = random.range(0, 1);
+        garden.hedges.push({ ...toWorld(0, -hd + hedgeThickness / 2), length: garden.width, rotation: garden.rotation, tint });
+        [-1, 1].forEach(side => {
+            if (random.chance(0.6)) {
+                garden.hedges.push({
+                    ...toWorld(side * (hw - hedgeThickness / 2), 0),
+                    length: garden.depth - hedgeThickness,
+                    rotation: garden.rotation + Math.PI / 2,
+                    tint
+                });
+            }
+        });
+
+        // Beete in Reihen parallel zum Haus
+        const rows = Math.max(1, Math.floor((garden.depth - 1) / 1.2));
+        garden.beds = [];
+        for (let i = 0; i < rows; i++) {
+            garden.beds.push({
+                ...toWorld(random.range(-0.3, 0.3), -hd + 0.9 + i * 1.2),
+                width: garden.width * random.range(0.45, 0.7),
+                depth: 0.7,
+                rotation: garden.rotation
+            });
+        }
+
+        const corner = toWorld(random.sign() * (hw - 1), -hd + 1.2);
+        if (garden.depth >= 3.2 && garden.width >= 3.5) {
+            garden.trees.push(this.createTree(corner, 'fruit', random, true));
+        } else {
+            garden.bushes.push(this.createBush(corner, random, true));
+        }
+    }
+
+    planCity(random, layout) {
+        const { treeCount, citySpacing, buildingClearance, coniferShare } = this.config;
+        const bounds = layout.bounds;
+        const trees = [];
+        const bushes = [];
+
+        const treePoints = poissonDiscSample(random, bounds, citySpacing, {
+            maxPoints: treeCount,
+            isValid: point => this.isInsideWalls(point, 2.5) && this.isClear(point, buildingClearance)
+        });
+        treePoints.forEach(point => {
+            const kind = random.chance(coniferShare * 0.4) ? 'conifer' : 'deciduous';
+            trees.push(this.createTree(point, kind, random, true));
+        });
+
+        // Büsche füllen Nischen, halten aber Abstand zu Stämmen
+        const bushPoints = poissonDiscSample(random, bounds, citySpacing * 0.6, {
+            maxPoints: Math.round(treeCount * 1.5),
+            isValid: point => this.isInsideWalls(point, 2) &&
+                this.isClear(point, buildingClearance * 0.5) &&
+                trees.every(tree => distance(point, tree) > tree.crownRadius)
+        });
+        bushPoints.forEach(point => bushes.push(this.createBush(point, random, true)));
+
+        return { trees, bushes };
+    }
+
+    // Haine und Einzelbäume auf den Wiesen vor der Stadt
+    planOutside(random) {
+        const { outsideSpacing, outsideExtent, groveScale, groveThreshold, coniferShare, bushShare } = this.config;
+        const bounds = { minX: -outsideExtent, maxX: outsideExtent, minZ: -outsideExtent, maxZ: outsideExtent };
+        const trees = [];
+        const bushes = [];
+
+        const points = poissonDiscSample(random, bounds, outsideSpacing, {
+            attempts: 20,
+            isValid: point => this.isOutsideGlacis(point) && this.isClear(point, 1.5)
+        });
+
+        points.forEach(point => {
+            const grove = this.groveNoise.fbm(point.x * groveScale + 31.7, point.z * groveScale - 12.9, 3);
+
+            if (grove > groveThreshold) {
+                // Nadelbäume eher in den dichten Kernen der Waldstücke
+                const kind = random.chance(coniferShare * (grove > 0.25 ? 2 : 0.6)) ? 'conifer' : 'deciduous';
+                trees.push(this.createTree(point, kind, random, false));
+            } else if (random.chance(bushShare)) {
+                bushes.push(this.createBush(point, random, false));
+            } else if (random.chance(0.06)) {
+                trees.push(this.createTree(point, 'deciduous', random, false));
+            }
+        });
+
+        return { trees, bushes };
+    }
+
+    createTree(point, kind, random, insideWalls) {
+        const sizes = {
+            deciduous: { height: [5, 8.5], crown: [1.8, 2.8] },
+            conifer: { height: [6.5, 11], crown: [1.4, 2.1] },
+            fruit: { height: [3, 4.2], crown: [1.1, 1.6] }
+        };
+        const size = sizes[kind];
+        const height = random.range(size.height[0], size.height[1]);
+        const crownRadius = random.range(size.crown[0], size.crown[1]);
+
+        return {
+            x: point.x,
+            z: point.z,
+            kind,
+            height,
+            crownRadius,
+            trunkRadius: 0.12 + height * 0.018,
+            rotation: random.range(0, Math.PI * 2),
+            tint: random.range(0, 1),
+            insideWalls
+        };
+    }
+
+    createBush(point, random, insideWalls) {
+        return {
+            x: point.x,
+            z: point.z,
+            radius: random.range(0.5, 0.95),
+            rotation: random.range(0, Math.PI * 2),
+            tint: random.range(0, 1),
+            insideWalls
+        };
+    }
+
+    /**
+     * Baut die Meshes. Rückgabe: Liste von Objekten für Szene und getVegetation().
+     * Jedes Mesh trägt in userData die zugehörigen Datensätze (gleiche Reihenfolge wie die Instanzen).
+     */
+    createMeshes(vegetation, heightAt, colors) {
+        const objects = [];
+        const palette = colors.vegetation.map(color => new THREE.Color(color));
+        const trunkMaterial = new THREE.MeshLambertMaterial({ color: colors.trunk });
+
+        ['deciduous', 'conifer', 'fruit'].forEach(kind => {
+            const trees = vegetation.trees.filter(tree => tree.kind === kind);
+            if (trees.length === 0) return;
+
+            const trunkHeight = tree => tree.height * (kind === 'conifer' ? 0.25 : 0.45);
+            const crownMatrix = (tree) => {
+                const y = trunkHeight(tree);
+                const crownHeight = kind === 'conifer' ? tree.height - y : tree.crownRadius * 1.6;
+                return this.composeMatrix(tree, heightAt, y, tree.crownRadius, crownHeight, tree.crownRadius);
+            };
+
+            const trunks = this.createInstances(
+                this.createTrunkGeometry(), trunkMaterial, trees,
+                tree => this.composeMatrix(tree, heightAt, -0.15, tree.trunkRadius, trunkHeight(tree) + 0.35, tree.trunkRadius)
+            );
+            trunks.name = `trees-${kind}-trunks`;
+            trunks.userData = { type: 'vegetation', kind, part: 'trunk', instances: trees };
+
+            const crowns = this.createInstances(
+                kind === 'conifer' ? this.createConiferGeometry() : this.createCrownGeometry(),
+                new THREE.MeshLambertMaterial({ color: 0xffffff, flatShading: true }),
+                trees,
+                crownMatrix
+            );
+            crowns.name = `trees-${kind}-crowns`;
+            crowns.userData = { type: 'vegetation', kind, part: 'crown', instances: trees };
+            this.applyPalette(crowns, trees, palette, kind);
+
+            objects.push(trunks, crowns);
+
+            // Äste stecken in der Laubkrone und werden erst bei kahlen Bäumen sichtbar
+            if (kind !== 'conifer') {
+                const branches = this.createInstances(
+                    this.createBranchGeometry(), trunkMaterial, trees,
+                    tree => this.composeMatrix(tree, heightAt, trunkHeight(tree), tree.crownRadius, tree.crownRadius * 1.3, tree.crownRadius)
+                );
+                branches.name = `trees-${kind}-branches`;
+                branches.userData = { type: 'vegetation', kind, part: 'branches', instances: trees };
+                objects.push(branches);
+            }
+        });
+
+        if (vegetation.bushes.length > 0) {
+            const bushGeometry = new THREE.IcosahedronGeometry(1, 0);
+            bushGeometry.translate(0, 0.55, 0);
+            const bushes = this.createInstances(
+                bushGeometry,
+                new THREE.MeshLambertMaterial({ color: 0xffffff, flatShading: true }),
+                vegetation.bushes,
+                bush => this.composeMatrix(bush, heightAt, -0.1, bush.radius, bush.radius * 0.8, bush.radius)
+            );
+            bushes.name = 'bushes';
+            bushes.userData = { type: 'vegetation', kind: 'bush', part: 'crown', instances: vegetation.bushes };
+            this.applyPalette(bushes, vegetation.bushes, palette, 'bush');
+            objects.push(bushes);
+        }
+
+        if (vegetation.hedges.length > 0) {
+            const { hedgeHeight, hedgeThickness } = this.config.garden;
+            const hedgeGeometry = new THREE.BoxGeometry(1, 1, 1);
+            hedgeGeometry.translate(0, 0.5, 0);
+            const hedges = this.createInstances(
+                hedgeGeometry,
+                new THREE.MeshLambertMaterial({ color: 0xffffff }),
+                vegetation.hedges,
+                hedge => this.composeMatrix(hedge, heightAt, -0.2, hedge.length, hedgeHeight + 0.2, hedgeThickness)
+            );
+            hedges.name = 'hedges';
+            hedges.userData = { type: 'vegetation', kind: 'hedge', part: 'crown', instances: vegetation.hedges };
+            this.applyPalette(hedges, vegetation.hedges, palette, 'hedge');
+            objects.push(hedges);
+        }
+
+        if (vegetation.gardens.length > 0) {
+            objects.push(this.createGardenBeds(vegetation.gardens, heightAt, colors.garden));
+        }
+
+        return objects;
+    }
+
+    createInstances(geometry, material, items, getMatrix) {
+        const mesh = new THREE.InstancedMesh(geometry, material, items.length);
+        items.forEach((item, i) => mesh.setMatrixAt(i, getMatrix(item)));
+        mesh.instanceMatrix.needsUpdate = true;
+        mesh.computeBoundingSphere();
+        mesh.castShadow = true;
+        mesh.receiveShadow = true;
+        return mesh;
+    }
+
+    composeMatrix(item, heightAt, y, scaleX, scaleY, scaleZ) {
+        const position = new THREE.Vector3(item.x, heightAt(item.x, item.z) + y, item.z);
+        const rotation = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 1, 0), item.rotation);
+        return new THREE.Matrix4().compose(position, rotation, new THREE.Vector3(scaleX, scaleY, scaleZ));
+    }
+
+    // Grundfarbe pro Instanz aus der Paletten-Mischung, in userData für spätere Umfärbungen
+    applyPalette(mesh, items, palette, kind) {
+        const color = new THREE.Color();
+        const baseColors = new Float32Array(items.length * 3);
+
+        items.forEach((item, i) => {
+            const scaled = item.tint * (palette.length - 1);
+            const index = Math.min(palette.length - 2, Math.floor(scaled));
+            color.copy(palette[index]).lerp(palette[index + 1], scaled - index);
+
+            if (kind === 'conifer') color.multiplyScalar(0.6);
+            if (kind === 'hedge') color.multiplyScalar(0.75);
+
+            color.toArray(baseColors, i * 3);
+            mesh.setColorAt(i, color);
+        });
+
+        mesh.instanceColor.needsUpdate = true;
+        mesh.userData.baseColors = baseColors;
+    }
+
+    createTrunkGeometry() {
+        const geometry = new THREE.CylinderGeometry(0.7, 1, 1, 6);
+        geometry.translate(0, 0.5, 0);
+        return geometry;
+    }
+
+    // Laubkrone aus drei überlappenden Kugeln, Einheitsgröße
+    createCrownGeometry() {
+        const parts = [
+            [1, 0, 0.55, 0],
+            [0.7, 0.45, 0.35, 0.2],
+            [0.65, -0.35, 0.4, -0.3]
+        ].map(([radius, x, y, z]) => {
+            const sphere = new THREE.IcosahedronGeometry(radius, 1);
+            sphere.translate(x, y, z);
+            return sphere;
+        });
+        return mergeGeometryList(parts);
+    }
+
+    // Fünf schräg nach oben weisende Äste, Einheitsgröße
+    createBranchGeometry() {
+        const parts = [0, 1, 2, 3, 4].map(i => {
+            const branch = new THREE.CylinderGeometry(0.025, 0.06, 1, 4);
+            branch.translate(0, 0.5, 0);
+            branch.rotateZ(0.7 + (i % 2) * 0.25);
+            branch.rotateY((i / 5) * Math.PI * 2);
+            return branch;
+        });
+
+        const leader = new THREE.CylinderGeometry(0.03, 0.07, 1, 4);
+        leader.translate(0, 0.5, 0);
+        parts.push(leader);
+
+        return mergeGeometryList(parts);
+    }
+
+    // Drei gestapelte Kegel, Einheitsgröße (Höhe 1)
+    createConiferGeometry() {
+        const parts = [0, 1, 2].map(i => {
+            const radius = 1 - i * 0.25;
+            const cone = new THREE.ConeGeometry(radius, 0.5, 7);
+            cone.translate(0, 0.25 + i * 0.25, 0);
+            return cone;
+        });
+        return mergeGeometryList(parts);
+    }
+
+    createGardenBeds(gardens, heightAt, colors) {
+        const soil = [];
+        const crops = [];
+
+        gardens.forEach(garden => {
+            garden.beds.forEach(bed => {
+                const y = heightAt(bed.x, bed.z);
+                const box = new THREE.BoxGeometry(bed.width, 0.3, bed.depth);
+                box.rotateY(bed.rotation);
+                box.translate(bed.x, y - 0.05, bed.z);
+                soil.push(box);
+
+                const rows = new THREE.BoxGeometry(bed.width * 0.9, 0.25, bed.depth * 0.4);
+                rows.rotateY(bed.rotation);
+                rows.translate(bed.x, y + 0.15, bed.z);
+                crops.push(rows);
+            });
+        });
+
+        const group = new THREE.Group();
+        group.name = 'gardens';
+        group.userData = { type: 'vegetation', kind: 'garden', instances: gardens };
+
+        [[soil, colors.soil, 'soil'], [crops, colors.crops, 'crops']].forEach(([geometries, color, name]) => {
+            if (geometries.length === 0) return;
+            const mesh = new THREE.Mesh(mergeGeometryList(geometries), new THREE.MeshLambertMaterial({ color }));
+            mesh.name = name;
+            mesh.receiveShadow = true;
+            group.add(mesh);
+        });
+
+        return group;
+    }
+}
@@ -4,6 +4,15 @@ import { LightingManager } from './managers/LightingManager.js';
 import { AssetLoader } from './managers/AssetLoader.js';
 import { CityGenerator } from './managers/CityGenerator.js';
 import { UIController } from './managers/UIController.js';
+import { SeasonManager } from './managers/SeasonManager.js';
+import { SkyManager } from './managers/SkyManager.js';
+import { TimeManager } from './managers/TimeManager.js';
+import { WeatherManager } from './managers/WeatherManager.js';
+import { ShadowManager } from './managers/ShadowManager.js';
+import { TourManager } from './managers/TourManager.js';
+import { BookmarkManager } from './managers/BookmarkManager.js';
+import { InputManager } from './managers/InputManager.js';
+import { TouchManager } from './managers/TouchManager.js';
 
 /**
  * HistoricCityApp - Hauptapplication nach SoC-Prinzipien
@@ -16,10 +25,19 @@ import { UIController } from './managers/UIController.js';
 class HistoricCityApp {
     constructor() {
         // Manager Instanzen
+        this.inputManager = null;
+        this.touchManager = null;
         this.sceneManager = null;
         this.lightingManager = null;
+        this.skyManager = null;
+        this.timeManager = null;
+        this.weatherManager = null;
+        this.shadowManager = null;
+        this.tourManager = null;
+        this.bookmarkManager = null;
         this.assetLoader = null;
         this.cityGenerator = null;
+        this.seasonManager = null;
         this.uiController = null;
         
         // App State
@@ -49,9 +67,22 @@ class HistoricCityApp {
             // 1. Scene Manager - Grundlage für alles
             this.sceneManager = new SceneManager('webgl-canvas');
             
+            // Tastenbelegung für Kamera und UI (umbelegbar, im localStorage gespeichert)
+            this.inputManager = new InputManager(window);
+            this.sceneManager.getCameraManager().setInputManager(this.inputManager);
+            
+            // Joysticks und Gesten – nur auf Touch-Geräten
+            this.touchManager = new TouchManager(this.sceneManager.getCameraManager(), this.sceneManager.canvas);
+            
             // 2. Lighting Manager - Benötigt Scene
             this.lightingManager = new LightingManager(this.sceneManager.getScene());
             
+            // Himmelskuppel folgt Sonne und Mond, liefert die Fog-Farbe
+            this.skyManager = new SkyManager(this.sceneManager.getScene(), this.lightingManager);
+            
+            // Zeitsimulation schaltet die Tageszeit im Animation Loop weiter
+            this.timeManager = new TimeManager(this.lightingManager);
+            
             // 3. Asset Loader - Für 3D-Modelle
             this.assetLoader = new AssetLoader();
             this.setupAssetLoader();
@@ -59,10 +90,56 @@ class HistoricCityApp {
             // 4. City Generator - Erstellt die Stadt
             this.cityGenerator = new CityGenerator(this.sceneManager.getScene());
             
+            // Jahreszeiten verändern Vegetation, Schnee und Licht der generierten Stadt
+            this.seasonManager = new SeasonManager(
+                this.sceneManager.getScene(),
+                this.lightingManager,
+                this.cityGenerator
+            );
+            
+            // Wetter steuert Niederschlag, Fog, Bewölkung und nasse Oberflächen
+            this.weatherManager = new WeatherManager(
+                this.sceneManager.getScene(),
+                this.lightingManager,
+                this.skyManager
+            );
+            
+            // Kaskadierte Schatten folgen der aktiven Kamera
+            this.shadowManager = new ShadowManager(
+                this.sceneManager.getScene(),
+                this.sceneManager.getRenderer(),
+                this.sceneManager.getCameraManager(),
+                this.lightingManager
+            );
+            
+            // Personen-Kamera folgt der Geländehöhe und stößt an Gebäude, Mauern und Bäume
+            this.sceneManager.getCameraManager().setGroundHeightProvider(
+                (x, z) => this.cityGenerator.getHeightAt(x, z)
+            );
+            this.sceneManager.getCameraManager().setCollisionWorld(this.cityGenerator.getCollisionWorld());
+            
+            // Kamerafahrten steuern die Drohne und optional die Tageszeit
+            this.tourManager = new TourManager(
+                this.sceneManager.getCameraManager(),
+                this.lightingManager,
+                this.timeManager
+            );
+            
+            // Gespeicherte Ansichten inkl. Tageszeit und Jahreszeit
+            this.bookmarkManager = new BookmarkManager(
+                this.sceneManager.getCameraManager(),
+                this.lightingManager,
+                this.timeManager
+            );
+            
             // 5. UI Controller - Event Handling
             // UI Controller initialisieren und CameraManager verbinden
         this.uiController = new UIController(this.lightingManager, this.sceneManager);
         this.uiController.setCameraManager(this.sceneManager.getCameraManager());
+            this.uiController.setTimeManager(this.timeManager);
+            this.uiController.setTourManager(this.tourManager);
+            this.uiController.setBookmarkManager(this.bookmarkManager);
+            this.uiController.setInputManager(this.inputManager);
             this.setupUICallbacks();
             
             // 6. Stadt generieren
@@ -105,8 +182,29 @@ class HistoricCityApp {
         
         this.uiController.setOnSeasonChange((season) => {
             console.log(`🍂 Jahreszeit geändert: ${season}`);
-            // Hier könnten saisonale Änderungen in der Stadt implementiert werden
+            this.seasonManager.setSeason(season);
+            this.weatherManager.setSeason(season);
+        });
+        
+        // Lesezeichen mit anderer Jahreszeit: wie eine Auswahl im UI behandeln
+        this.bookmarkManager.setOnSeasonChange((season) => {
+            console.log(`🍂 Jahreszeit aus Lesezeichen: ${season}`);
+            this.seasonManager.setSeason(season);
+            this.weatherManager.setSeason(season);
+            this.uiController.updateSeasonSelect();
+        });
+        
+        this.uiController.setOnWeatherChange((weather) => {
+            console.log(`🌦️ Wetter geändert: ${weather}`);
+            this.weatherManager.setWeather(weather);
+        });
+        this.weatherManager.setOnChange((weather) => this.uiController.updateWeatherSelect(weather));
+        
+        this.uiController.setOnShadowQualityChange((quality) => {
+            console.log(`🌓 Schattenqualität: ${quality}`);
+            this.shadowManager.setQuality(quality);
         });
+        this.uiController.updateShadowSelect(this.shadowManager.getQuality());
         
         this.uiController.setOnCameraReset(() => {
             console.log('📷 Kamera zurückgesetzt');
@@ -120,7 +218,7 @@ class HistoricCityApp {
         this.uiController.showLoadingScreen('Erstelle historische Stadt...');
         
         try {
-            // Optional: Versuche echte 3D-Modelle zu laden
+            // Optional: Asset-Katalog aus public/models/manifest.json
             await this.loadCityAssets();
             
             // Fallback: Prozedurale Stadt generieren
@@ -131,27 +229,33 @@ class HistoricCityApp {
             this.cityGenerator.generateCity();
         }
         
+        await this.applyAssetModels();
+        this.seasonManager.attach();
+        this.weatherManager.attach(this.cityGenerator);
+        this.lightingManager.attachCity(this.cityGenerator);
+        this.shadowManager.attach();
+        
         console.log('🏛️ Stadt erfolgreich generiert');
         this.uiController.hideLoadingScreen();
     }
     
+    // Wahrzeichen und Gebäude durch Katalog-Modelle ersetzen, sofern unter public/models vorhanden
+    async applyAssetModels() {
+        try {
+            await this.cityGenerator.applyAssetModels(this.assetLoader);
+        } catch (error) {
+            console.warn('⚠️ Katalog-Modelle nicht geladen, verwende prozedurale Varianten:', error);
+        }
+    }
+    
     async loadCityAssets() {
         try {
-            // Versuche externe 3D-Modelle zu laden (optional)
-            const cityModels = await this.assetLoader.loadCityAssets();
+            // Manifest beschreibt die Modelle; geladen wird erst, wenn der CityGenerator eines anfragt
+            const cityAssets = await this.assetLoader.loadCityAssets();
+            this.cityGenerator.setAssetCatalog(this.assetLoader.getCatalog());
             
-            if (cityModels && cityModels.length > 0) {
-                console.log(`📦 ${cityModels.length} externe City Assets geladen`);
-                
-                // Füge geladene Modelle zur Szene hinzu
-                cityModels.forEach((model, index) => {
-                    if (model && model.scene) {
-                        const position = this.calculateModelPosition(index, cityModels.length);
-                        model.scene.position.set(position.x, position.y, position.z);
-                        this.sceneManager.add(model.scene);
-                    }
-                });
-                
+            if (cityAssets.length > 0) {
+                console.log(`📦 ${cityAssets.length} City Assets im Katalog`);
                 return true;
             } else {
                 console.log('ℹ️ Keine externen Assets - verwende prozedurale Stadt');
@@ -163,18 +267,6 @@ class HistoricCityApp {
         }
     }
     
-    calculateModelPosition(index, total) {
-        // Berechne Positionen für geladene Modelle
-        const radius = 20;
-        const angle = (index / total) * Math.PI * 2;
-        
-        return {
-            x: Math.cos(angle) * radius,
-            y: 0,
-            z: Math.sin(angle) * radius
-        };
-    }
-    
     startAnimation() {
         this.isRunning = true;
         this.animate();
@@ -191,11 +283,13 @@ class HistoricCityApp {
         
         // Update alle Manager
         const deltaTime = this.sceneManager.update();
-        
-        // Animiere die Test-Box
-        if (this.cityGenerator) {
-            this.cityGenerator.animateTestBox();
-        }
+        const camera = this.sceneManager.getCamera();
+        this.timeManager.update(deltaTime);
+        this.seasonManager.update(deltaTime);
+        this.lightingManager.update(deltaTime, camera);
+        this.weatherManager.update(deltaTime);
+        this.skyManager.update(deltaTime, camera);
+        this.shadowManager.update();
         
         // Render die Szene
         this.sceneManager.render();
@@ -269,6 +363,12 @@ class HistoricCityApp {
             'Objects': scene.children.length,
             'Time': this.lightingManager.getTimeString(),
             'Season': this.lightingManager.getCurrentSeason(),
+            'Sun': `${this.lightingManager.getSunAltitude().toFixed(1)}°`,
+            'Weather': this.weatherManager.getCurrentWeather(),
+            'Shadows': this.shadowManager.getQuality(),
+            'Gamepad': this.sceneManager.getCameraManager().isGamepadConnected() ? 'verbunden' : '–',
+            'Moon': `${Math.round(this.lightingManager.getCelestialState().moonIllumination.fraction * 100)}%`,
+            'Night Lights': `${this.lightingManager.getNightLights().getActiveLightCount()}/${this.lightingManager.getNightLights().getSourceCount()}`,
             
             // Memory Details (falls verfügbar)
             ...(memory && {
@@ -297,20 +397,38 @@ class HistoricCityApp {
         return {
             scene: this.sceneManager,
             lighting: this.lightingManager,
+            sky: this.skyManager,
+            time: this.timeManager,
+            weather: this.weatherManager,
+            shadows: this.shadowManager,
+            tours: this.tourManager,
+            bookmarks: this.bookmarkManager,
+            input: this.inputManager,
+            touch: this.touchManager,
             assets: this.assetLoader,
             city: this.cityGenerator,
+            seasons: this.seasonManager,
             ui: this.uiController
         };
     }
     
-    // Regenerate Stadt
-    regenerateCity() {
+    // Regenerate Stadt (optional mit neuem Seed)
+    regenerateCity(seed) {
         if (this.cityGenerator) {
+            if (seed !== undefined) {
+                this.cityGenerator.setSeed(seed);
+            }
+            
             console.log('🔄 Regeneriere Stadt...');
             this.uiController.showLoadingScreen('Regeneriere Stadt...');
             
-            setTimeout(() => {
+            setTimeout(async () => {
                 this.cityGenerator.generateCity();
+                await this.applyAssetModels();
+                this.seasonManager.attach();
+                this.weatherManager.attach(this.cityGenerator);
+                this.lightingManager.attachCity(this.cityGenerator);
+                this.shadowManager.attach();
                 this.uiController.hideLoadingScreen();
             }, 100);
         }
@@ -340,10 +458,19 @@ class HistoricCityApp {
         
         // Dispose alle Manager in umgekehrter Reihenfolge
         if (this.uiController) this.uiController.dispose();
+        if (this.tourManager) this.tourManager.dispose();
+        if (this.bookmarkManager) this.bookmarkManager.dispose();
+        if (this.seasonManager) this.seasonManager.dispose();
+        if (this.timeManager) this.timeManager.dispose();
+        if (this.weatherManager) this.weatherManager.dispose();
+        if (this.shadowManager) this.shadowManager.dispose();
         if (this.cityGenerator) this.cityGenerator.dispose();
         if (this.assetLoader) this.assetLoader.dispose();
+        if (this.skyManager) this.skyManager.dispose();
         if (this.lightingManager) this.lightingManager.dispose();
+        if (this.touchManager) this.touchManager.dispose();
         if (this.sceneManager) this.sceneManager.dispose();
+        if (this.inputManager) this.inputManager.dispose();
         
         console.log('🧹 App Ressourcen freigegeben');
     }
@@ -369,6 +496,6 @@ document.addEventListener('DOMContentLoaded', () => {
 
 // Development Helper Functions
 if (typeof window !== 'undefined') {
-    window.regenerateCity = () => app?.regenerateCity();
+    window.regenerateCity = (seed) => app?.regenerateCity(seed);
     window.toggleDebug = () => app?.uiController?.showDebugInfo({ Debug: 'Enabled' });
 }
\ No newline at end of file
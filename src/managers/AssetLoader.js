@@ -1,6 +1,7 @@
 import * as THREE from 'three';
 import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
 import { DRACOLoader } from 'three/examples/jsm/loaders/DRACOLoader.js';
+import { AssetCatalog } from '../utils/AssetCatalog.js';
 
 /**
  * AssetLoader - Verwaltet das Laden von 3D-Assets
@@ -11,6 +12,7 @@ import { DRACOLoader } from 'three/examples/jsm/loaders/DRACOLoader.js';
  * - Progress Tracking
  * - Error Handling
  * - Asset Caching
+ * - Asset-Katalog aus public/models/manifest.json (Skalierung, Pivot, LOD-Stufen)
  */
 export class AssetLoader {
     constructor() {
@@ -22,6 +24,12 @@ export class AssetLoader {
         // Asset Cache für Performance
         this.modelCache = new Map();
         this.textureCache = new Map();
+        this.availabilityCache = new Map(); // Pfad → Promise<boolean>, eine HEAD-Anfrage pro Datei
+        
+        // Katalog der verfügbaren Modelle – leer, bis das Manifest geladen ist
+        this.manifestUrl = '/models/manifest.json';
+        this.catalog = new AssetCatalog();
+        this.manifestPromise = null;
         
         // Loading State
         this.isLoading = false;
@@ -94,7 +102,7 @@ export class AssetLoader {
             // Cache Check
             if (this.modelCache.has(path)) {
                 console.log(`Model aus Cache geladen: ${path}`);
-                resolve(this.modelCache.get(path).clone());
+                resolve(this.cloneModel(this.modelCache.get(path)));
                 return;
             }
             
@@ -106,11 +114,11 @@ export class AssetLoader {
                     // Model konfigurieren
                     this.configureModel(gltf, options);
                     
-                    // In Cache speichern
+                    // In Cache speichern – Aufrufer bekommen eine Kopie, das Original bleibt unverändert
                     this.modelCache.set(path, gltf);
                     
                     console.log(`Model geladen: ${path}`);
-                    resolve(gltf);
+                    resolve(this.cloneModel(gltf));
                 },
                 (progress) => {
                     // Wird durch LoadingManager gehandelt
@@ -123,6 +131,36 @@ export class AssetLoader {
         });
     }
     
+    // GLTF-Ergebnis mit eigener Szene (Geometrien und Materialien werden geteilt)
+    cloneModel(gltf) {
+        return { ...gltf, scene: gltf.scene.clone(true) };
+    }
+    
+    // Prüft, ob eine Datei existiert (Vite liefert für unbekannte Pfade index.html aus)
+    async hasAsset(path) {
+        if (!this.availabilityCache.has(path)) {
+            this.availabilityCache.set(path, fetch(path, { method: 'HEAD' })
+                .then(response => {
+                    const type = response.headers.get('content-type') || '';
+                    return response.ok && !type.includes('text/html');
+                })
+                .catch(() => false));
+        }
+        return this.availabilityCache.get(path);
+    }
+    
+    // Optionales Model: null statt Fehler, wenn die Datei fehlt oder nicht lesbar ist
+    async loadOptionalModel(path, options = {}) {
+        if (!(await this.hasAsset(path))) return null;
+        
+        try {
+            return await this.loadModel(path, options);
+        } catch (error) {
+            console.warn(`Optionales Model nicht verwendbar: ${path}`, error);
+            return null;
+        }
+    }
+    
     configureModel(gltf, options = {}) {
         const { 
             castShadow = true, 
@@ -210,55 +248,112 @@ export class AssetLoader {
         return this.isLoading;
     }
     
-    // Vordefinierte Asset-Sets
-    async loadCityAssets() {
-        // TODO: Echte Assets später hinzufügen
-        console.log('ℹ️ Externe City Assets noch nicht verfügbar - verwende prozedurale Generierung');
-        return [];
-        
-        /* Für später, wenn Modelle verfügbar sind:
-        const cityAssets = [
-            '/models/buildings/house_medieval.gltf',
-            '/models/buildings/tower.gltf',
-            '/models/buildings/church.gltf',
-            '/models/environment/tree_oak.gltf',
-            '/models/environment/fountain.gltf'
-        ];
-        
+    /**
+     * Asset-Manifest laden und als Katalog bereitstellen. Fehlt das Manifest oder ist
+     * es ungültig, bleibt der Katalog leer und die Stadt wird prozedural erzeugt.
+     */
+    async loadManifest(url = this.manifestUrl) {
         try {
-            return await this.loadModels(cityAssets);
+            if (!(await this.hasAsset(url))) {
+                console.log(`ℹ️ Kein Asset-Manifest unter ${url} - verwende prozedurale Generierung`);
+                this.catalog = new AssetCatalog();
+                return this.catalog;
+            }
+            
+            const response = await fetch(url);
+            this.catalog = new AssetCatalog(await response.json());
+            console.log(`📦 Asset-Manifest geladen: ${this.catalog.size()} Einträge`);
         } catch (error) {
-            console.warn('Einige City Assets konnten nicht geladen werden:', error);
-            return [];
+            console.warn(`⚠️ Asset-Manifest ${url} nicht verwendbar:`, error.message);
+            this.catalog = new AssetCatalog();
         }
-        */
+        return this.catalog;
     }
     
-    async loadEnvironmentAssets() {
-        // TODO: Echte Assets später hinzufügen
-        console.log('ℹ️ Environment Assets noch nicht verfügbar - verwende prozedurale Generierung');
-        return [];
+    // Manifest nur einmal laden, auch bei mehreren gleichzeitigen Aufrufen
+    ensureManifest() {
+        if (!this.manifestPromise) {
+            this.manifestPromise = this.loadManifest();
+        }
+        return this.manifestPromise;
+    }
+    
+    getCatalog() {
+        return this.catalog;
+    }
+    
+    /**
+     * Modell eines Katalog-Eintrags (Eintrag oder id) laden: scale und pivot angewendet,
+     * mit LOD-Stufen als THREE.LOD. null, wenn die Datei fehlt.
+     */
+    async loadAsset(entryOrId, options = {}) {
+        const entry = typeof entryOrId === 'string' ? this.catalog.get(entryOrId) : entryOrId;
+        if (!entry) return null;
         
-        /* Für später, wenn Modelle verfügbar sind:
-        const envAssets = [
-            '/models/terrain/ground.gltf',
-            '/models/terrain/rocks.gltf',
-            '/models/vegetation/grass.gltf'
-        ];
+        const base = await this.loadOptionalModel(entry.url, options);
+        if (!base) return null;
         
-        try {
-            return await this.loadModels(envAssets);
-        } catch (error) {
-            console.warn('Einige Environment Assets konnten nicht geladen werden:', error);
-            return [];
+        let object = this.prepareAssetModel(base.scene, entry);
+        if (entry.lods.length > 0) {
+            const lod = new THREE.LOD();
+            lod.addLevel(object, 0);
+            
+            // Fehlende Stufen werden übersprungen – dann bleibt die genauere sichtbar
+            for (const level of entry.lods) {
+                const gltf = await this.loadOptionalModel(level.url, options);
+                if (gltf) lod.addLevel(this.prepareAssetModel(gltf.scene, entry), level.distance);
+            }
+            object = lod;
+        }
+        
+        object.name = entry.id;
+        object.userData = { ...object.userData, assetId: entry.id, category: entry.category, tags: [...entry.tags] };
+        return { entry, scene: object, animations: base.animations || [] };
+    }
+    
+    // Skalierung und Pivot eines Katalog-Modells in einer eigenen Gruppe
+    prepareAssetModel(model, entry) {
+        model.scale.multiplyScalar(entry.scale);
+        
+        if (entry.pivot !== 'origin') {
+            const box = new THREE.Box3().setFromObject(model);
+            const center = box.getCenter(new THREE.Vector3());
+            model.position.x -= center.x;
+            model.position.z -= center.z;
+            model.position.y -= entry.pivot === 'bottom-center' ? box.min.y : center.y;
+        }
+        
+        const group = new THREE.Group();
+        group.add(model);
+        return group;
+    }
+    
+    // Katalog-Einträge für die Stadt (Gebäude und Wahrzeichen)
+    async loadCityAssets() {
+        await this.ensureManifest();
+        const cityAssets = this.catalog.query({ category: ['building', 'landmark'] });
+        
+        if (cityAssets.length === 0) {
+            console.log('ℹ️ Keine City Assets im Manifest - verwende prozedurale Generierung');
+        }
+        return cityAssets;
+    }
+    
+    async loadEnvironmentAssets() {
+        await this.ensureManifest();
+        const environmentAssets = this.catalog.query({ category: ['environment', 'vegetation', 'terrain'] });
+        
+        if (environmentAssets.length === 0) {
+            console.log('ℹ️ Keine Environment Assets im Manifest - verwende prozedurale Generierung');
         }
-        */
+        return environmentAssets;
     }
     
     // Cache Management
     clearCache() {
         this.modelCache.clear();
         this.textureCache.clear();
+        this.availabilityCache.clear();
         console.log('Asset Cache geleert');
     }
     
@@ -266,6 +361,7 @@ export class AssetLoader {
         return {
             models: this.modelCache.size,
             textures: this.textureCache.size,
+            catalog: this.catalog.size(),
             totalSize: this.modelCache.size + this.textureCache.size
         };
     }
@@ -0,0 +1,151 @@
+/**
+ * BookmarkManager - Gespeicherte Ansichten für wiederkehrende Rundgänge
+ * Verantwortlichkeiten:
+ * - Kamera-Modus, Position, Blickrichtung, Tageszeit und Jahreszeit unter einem Namen speichern
+ * - Lesezeichen animiert anfliegen (Tageszeit und Jahreszeit werden mit gesetzt)
+ * - Dauerhafte Ablage im localStorage des Browsers
+ *
+ * Lesezeichen-Format:
+ * { name, view: { mode, position, yaw, pitch, target }, time, season }
+ * view entspricht CameraManager.getViewState().
+ */
+export class BookmarkManager {
+    constructor(cameraManager, lightingManager, timeManager = null) {
+        this.cameraManager = cameraManager;
+        this.lightingManager = lightingManager;
+        this.timeManager = timeManager;
+
+        this.config = {
+            storageKey: 'historic-city.bookmarks',
+            maxBookmarks: 50
+        };
+
+        this.bookmarks = this.load();
+
+        this.onChangeCallback = null;
+        this.onSeasonChangeCallback = null;
+    }
+
+    // Gespeicherte Lesezeichen lesen; fehlender oder kaputter Speicher ergibt eine leere Liste
+    load() {
+        try {
+            const stored = globalThis.localStorage?.getItem(this.config.storageKey);
+            const bookmarks = stored ? JSON.parse(stored) : [];
+            return Array.isArray(bookmarks) ? bookmarks.filter(bookmark => bookmark && bookmark.view) : [];
+        } catch (error) {
+            console.warn('⚠️ Lesezeichen konnten nicht gelesen werden:', error);
+            return [];
+        }
+    }
+
+    persist() {
+        try {
+            globalThis.localStorage?.setItem(this.config.storageKey, JSON.stringify(this.bookmarks));
+        } catch (error) {
+            console.warn('⚠️ Lesezeichen konnten nicht gespeichert werden:', error);
+        }
+    }
+
+    /**
+     * Aktuelle Ansicht speichern. Ein vorhandenes Lesezeichen gleichen Namens
+     * wird überschrieben und behält seinen Platz (und damit seine Zifferntaste).
+     */
+    save(name) {
+        const label = (name || '').trim() || `Ansicht ${this.bookmarks.length + 1}`;
+        const bookmark = {
+            name: label,
+            view: this.cameraManager.getViewState(),
+            time: Math.round(this.lightingManager.getCurrentTime() * 100) / 100,
+            season: this.lightingManager.getCurrentSeason()
+        };
+
+        const index = this.bookmarks.findIndex(existing => existing.name === label);
+        if (index >= 0) {
+            this.bookmarks[index] = bookmark;
+        } else {
+            if (this.bookmarks.length >= this.config.maxBookmarks) {
+                console.warn(`Maximal ${this.config.maxBookmarks} Lesezeichen`);
+                return null;
+            }
+            this.bookmarks.push(bookmark);
+        }
+
+        this.persist();
+        this.notifyChange();
+        return bookmark;
+    }
+
+    // Lesezeichen per Index (0-basiert) oder Name anfliegen
+    recall(key, options = {}) {
+        const bookmark = this.get(key);
+        if (!bookmark) return null;
+
+        this.cameraManager.setViewState(bookmark.view, options);
+
+        if (Number.isFinite(bookmark.time)) {
+            this.lightingManager.setTime(bookmark.time);
+            if (this.timeManager) this.timeManager.notifyChange();
+        }
+        if (bookmark.season && bookmark.season !== this.lightingManager.getCurrentSeason()) {
+            this.lightingManager.setSeason(bookmark.season);
+            if (this.onSeasonChangeCallback) {
+                this.onSeasonChangeCallback(bookmark.season);
+            }
+        }
+
+        console.log(`🔖 Lesezeichen: ${bookmark.name}`);
+        return bookmark;
+    }
+
+    remove(key) {
+        const bookmark = this.get(key);
+        if (!bookmark) return false;
+
+        this.bookmarks.splice(this.bookmarks.indexOf(bookmark), 1);
+        this.persist();
+        this.notifyChange();
+        return true;
+    }
+
+    rename(key, name) {
+        const bookmark = this.get(key);
+        const label = (name || '').trim();
+        if (!bookmark || !label) return false;
+
+        bookmark.name = label;
+        this.persist();
+        this.notifyChange();
+        return true;
+    }
+
+    get(key) {
+        if (typeof key === 'number') return this.bookmarks[key] || null;
+        return this.bookmarks.find(bookmark => bookmark.name === key) || null;
+    }
+
+    getBookmarks() {
+        return this.bookmarks.map(bookmark => ({ ...bookmark }));
+    }
+
+    notifyChange() {
+        if (this.onChangeCallback) {
+            this.onChangeCallback(this.getBookmarks());
+        }
+    }
+
+    // Callback Registration
+    setOnChange(callback) {
+        this.onChangeCallback = callback;
+    }
+
+    // Jahreszeit-Wechsel betrifft auch Vegetation und Wetter – das verdrahtet main.js
+    setOnSeasonChange(callback) {
+        this.onSeasonChangeCallback = callback;
+    }
+
+    // Cleanup
+    dispose() {
+        this.onChangeCallback = null;
+        this.onSeasonChangeCallback = null;
+    }
+}
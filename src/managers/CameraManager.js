@@ -9,17 +9,37 @@ export class CameraManager {
         // Camera modes
         this.modes = {
             DRONE: 'drone',
-            PERSON: 'person'
+            PERSON: 'person',
+            ORBIT: 'orbit'
         };
         this.currentMode = this.modes.DRONE;
         
         // Cameras
         this.droneCamera = null;
         this.personCamera = null;
+        this.orbitCamera = null;
         this.activeCamera = null;
         
-        // Controls
+        // Orbit-Modus: kreist um einen Punkt bzw. ein Gebäude
         this.orbitControls = null;
+        this.orbitTarget = null;        // { point, object } – zuletzt fokussiertes Ziel
+        this.orbitClearance = 1.5;      // Mindestabstand zu Boden und Dächern
+        this.orbitDefaultDistance = 40; // Abstand, wenn nichts unter der Bildmitte liegt
+        this.raycaster = new THREE.Raycaster();
+        
+        // Animierte Übergänge (Moduswechsel, Reset, "Gehe zu") – Eingaben brechen sie ab
+        this.transition = null;
+        this.transitionDuration = 1.2;          // Sekunden, 0 = harter Schnitt
+        this.transitionEasing = 'easeInOutCubic';
+        this.easings = {
+            linear: t => t,
+            easeInOutSine: t => -(Math.cos(Math.PI * t) - 1) / 2,
+            easeOutCubic: t => 1 - Math.pow(1 - t, 3),
+            easeInOutCubic: t => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2)
+        };
+        // Externe Steuerung (z.B. Kamerafahrten), ersetzt solange die Eingaben
+        this.autopilot = null;
+        this.onAutopilotRelease = null;
         
         // Movement state for both modes
         this.moveState = {
@@ -42,8 +62,68 @@ export class CameraManager {
         this.rotationSpeed = 1.5; // Rotationsgeschwindigkeit für Pfeiltasten
         this.isRunning = false;
         
+        // Tastatur-Aktionen kommen vom InputManager (setInputManager)
+        this.inputManager = null;
+        this.inputUnsubscribers = null;
+        
+        // Gamepad (Standard-Mapping): wird in update() abgefragt
+        this.gamepad = {
+            enabled: true,
+            index: null,            // null = erstes verbundenes Gamepad
+            deadZone: 0.15,         // Sticks und Trigger unterhalb gelten als Ruhelage
+            moveSensitivity: 1.0,
+            lookSensitivity: 1.0,
+            invertY: false,
+            connected: false,
+            // Tasten lösen Aktionen des InputManagers aus: A, B, Y, Back/Select, Start
+            buttons: { 0: 'jump', 1: 'crouch', 3: 'toggleCameraMode', 8: 'resetCamera', 9: 'toggleTime' },
+            buttonState: {}
+        };
+        // Analoge Eingaben von Gamepad und Touch-Joysticks (-1..1), ergänzen die Tastatur
+        this.analog = { moveX: 0, moveY: 0, lookX: 0, lookY: 0, vertical: 0, run: false };
+        this.touchAnalog = { moveX: 0, moveY: 0, lookX: 0, lookY: 0 };
+        this.touchControlsActive = false;
+        
+        // Tippen zum Gehen (Person): Ziel auf dem Boden, Abbruch durch eigene Bewegung
+        this.walkTarget = null;
+        this.walkStuckTime = 0;
+        this.walkLastDistance = Infinity;
+        this.walkArrivalDistance = 0.3;
+        this.walkMaxDistance = 80;
+        
         // Person camera settings
         this.personHeight = 1.7; // Augenhöhe in Metern
+        this.groundHeightProvider = null; // (x, z) => Geländehöhe, gesetzt vom CityGenerator
+        
+        // Kollision (CollisionWorld vom CityGenerator)
+        this.collisionWorld = null;
+        this.collisionEnabled = true;
+        this.personRadius = 0.35;   // Radius der Kapsel
+        this.stepHeight = 0.45;     // Bordsteine und Stufen bis zu dieser Höhe werden überstiegen
+        this.droneCollision = true; // Drohne bleibt über Gelände und Dächern (optional)
+        this.droneClearance = 1.0;  // Mindestabstand der Drohne zu Boden und Dach
+        
+        // Charakter (Person): Schwerkraft, Springen, Ducken und Kopfbewegung beim Gehen
+        this.gravity = 9.81;
+        this.jumpHeight = 0.9;          // Meter über dem Absprung
+        this.maxFallSpeed = 30;
+        this.crouchHeight = 1.0;        // Augenhöhe geduckt
+        this.crouchSpeedFactor = 0.5;
+        this.stepSmoothing = 12;        // Stufen und Landungen federt die Kamera weich ab
+        this.headBob = { enabled: true, amplitude: 0.035, strideLength: 0.8 };
+        this.character = {
+            feet: 0,
+            velocityY: 0,
+            grounded: true,
+            crouching: false,
+            jumpRequested: false,
+            eyeHeight: this.personHeight,
+            viewOffset: this.personHeight, // Kamera über den Füßen (Augenhöhe + Kopfbewegung)
+            stepOffset: 0,
+            bobPhase: 0,
+            bobWeight: 0
+        };
+        this.onFootstepCallback = null;
         
         // Camera rotation for both modes
         this.droneYaw = 0;
@@ -51,8 +131,18 @@ export class CameraManager {
         this.personYaw = 0;
         this.personPitch = 0; // Nur Person kann hoch/runter schauen
         
+        // Maus-Steuerung: Pointer Lock in der Person, Ziehen/Mausrad bei der Drohne
+        this.domElement = renderer && renderer.domElement ? renderer.domElement : null;
+        this.mouseSensitivity = 0.0025; // Radiant pro Pixel
+        this.invertY = false;
+        this.panSpeed = 0.04;           // Meter pro Pixel (skaliert mit der Flughöhe)
+        this.dollySpeed = 0.01;         // Meter pro Mausrad-Einheit (skaliert mit der Flughöhe)
+        this.isPointerLocked = false;
+        this.dragState = null;          // { button, x, y } während mit gedrückter Maustaste gezogen wird
+        this.mouseHandlers = null;
+        
         this.init();
-        this.setupKeyboardControls();
+        this.setupMouseControls();
     }
     
     init() {
@@ -68,143 +158,664 @@ export class CameraManager {
         this.personCamera.position.set(0, this.personHeight, 5);
         this.personCamera.rotation.order = 'YXZ'; // Verhindert Gimbal Lock
         
+        // Orbit-Kamera (kreist um ein Ziel)
+        this.orbitCamera = new THREE.PerspectiveCamera(75, aspect, 0.1, 1000);
+        this.orbitCamera.position.set(0, 20, 30);
+        
         // Standard: Drohnen-Modus
         this.activeCamera = this.droneCamera;
         
-        // Keine OrbitControls mehr - freie Kamera
-        this.orbitControls = null;
+        this.setupOrbitControls();
+        
     }
     
-    setupKeyboardControls() {
-        // WASD für Bewegung, Links/Rechts Pfeiltasten für Horizontal-Rotation, Hoch/Runter für Vertikal-Schauen
-        document.addEventListener('keydown', (event) => {
-            switch(event.code) {
-                // Bewegung
-                case 'KeyW':
-                    this.moveState.forward = true;
-                    break;
-                case 'KeyS':
-                    this.moveState.backward = true;
-                    break;
-                case 'KeyA':
-                    this.moveState.left = true;
-                    break;
-                case 'KeyD':
-                    this.moveState.right = true;
-                    break;
-                
-                // Horizontale Kamera-Rotation (beide Modi)
-                case 'ArrowLeft':
-                    this.moveState.rotateLeft = true;
-                    break;
-                case 'ArrowRight':
-                    this.moveState.rotateRight = true;
-                    break;
-                
-                // Vertikales Schauen (beide Modi)
-                case 'ArrowUp':
-                    this.moveState.lookUp = true;
-                    break;
-                case 'ArrowDown':
-                    this.moveState.lookDown = true;
-                    break;
-                
-                // Hoch/Runter für freie Kamera (Drohne)
-                case 'Space':
-                    this.moveState.up = true;
-                    break;
-                case 'ShiftLeft':
-                    // Shift für Runter bei Drohne, für Rennen bei Person
-                    if (this.currentMode === this.modes.DRONE) {
-                        this.moveState.down = true;
-                    } else {
-                        this.isRunning = true;
-                    }
-                    break;
-                case 'ControlLeft':
-                    // Strg nur für Person als Rennen-Alternative
-                    if (this.currentMode === this.modes.PERSON) {
-                        this.isRunning = true;
-                    }
-                    break;
-            }
-        });
+    /**
+     * Tastatur über den InputManager: Aktionen statt fester Tasten,
+     * damit die Belegung umgestellt werden kann.
+     */
+    setInputManager(inputManager) {
+        if (this.inputUnsubscribers) this.inputUnsubscribers.forEach(unsubscribe => unsubscribe());
+        this.inputManager = inputManager;
         
-        document.addEventListener('keyup', (event) => {
-            switch(event.code) {
-                // Bewegung
-                case 'KeyW':
-                    this.moveState.forward = false;
-                    break;
-                case 'KeyS':
-                    this.moveState.backward = false;
-                    break;
-                case 'KeyA':
-                    this.moveState.left = false;
-                    break;
-                case 'KeyD':
-                    this.moveState.right = false;
-                    break;
-                
-                // Kamera-Rotation
-                case 'ArrowLeft':
-                    this.moveState.rotateLeft = false;
-                    break;
-                case 'ArrowRight':
-                    this.moveState.rotateRight = false;
-                    break;
-                case 'ArrowUp':
-                    this.moveState.lookUp = false;
-                    break;
-                case 'ArrowDown':
-                    this.moveState.lookDown = false;
-                    break;
-                
-                // Hoch/Runter
-                case 'Space':
-                    this.moveState.up = false;
-                    break;
-                case 'ShiftLeft':
-                    if (this.currentMode === this.modes.DRONE) {
-                        this.moveState.down = false;
-                    } else {
-                        this.isRunning = false;
-                    }
-                    break;
-                case 'ControlLeft':
-                    if (this.currentMode === this.modes.PERSON) {
-                        this.isRunning = false;
-                    }
-                    break;
-            }
+        const holdActions = {
+            moveForward: 'forward',
+            moveBackward: 'backward',
+            moveLeft: 'left',
+            moveRight: 'right',
+            turnLeft: 'rotateLeft',
+            turnRight: 'rotateRight',
+            lookUp: 'lookUp',
+            lookDown: 'lookDown',
+            ascend: 'up',
+            descend: 'down'
+        };
+        
+        this.inputUnsubscribers = Object.entries(holdActions).map(([action, state]) =>
+            inputManager.on(action, (pressed) => {
+                // Eigene Bewegung bricht einen laufenden Übergang ab
+                if (pressed) this.cancelTransition();
+                this.moveState[state] = pressed;
+            })
+        );
+        
+        // Rennen nur zu Fuß; Loslassen gilt immer, damit nichts hängen bleibt
+        this.inputUnsubscribers.push(inputManager.on('run', (pressed) => {
+            this.isRunning = pressed && this.currentMode === this.modes.PERSON;
+        }));
+        this.inputUnsubscribers.push(inputManager.on('crouch', (pressed) => {
+            this.character.crouching = pressed && this.currentMode === this.modes.PERSON;
+        }));
+        this.inputUnsubscribers.push(inputManager.on('jump', (pressed) => {
+            if (pressed && this.currentMode === this.modes.PERSON) this.jump();
+        }));
+    }
+    
+    setupOrbitControls() {
+        if (!this.domElement) return;
+        
+        this.orbitControls = new OrbitControls(this.orbitCamera, this.domElement);
+        this.orbitControls.enableDamping = true;
+        this.orbitControls.dampingFactor = 0.08;
+        this.orbitControls.minDistance = 4;
+        this.orbitControls.maxDistance = 250;
+        // Nicht unter den Horizont kippen – zusätzlich hält clampOrbit die Kamera über dem Boden
+        this.orbitControls.maxPolarAngle = Math.PI * 0.48;
+        this.orbitControls.screenSpacePanning = false;
+        this.orbitControls.enabled = false;
+    }
+    
+    setupMouseControls() {
+        const element = this.domElement;
+        if (!element) return;
+        
+        this.mouseHandlers = {
+            click: (event) => this.onClick(event),
+            pointerdown: (event) => this.onPointerDown(event),
+            pointermove: (event) => this.onPointerMove(event),
+            pointerup: (event) => this.onPointerUp(event),
+            pointercancel: (event) => this.onPointerUp(event),
+            wheel: (event) => this.onWheel(event),
+            contextmenu: (event) => event.preventDefault()
+        };
+        Object.entries(this.mouseHandlers).forEach(([type, handler]) => {
+            element.addEventListener(type, handler, type === 'wheel' ? { passive: false } : undefined);
         });
+        
+        this.onPointerLockChange = () => {
+            this.isPointerLocked = document.pointerLockElement === element;
+        };
+        document.addEventListener('pointerlockchange', this.onPointerLockChange);
+    }
+    
+    // Klick in die Szene fängt im Personen-Modus den Mauszeiger (Esc gibt ihn wieder frei)
+    onClick(event) {
+        if (this.isExternalTouch(event)) return;
+        if (this.currentMode !== this.modes.PERSON || this.isPointerLocked) return;
+        if (this.domElement.requestPointerLock) {
+            this.domElement.requestPointerLock();
+        }
+    }
+    
+    onPointerDown(event) {
+        this.cancelTransition();
+        if (this.isExternalTouch(event)) return;
+        
+        // Mit Pointer Lock übernimmt onPointerMove das Umschauen ohne Ziehen,
+        // im Orbit-Modus steuern die OrbitControls
+        if (this.isPointerLocked || this.currentMode === this.modes.ORBIT) return;
+        
+        this.dragState = { button: event.button, x: event.clientX, y: event.clientY };
+        if (this.domElement.setPointerCapture) {
+            this.domElement.setPointerCapture(event.pointerId);
+        }
+    }
+    
+    onPointerMove(event) {
+        if (this.isPointerLocked) {
+            this.look(event.movementX, event.movementY);
+            return;
+        }
+        if (!this.dragState) return;
+        
+        const dx = event.clientX - this.dragState.x;
+        const dy = event.clientY - this.dragState.y;
+        this.dragState.x = event.clientX;
+        this.dragState.y = event.clientY;
+        
+        // Rechte Maustaste verschiebt die Drohne, sonst wird geschaut
+        if (this.dragState.button === 2 && this.currentMode === this.modes.DRONE) {
+            this.panDrone(dx, dy);
+        } else {
+            this.look(dx, dy);
+        }
+    }
+    
+    onPointerUp(event) {
+        if (!this.dragState) return;
+        
+        this.dragState = null;
+        if (this.domElement.releasePointerCapture && this.domElement.hasPointerCapture(event.pointerId)) {
+            this.domElement.releasePointerCapture(event.pointerId);
+        }
+    }
+    
+    onWheel(event) {
+        this.cancelTransition();
+        if (this.currentMode !== this.modes.DRONE) return;
+        event.preventDefault();
+        
+        // Zeilen- bzw. Seiten-Modus einiger Mäuse grob in Pixel umrechnen
+        const scale = event.deltaMode === 1 ? 16 : event.deltaMode === 2 ? 400 : 1;
+        this.dollyDrone(-event.deltaY * scale);
+    }
+    
+    // Touch-Gesten übernimmt der TouchManager, sofern aktiv (außer im Orbit: OrbitControls)
+    isExternalTouch(event) {
+        return this.touchControlsActive && !!event && event.pointerType === 'touch';
+    }
+    
+    setTouchControlsActive(active) {
+        this.touchControlsActive = !!active;
+    }
+    
+    // Virtuelle Joysticks (-1..1), werden wie ein Gamepad-Stick verrechnet
+    setTouchInput({ moveX = 0, moveY = 0, lookX = 0, lookY = 0 } = {}) {
+        Object.assign(this.touchAnalog, { moveX, moveY, lookX, lookY });
+    }
+    
+    // Mausbewegung in Pixeln auf Yaw/Pitch des aktiven Modus
+    look(dx, dy) {
+        const yawDelta = -dx * this.mouseSensitivity;
+        const pitchDelta = -dy * this.mouseSensitivity * (this.invertY ? -1 : 1);
+        const limit = Math.PI * 0.4;
+        
+        if (this.currentMode === this.modes.PERSON) {
+            this.personYaw += yawDelta;
+            this.personPitch = Math.max(-limit, Math.min(limit, this.personPitch + pitchDelta));
+        } else {
+            this.droneYaw += yawDelta;
+            this.dronePitch = Math.max(-limit, Math.min(limit, this.dronePitch + pitchDelta));
+        }
+    }
+    
+    // Verschieben in der Bildebene – höher fliegen heißt schneller verschieben
+    panDrone(dx, dy) {
+        const speed = this.panSpeed * this.getDroneHeightScale();
+        const right = new THREE.Vector3(1, 0, 0).applyQuaternion(this.droneCamera.quaternion);
+        const up = new THREE.Vector3(0, 1, 0).applyQuaternion(this.droneCamera.quaternion);
+        
+        this.droneCamera.position.addScaledVector(right, -dx * speed);
+        this.droneCamera.position.addScaledVector(up, dy * speed);
+        this.clampDrone();
+    }
+    
+    // Entlang der Blickrichtung vor- bzw. zurückfahren
+    dollyDrone(amount) {
+        const forward = new THREE.Vector3(0, 0, -1).applyQuaternion(this.droneCamera.quaternion);
+        this.droneCamera.position.addScaledVector(forward, amount * this.dollySpeed * this.getDroneHeightScale());
+        this.clampDrone();
+    }
+    
+    getDroneHeightScale() {
+        const { x, y, z } = this.droneCamera.position;
+        return Math.max(1, (y - this.getGroundHeight(x, z)) / 10);
+    }
+    
+    setMouseSensitivity(sensitivity) {
+        this.mouseSensitivity = Math.max(0.0002, Math.min(0.02, sensitivity));
+    }
+    
+    setInvertY(invert) {
+        this.invertY = !!invert;
+    }
+    
+    getMouseSettings() {
+        return { sensitivity: this.mouseSensitivity, invertY: this.invertY };
     }
     
     switchMode(mode) {
         if (mode === this.currentMode) return;
         
+        // Pointer Lock gilt nur für die Person
+        if (this.isPointerLocked && mode !== this.modes.PERSON) {
+            document.exitPointerLock();
+        }
+        this.dragState = null;
+        
+        // Externe Steuerung und laufenden Übergang an der aktuellen Stelle beenden,
+        // von dort geht es weiter
+        if (this.autopilot) this.setAutopilot(null);
+        this.cancelTransition();
+        this.cancelWalk();
+        const previousCamera = this.activeCamera;
+        const previousMode = this.currentMode;
+        const startView = this.captureView();
         this.currentMode = mode;
+        if (this.orbitControls) {
+            this.orbitControls.enabled = mode === this.modes.ORBIT;
+        }
         
         if (mode === this.modes.DRONE) {
-            // Wechsel zu freier Kamera
+            // Wechsel zu freier Kamera – aus dem Orbit an derselben Stelle weiterfliegen,
+            // aus der Person schräg hinter ihr aufsteigen
             this.activeCamera = this.droneCamera;
+            if (previousMode === this.modes.ORBIT) {
+                this.takeOverOrbitView();
+            } else if (previousMode === this.modes.PERSON) {
+                this.placeDroneAbovePerson();
+                this.animateFrom(startView);
+            }
+            
+        } else if (mode === this.modes.ORBIT) {
+            // Ziel ist, was gerade in der Bildmitte zu sehen ist
+            this.activeCamera = this.orbitCamera;
+            this.focusOrbit(previousCamera);
+            this.animateFrom(startView);
             
         } else if (mode === this.modes.PERSON) {
-            // Wechsel zu Personen-Modus
+            // Wechsel zu Personen-Modus: unter der bisherigen Kamera auf die Straße hinunter
             this.activeCamera = this.personCamera;
-            
-            // Kamera auf Augenhöhe setzen
-            this.personCamera.position.y = this.personHeight;
+            this.placePersonBelow(previousCamera);
+            this.animateFrom(startView);
         }
         
         console.log(`Kamera-Modus gewechselt zu: ${mode}`);
     }
     
+    // Person landet unter der Kamera und schaut in deren Richtung
+    placePersonBelow(camera) {
+        const euler = new THREE.Euler().setFromQuaternion(camera.quaternion, 'YXZ');
+        this.personYaw = euler.y;
+        this.personPitch = 0;
+        this.personCamera.quaternion.setFromEuler(new THREE.Euler(0, this.personYaw, 0, 'YXZ'));
+        
+        // Kamera auf Augenhöhe über dem Gelände setzen, aus Hindernissen heraus
+        const { x, z } = camera.position;
+        this.personCamera.position.set(x, this.getGroundHeight(x, z) + this.personHeight, z);
+        this.resetCharacter();
+        this.movePerson(new THREE.Vector3());
+    }
+    
+    // Drohne steigt hinter der Person auf und blickt schräg auf sie herab
+    placeDroneAbovePerson() {
+        const back = new THREE.Vector3(0, 0, 1).applyAxisAngle(new THREE.Vector3(0, 1, 0), this.personYaw);
+        this.droneCamera.position.copy(this.personCamera.position).addScaledVector(back, 12);
+        this.droneCamera.position.y += 12;
+        this.droneYaw = this.personYaw;
+        this.dronePitch = -0.6;
+        this.droneCamera.quaternion.setFromEuler(new THREE.Euler(this.dronePitch, this.droneYaw, 0, 'YXZ'));
+        this.clampDrone();
+    }
+    
+    // Momentaufnahme der aktiven Kamera als Startpunkt eines Übergangs
+    captureView() {
+        return {
+            position: this.activeCamera.position.clone(),
+            quaternion: this.activeCamera.quaternion.clone()
+        };
+    }
+    
+    /**
+     * Aktive Kamera vom Startblick zur aktuell gesetzten Zielposition animieren.
+     * options: { duration, easing } überschreiben die Voreinstellungen.
+     */
+    animateFrom(startView, options = {}) {
+        const duration = options.duration ?? this.transitionDuration;
+        const easing = this.easings[options.easing || this.transitionEasing] || this.easings.linear;
+        const camera = this.activeCamera;
+        
+        if (duration <= 0 || startView.position.distanceToSquared(camera.position) < 1e-6 && startView.quaternion.angleTo(camera.quaternion) < 1e-4) {
+            return;
+        }
+        
+        this.transition = {
+            camera,
+            from: startView,
+            to: { position: camera.position.clone(), quaternion: camera.quaternion.clone() },
+            elapsed: 0,
+            duration,
+            easing
+        };
+        camera.position.copy(startView.position);
+        camera.quaternion.copy(startView.quaternion);
+    }
+    
+    updateTransition(deltaTime) {
+        const transition = this.transition;
+        transition.elapsed += deltaTime;
+        
+        const t = Math.min(1, transition.elapsed / transition.duration);
+        const k = transition.easing(t);
+        transition.camera.position.lerpVectors(transition.from.position, transition.to.position, k);
+        transition.camera.quaternion.slerpQuaternions(transition.from.quaternion, transition.to.quaternion, k);
+        
+        if (t >= 1) {
+            this.transition = null;
+        }
+    }
+    
+    // Übergang an der aktuellen Stelle beenden; Blickwinkel der Steuerung übernehmen
+    cancelTransition() {
+        if (!this.transition) return;
+        
+        const { camera } = this.transition;
+        this.transition = null;
+        this.syncAnglesFromCamera(camera);
+    }
+    
+    // Yaw/Pitch der Steuerung aus der Ausrichtung der Kamera übernehmen
+    syncAnglesFromCamera(camera) {
+        const euler = new THREE.Euler().setFromQuaternion(camera.quaternion, 'YXZ');
+        const pitch = Math.max(-Math.PI * 0.4, Math.min(Math.PI * 0.4, euler.x));
+        if (camera === this.droneCamera) {
+            this.droneYaw = euler.y;
+            this.dronePitch = pitch;
+        } else if (camera === this.personCamera) {
+            this.personYaw = euler.y;
+            this.personPitch = pitch;
+        }
+    }
+    
+    /**
+     * Kamera an eine externe Steuerung übergeben: callback(deltaTime, camera) wird
+     * statt der Eingaben pro Frame aufgerufen. null gibt die Kamera wieder frei;
+     * onRelease meldet der Steuerung, wenn sie abgelöst wird (z.B. durch Moduswechsel).
+     */
+    setAutopilot(callback, onRelease = null) {
+        this.cancelTransition();
+        const release = this.onAutopilotRelease;
+        if (this.autopilot) {
+            this.syncAnglesFromCamera(this.activeCamera);
+        }
+        
+        this.autopilot = callback || null;
+        this.onAutopilotRelease = callback ? onRelease : null;
+        if (release) release();
+    }
+    
+    hasAutopilot() {
+        return this.autopilot !== null;
+    }
+    
+    isTransitioning() {
+        return this.transition !== null;
+    }
+    
+    setTransitionOptions({ duration, easing } = {}) {
+        if (Number.isFinite(duration)) this.transitionDuration = Math.max(0, duration);
+        if (easing && this.easings[easing]) this.transitionEasing = easing;
+    }
+    
+    getEasings() {
+        return Object.keys(this.easings);
+    }
+    
+    /**
+     * Animiert zu einer Position im aktuellen Modus ("Gehe zu").
+     * target: optionaler Blickpunkt (Orbit: neues Zentrum). Die Person bleibt auf dem Boden.
+     */
+    goTo(position, target = null, options = {}) {
+        this.cancelTransition();
+        const startView = this.captureView();
+        const camera = this.activeCamera;
+        
+        if (this.currentMode === this.modes.ORBIT) {
+            const center = target || this.orbitControls?.target || position;
+            camera.position.copy(position);
+            this.orbitTarget = { point: center.clone(), object: null };
+            if (this.orbitControls) this.orbitControls.target.copy(center);
+            camera.lookAt(center);
+            this.clampOrbit();
+        } else {
+            camera.position.copy(position);
+            if (target) {
+                camera.lookAt(target);
+            }
+            
+            const euler = new THREE.Euler().setFromQuaternion(camera.quaternion, 'YXZ');
+            const pitch = Math.max(-Math.PI * 0.4, Math.min(Math.PI * 0.4, euler.x));
+            if (this.currentMode === this.modes.PERSON) {
+                this.personYaw = euler.y;
+                this.personPitch = pitch;
+                camera.position.y = this.getGroundHeight(position.x, position.z) + this.personHeight;
+                this.resetCharacter();
+                this.movePerson(new THREE.Vector3());
+            } else {
+                this.droneYaw = euler.y;
+                this.dronePitch = pitch;
+                this.clampDrone();
+            }
+            camera.quaternion.setFromEuler(new THREE.Euler(pitch, euler.y, 0, 'YXZ'));
+        }
+        
+        this.animateFrom(startView, options);
+    }
+    
+    /**
+     * Aktuelle Ansicht als serialisierbarer Zustand (z.B. für Lesezeichen):
+     * { mode, position: [x, y, z], yaw, pitch, target } – target nur im Orbit.
+     */
+    getViewState() {
+        const round = value => Math.round(value * 1000) / 1000;
+        const view = {
+            mode: this.currentMode,
+            position: this.activeCamera.position.toArray().map(round)
+        };
+        
+        if (this.currentMode === this.modes.DRONE) {
+            view.yaw = round(this.droneYaw);
+            view.pitch = round(this.dronePitch);
+        } else if (this.currentMode === this.modes.PERSON) {
+            view.yaw = round(this.personYaw);
+            view.pitch = round(this.personPitch);
+        } else {
+            const euler = new THREE.Euler().setFromQuaternion(this.activeCamera.quaternion, 'YXZ');
+            view.yaw = round(euler.y);
+            view.pitch = round(euler.x);
+            view.target = (this.orbitControls ? this.orbitControls.target : this.orbitTarget.point).toArray().map(round);
+        }
+        return view;
+    }
+    
+    // Gespeicherte Ansicht animiert anfliegen, bei Bedarf mit Moduswechsel
+    setViewState(view, options = {}) {
+        if (!Object.values(this.modes).includes(view.mode)) {
+            console.warn(`Unbekannter Kamera-Modus: ${view.mode}`);
+            return;
+        }
+        
+        if (this.autopilot) this.setAutopilot(null);
+        this.cancelTransition();
+        this.cancelWalk();
+        const startView = this.captureView();
+        if (view.mode !== this.currentMode) {
+            this.switchMode(view.mode);
+            this.cancelTransition();
+        }
+        
+        const camera = this.activeCamera;
+        camera.position.fromArray(view.position);
+        
+        if (view.mode === this.modes.ORBIT) {
+            const center = new THREE.Vector3().fromArray(view.target || [0, 0, 0]);
+            this.orbitTarget = { point: center.clone(), object: null };
+            if (this.orbitControls) this.orbitControls.target.copy(center);
+            camera.lookAt(center);
+            this.clampOrbit();
+        } else {
+            const pitch = Math.max(-Math.PI * 0.4, Math.min(Math.PI * 0.4, view.pitch || 0));
+            camera.quaternion.setFromEuler(new THREE.Euler(pitch, view.yaw || 0, 0, 'YXZ'));
+            if (view.mode === this.modes.PERSON) {
+                this.personYaw = view.yaw || 0;
+                this.personPitch = pitch;
+                // Stadt kann neu generiert sein: wieder auf den Boden und aus Hindernissen heraus
+                camera.position.y = this.getGroundHeight(camera.position.x, camera.position.z) + this.personHeight;
+                this.resetCharacter();
+                this.movePerson(new THREE.Vector3());
+            } else {
+                this.droneYaw = view.yaw || 0;
+                this.dronePitch = pitch;
+                this.clampDrone();
+            }
+        }
+        
+        this.animateFrom(startView, options);
+    }
+    
+    /**
+     * Orbit auf das Objekt unter der Bildmitte der Kamera ausrichten.
+     * Gebäude werden als Ganzes umkreist, sonst der getroffene Punkt;
+     * trifft der Strahl nichts, liegt das Ziel in Blickrichtung auf dem Boden.
+     */
+    focusOrbit(camera) {
+        const target = this.pickScreenCenter(camera);
+        const center = target.point.clone();
+        
+        if (target.object) {
+            const { footprint, baseHeight = 0, height = 0 } = target.object.userData;
+            center.set(footprint.x, baseHeight + height * 0.4, footprint.z);
+        }
+        
+        this.orbitTarget = target;
+        this.orbitCamera.position.copy(camera.position);
+        this.orbitCamera.quaternion.copy(camera.quaternion);
+        
+        // Startabstand innerhalb der Zoom-Grenzen halten
+        const offset = this.orbitCamera.position.clone().sub(center);
+        const distance = THREE.MathUtils.clamp(offset.length(), 8, this.orbitDefaultDistance * 2);
+        if (offset.lengthSq() < 1e-6) offset.set(0, 1, 1);
+        this.orbitCamera.position.copy(center).add(offset.setLength(distance));
+        
+        if (this.orbitControls) {
+            this.orbitControls.target.copy(center);
+            this.orbitControls.update();
+        } else {
+            this.orbitCamera.lookAt(center);
+        }
+        this.clampOrbit();
+    }
+    
+    // Strahl durch die Bildmitte: { point, object } mit object = Gebäude/Wahrzeichen oder null
+    pickScreenCenter(camera) {
+        const direction = new THREE.Vector3(0, 0, -1).applyQuaternion(camera.quaternion);
+        
+        if (this.scene) {
+            this.raycaster.set(camera.position, direction);
+            this.raycaster.far = 500;
+            const hit = this.raycaster.intersectObjects(this.scene.children, true)
+                .find(intersection => this.isFocusable(intersection.object));
+            
+            if (hit) {
+                return { point: hit.point, object: this.findFootprintOwner(hit.object) };
+            }
+        }
+        
+        // Nichts getroffen (Himmel): Punkt in Blickrichtung auf Bodenhöhe
+        const point = camera.position.clone().addScaledVector(direction, this.orbitDefaultDistance);
+        point.y = this.getGroundHeight(point.x, point.z);
+        return { point, object: null };
+    }
+    
+    // Himmel, Mond, Niederschlag und Leuchtpunkte sind kein Ziel
+    isFocusable(object) {
+        if (!object.isMesh || !object.visible) return false;
+        
+        for (let node = object; node; node = node.parent) {
+            if (['celestial', 'weather', 'night-lights'].includes(node.userData.type)) return false;
+        }
+        return true;
+    }
+    
+    findFootprintOwner(object) {
+        for (let node = object; node; node = node.parent) {
+            if (node.userData.footprint) return node;
+        }
+        return null;
+    }
+    
+    // Drohne übernimmt Position und Blickrichtung der Orbit-Kamera
+    takeOverOrbitView() {
+        const euler = new THREE.Euler().setFromQuaternion(this.orbitCamera.quaternion, 'YXZ');
+        this.droneCamera.position.copy(this.orbitCamera.position);
+        this.droneYaw = euler.y;
+        this.dronePitch = Math.max(-Math.PI * 0.4, Math.min(Math.PI * 0.4, euler.x));
+        this.droneCamera.quaternion.setFromEuler(new THREE.Euler(this.dronePitch, this.droneYaw, 0, 'YXZ'));
+    }
+    
+    updateOrbitCamera(deltaTime) {
+        if (this.currentMode !== this.modes.ORBIT) return;
+        
+        // Tastatur als Alternative zur Maus: Pfeile kreisen, W/S zoomen
+        const rotationSpeed = this.rotationSpeed * deltaTime;
+        const target = this.orbitControls ? this.orbitControls.target : this.orbitTarget.point;
+        const offset = this.orbitCamera.position.clone().sub(target);
+        const spherical = new THREE.Spherical().setFromVector3(offset);
+        
+        if (this.moveState.rotateLeft) spherical.theta -= rotationSpeed;
+        if (this.moveState.rotateRight) spherical.theta += rotationSpeed;
+        if (this.moveState.lookUp) spherical.phi -= rotationSpeed;
+        if (this.moveState.lookDown) spherical.phi += rotationSpeed;
+        if (this.moveState.forward) spherical.radius *= 1 - deltaTime;
+        if (this.moveState.backward) spherical.radius *= 1 + deltaTime;
+        
+        // Gamepad: rechter Stick kreist, linker Stick zoomt
+        spherical.theta += this.analog.lookX * rotationSpeed;
+        spherical.phi -= this.analog.lookY * rotationSpeed;
+        spherical.radius *= 1 - this.analog.moveY * deltaTime;
+        
+        if (this.orbitControls) {
+            const { minDistance, maxDistance, maxPolarAngle } = this.orbitControls;
+            spherical.radius = THREE.MathUtils.clamp(spherical.radius, minDistance, maxDistance);
+            spherical.phi = THREE.MathUtils.clamp(spherical.phi, 0.05, maxPolarAngle);
+        }
+        this.orbitCamera.position.copy(target).add(offset.setFromSpherical(spherical));
+        
+        if (this.orbitControls) {
+            this.orbitControls.update();
+        } else {
+            this.orbitCamera.lookAt(target);
+        }
+        this.clampOrbit();
+    }
+    
+    // Orbit-Kamera über Gelände und Dächern halten (die Blickrichtung bleibt auf dem Ziel)
+    clampOrbit() {
+        const position = this.orbitCamera.position;
+        let floor = this.getGroundHeight(position.x, position.z);
+        if (this.collisionWorld) {
+            floor = Math.max(floor, this.collisionWorld.getTopHeight(position.x, position.z, 0.5, ['tree', 'prop']));
+        }
+        
+        if (position.y < floor + this.orbitClearance) {
+            position.y = floor + this.orbitClearance;
+            this.orbitCamera.lookAt(this.orbitControls ? this.orbitControls.target : this.orbitTarget.point);
+        }
+    }
+    
+    resetOrbit() {
+        const center = new THREE.Vector3(0, this.getGroundHeight(0, 0), 0);
+        this.orbitTarget = { point: center.clone(), object: null };
+        this.orbitCamera.position.set(0, center.y + 25, this.orbitDefaultDistance);
+        
+        if (this.orbitControls) {
+            this.orbitControls.target.copy(center);
+            this.orbitControls.update();
+        } else {
+            this.orbitCamera.lookAt(center);
+        }
+    }
+    
+    getOrbitTarget() {
+        return this.orbitTarget;
+    }
+    
     updatePersonCamera(deltaTime) {
         if (this.currentMode !== this.modes.PERSON) return;
         
         // Bewegungsgeschwindigkeit
-        const speed = this.isRunning ? this.runSpeed : this.walkSpeed;
+        const character = this.character;
+        let speed = this.isRunning || this.analog.run ? this.runSpeed : this.walkSpeed;
+        if (character.crouching) speed = this.walkSpeed * this.crouchSpeedFactor;
         const velocity = speed * deltaTime;
         
         // Kamera-Rotation: Horizontal und Vertikal getrennt
@@ -226,6 +837,10 @@ export class CameraManager {
             this.personPitch -= rotationSpeed;
         }
         
+        // Gamepad: rechter Stick schaut
+        this.personYaw -= this.analog.lookX * rotationSpeed;
+        this.personPitch += this.analog.lookY * rotationSpeed;
+        
         // Pitch begrenzen (verhindert Überdrehung)
         this.personPitch = Math.max(-Math.PI * 0.4, Math.min(Math.PI * 0.4, this.personPitch));
         
@@ -240,28 +855,287 @@ export class CameraManager {
         right.set(1, 0, 0);
         right.applyAxisAngle(new THREE.Vector3(0, 1, 0), this.personYaw);
         
+        // Gewünschte Verschiebung sammeln, dann mit Kollision anwenden
+        const movement = new THREE.Vector3();
+        
         // Forward/Backward (immer horizontal)
         if (this.moveState.forward) {
-            this.personCamera.position.add(horizontalDirection.multiplyScalar(velocity));
+            movement.add(horizontalDirection.clone().multiplyScalar(velocity));
         }
         if (this.moveState.backward) {
-            this.personCamera.position.add(horizontalDirection.multiplyScalar(-velocity));
+            movement.add(horizontalDirection.clone().multiplyScalar(-velocity));
         }
         
         // Left/Right (Strafing)
         if (this.moveState.left) {
-            this.personCamera.position.add(right.multiplyScalar(-velocity));
+            movement.add(right.clone().multiplyScalar(-velocity));
         }
         if (this.moveState.right) {
-            this.personCamera.position.add(right.multiplyScalar(velocity));
+            movement.add(right.clone().multiplyScalar(velocity));
+        }
+        
+        // Gamepad: linker Stick geht stufenlos
+        movement.addScaledVector(horizontalDirection, this.analog.moveY * velocity);
+        movement.addScaledVector(right, this.analog.moveX * velocity);
+        
+        // Tippen zum Gehen: zum Ziel drehen und hinlaufen
+        const walkStep = this.walkTarget ? this.addWalkMovement(movement, velocity, rotationSpeed) : 0;
+        
+        const startX = this.personCamera.position.x;
+        const startZ = this.personCamera.position.z;
+        const startFeet = this.personCamera.position.y - character.viewOffset;
+        const wasGrounded = character.grounded;
+        this.movePerson(movement);
+        
+        if (walkStep > 0) {
+            this.checkWalkProgress(walkStep, deltaTime);
+        }
+        
+        // Stufen hoch und runter: Kamera gleitet statt zu springen
+        const stepDelta = character.feet - startFeet;
+        if (wasGrounded && character.grounded && Math.abs(stepDelta) > 0.05) {
+            character.stepOffset -= stepDelta;
         }
         
+        this.updateCharacter(deltaTime);
+        this.updateHeadBob(Math.hypot(this.personCamera.position.x - startX, this.personCamera.position.z - startZ), deltaTime);
+        this.applyCharacterHeight(deltaTime);
+        
         // Kamera-Rotation korrekt anwenden - Mit Quaternionen für stabiles Verhalten
         const euler = new THREE.Euler(this.personPitch, this.personYaw, 0, 'YXZ');
         this.personCamera.quaternion.setFromEuler(euler);
         
-        // Höhe konstant halten (Augenhöhe)
-        this.personCamera.position.y = this.personHeight;
+    }
+    
+    // Bildschirmpunkt (normalisierte Koordinaten -1..1) antippen: Person geht zum getroffenen Punkt
+    walkToScreenPoint(x, y) {
+        if (this.currentMode !== this.modes.PERSON || !this.scene) return null;
+        
+        this.personCamera.updateMatrixWorld();
+        this.raycaster.setFromCamera(new THREE.Vector2(x, y), this.personCamera);
+        this.raycaster.far = this.walkMaxDistance;
+        const hit = this.raycaster.intersectObjects(this.scene.children, true)
+            .find(intersection => this.isFocusable(intersection.object));
+        if (!hit) return null;
+        
+        this.walkTo(hit.point);
+        return hit.point;
+    }
+    
+    walkTo(point) {
+        this.cancelTransition();
+        this.walkTarget = new THREE.Vector3(point.x, 0, point.z);
+        this.walkStuckTime = 0;
+        this.walkLastDistance = Infinity;
+    }
+    
+    cancelWalk() {
+        this.walkTarget = null;
+        this.walkStuckTime = 0;
+    }
+    
+    isWalking() {
+        return this.walkTarget !== null;
+    }
+    
+    // Schritt Richtung Ziel zur Bewegung addieren; liefert die geplante Schrittlänge
+    addWalkMovement(movement, velocity, rotationSpeed) {
+        const position = this.personCamera.position;
+        const dx = this.walkTarget.x - position.x;
+        const dz = this.walkTarget.z - position.z;
+        const distance = Math.hypot(dx, dz);
+        
+        if (distance < this.walkArrivalDistance) {
+            this.cancelWalk();
+            return 0;
+        }
+        
+        // Blick dreht sich gleitend in Laufrichtung (kürzester Weg)
+        const yawOffset = Math.atan2(-dx, -dz) - this.personYaw;
+        const turn = Math.atan2(Math.sin(yawOffset), Math.cos(yawOffset));
+        this.personYaw += THREE.MathUtils.clamp(turn, -rotationSpeed * 2, rotationSpeed * 2);
+        
+        const step = Math.min(velocity, distance);
+        movement.x += dx / distance * step;
+        movement.z += dz / distance * step;
+        this.walkLastDistance = distance;
+        return step;
+    }
+    
+    // Kaum Fortschritt (Wand, zu enge Gasse): nach kurzer Zeit aufgeben
+    checkWalkProgress(step, deltaTime) {
+        if (!this.walkTarget) return;
+        
+        const position = this.personCamera.position;
+        const distance = Math.hypot(this.walkTarget.x - position.x, this.walkTarget.z - position.z);
+        if (this.walkLastDistance - distance < step * 0.2) {
+            this.walkStuckTime += deltaTime;
+            if (this.walkStuckTime > 0.4) this.cancelWalk();
+        } else {
+            this.walkStuckTime = 0;
+        }
+    }
+    
+    /**
+     * Person horizontal verschieben: in Teilschritten (kein Durchtunneln bei großen
+     * Frame-Zeiten), an Hindernissen entlanggleiten und auf Stufen hochsteigen.
+     * Am Boden folgen die Füße Stufen und Rampen; bricht der Boden tiefer als eine
+     * Stufe weg (Mauerkante), beginnt der Fall.
+     */
+    movePerson(movement) {
+        const position = this.personCamera.position;
+        const character = this.character;
+        const world = this.collisionEnabled ? this.collisionWorld : null;
+        
+        const length = Math.hypot(movement.x, movement.z);
+        const steps = Math.max(1, Math.ceil(length / (this.personRadius * 0.5)));
+        let feet = position.y - character.viewOffset;
+        
+        for (let i = 0; i < steps; i++) {
+            const previousX = position.x;
+            const previousZ = position.z;
+            position.x += movement.x / steps;
+            position.z += movement.z / steps;
+            
+            // Zu enge Lücke: stehen bleiben statt sich zwischen Hindernissen zu verkeilen
+            if (world && !world.resolveCapsule(position, this.personRadius, feet, feet + character.eyeHeight + 0.1, this.stepHeight)) {
+                position.x = previousX;
+                position.z = previousZ;
+                break;
+            }
+            
+            if (character.grounded) {
+                const support = this.getSupportHeight(position.x, position.z, feet);
+                if (support < feet - this.stepHeight) {
+                    character.grounded = false;
+                } else {
+                    feet = support;
+                }
+            }
+        }
+        
+        character.feet = feet;
+        position.y = feet + character.viewOffset;
+    }
+    
+    // Schwerkraft, Sprung und Landung, danach Ducken
+    updateCharacter(deltaTime) {
+        const character = this.character;
+        const { x, z } = this.personCamera.position;
+        
+        if (character.jumpRequested && character.grounded) {
+            character.velocityY = Math.sqrt(2 * this.gravity * this.jumpHeight);
+            character.grounded = false;
+        }
+        character.jumpRequested = false;
+        
+        if (!character.grounded) {
+            // Landefläche aus der Höhe vor dem Schritt bestimmen – auch schnelle Stürze verfehlen kein Dach
+            const support = this.getSupportHeight(x, z, character.feet);
+            character.velocityY = Math.max(-this.maxFallSpeed, character.velocityY - this.gravity * deltaTime);
+            character.feet += character.velocityY * deltaTime;
+            
+            if (character.velocityY <= 0 && character.feet <= support) {
+                // Harte Landung federt stärker nach
+                character.stepOffset -= Math.min(0.25, -character.velocityY * 0.03);
+                character.feet = support;
+                character.velocityY = 0;
+                character.grounded = true;
+            }
+        }
+        
+        // Aufstehen nur, wenn über dem Kopf Platz ist
+        const standing = !character.crouching && this.canStandUp();
+        const eyeTarget = standing ? this.personHeight : this.crouchHeight;
+        character.eyeHeight += (eyeTarget - character.eyeHeight) * Math.min(1, deltaTime * 8);
+    }
+    
+    canStandUp() {
+        const character = this.character;
+        if (character.eyeHeight >= this.personHeight - 0.01) return true;
+        if (!this.collisionEnabled || !this.collisionWorld) return true;
+        
+        const { x, z } = this.personCamera.position;
+        const head = character.feet + this.personHeight + 0.1;
+        return !this.collisionWorld.query(x, z, this.personRadius).some(collider =>
+            collider.bottom > character.feet + character.eyeHeight && collider.bottom < head &&
+            this.collisionWorld.penetration(collider, x, z, this.personRadius));
+    }
+    
+    /**
+     * Kopfbewegung im Schrittrhythmus: eine halbe Schwingung pro Schritt, der tiefste
+     * Punkt ist das Aufsetzen des Fußes (onFootstep).
+     */
+    updateHeadBob(distance, deltaTime) {
+        const character = this.character;
+        const moving = character.grounded && distance > 0.2 * deltaTime;
+        
+        if (moving) {
+            const previousStep = Math.floor(character.bobPhase / Math.PI);
+            character.bobPhase += distance / this.headBob.strideLength * Math.PI;
+            if (Math.floor(character.bobPhase / Math.PI) !== previousStep && this.onFootstepCallback) {
+                this.onFootstepCallback({
+                    running: this.isRunning || this.analog.run,
+                    crouching: character.crouching
+                });
+            }
+        }
+        
+        const weightTarget = moving && this.headBob.enabled ? 1 : 0;
+        character.bobWeight += (weightTarget - character.bobWeight) * Math.min(1, deltaTime * 6);
+    }
+    
+    // Kamerahöhe aus Füßen, Augenhöhe, Kopfbewegung und abklingendem Stufenausgleich
+    applyCharacterHeight(deltaTime) {
+        const character = this.character;
+        
+        let amplitude = this.headBob.amplitude;
+        if (character.crouching) {
+            amplitude *= 0.6;
+        } else if (this.isRunning || this.analog.run) {
+            amplitude *= 1.4;
+        }
+        const bob = -amplitude * character.bobWeight * (1 - Math.abs(Math.sin(character.bobPhase)));
+        
+        character.stepOffset = THREE.MathUtils.clamp(character.stepOffset * Math.exp(-this.stepSmoothing * deltaTime), -0.5, 0.5);
+        character.viewOffset = character.eyeHeight + bob + character.stepOffset;
+        this.personCamera.position.y = character.feet + character.viewOffset;
+    }
+    
+    jump() {
+        this.character.jumpRequested = true;
+    }
+    
+    // Nach dem Versetzen der Person: steht auf Augenhöhe über dem Boden, ohne Schwung
+    resetCharacter() {
+        Object.assign(this.character, {
+            velocityY: 0,
+            grounded: true,
+            jumpRequested: false,
+            eyeHeight: this.personHeight,
+            viewOffset: this.personHeight,
+            stepOffset: 0,
+            bobWeight: 0
+        });
+        this.character.feet = this.personCamera.position.y - this.personHeight;
+    }
+    
+    getCharacterState() {
+        const { grounded, crouching, velocityY, eyeHeight } = this.character;
+        return { grounded, crouching, velocityY, eyeHeight };
+    }
+    
+    setHeadBob(enabled) {
+        this.headBob.enabled = !!enabled;
+    }
+    
+    // Boden unter der Person: Gelände oder eine übersteigbare Stufe
+    getSupportHeight(x, z, feet) {
+        const ground = this.getGroundHeight(x, z);
+        if (!this.collisionEnabled || !this.collisionWorld) return ground;
+        
+        const step = this.collisionWorld.getStepHeight(x, z, this.personRadius * 0.5, Math.max(feet, ground), this.stepHeight);
+        return Math.max(ground, step);
     }
     
     updateDroneCamera(deltaTime) {
@@ -290,6 +1164,10 @@ export class CameraManager {
             this.dronePitch -= rotationSpeed;
         }
         
+        // Gamepad: rechter Stick schaut
+        this.droneYaw -= this.analog.lookX * rotationSpeed;
+        this.dronePitch += this.analog.lookY * rotationSpeed;
+        
         // Pitch begrenzen (verhindert Überdrehung)
         this.dronePitch = Math.max(-Math.PI * 0.4, Math.min(Math.PI * 0.4, this.dronePitch));
         
@@ -319,6 +1197,12 @@ export class CameraManager {
             this.droneCamera.position.add(right.multiplyScalar(velocity));
         }
         
+        // Gamepad: linker Stick fliegt, Trigger steigen/sinken
+        const analogMove = new THREE.Vector3(0, 0, -1).applyAxisAngle(new THREE.Vector3(0, 1, 0), this.droneYaw).multiplyScalar(this.analog.moveY);
+        analogMove.add(new THREE.Vector3(1, 0, 0).applyAxisAngle(new THREE.Vector3(0, 1, 0), this.droneYaw).multiplyScalar(this.analog.moveX));
+        analogMove.y = this.analog.vertical;
+        this.droneCamera.position.addScaledVector(analogMove, velocity);
+        
         // Space/Shift - reine vertikale Bewegung (unabhängig von Blickrichtung)
         const worldUp = new THREE.Vector3(0, 1, 0);
         
@@ -329,17 +1213,204 @@ export class CameraManager {
             this.droneCamera.position.add(worldUp.multiplyScalar(-velocity));
         }
         
+        this.clampDrone();
+        
         // Kamera-Rotation korrekt anwenden - Mit Quaternionen für stabiles Verhalten
         const euler = new THREE.Euler(this.dronePitch, this.droneYaw, 0, 'YXZ');
         this.droneCamera.quaternion.setFromEuler(euler);
     }
     
+    // Drohne nicht unter das Gelände oder in Dächer und Mauern fliegen lassen
+    clampDrone() {
+        if (!this.droneCollision) return;
+        
+        const position = this.droneCamera.position;
+        let floor = this.getGroundHeight(position.x, position.z);
+        if (this.collisionEnabled && this.collisionWorld) {
+            // Baumkronen und Laternen ignorieren, die Drohne fliegt durch das Laub
+            floor = Math.max(floor, this.collisionWorld.getTopHeight(position.x, position.z, 0.5, ['tree', 'prop']));
+        }
+        position.y = Math.max(position.y, floor + this.droneClearance);
+    }
+    
     update(deltaTime) {
+        this.updateAnalogInput();
+        
+        if (this.autopilot) {
+            this.autopilot(deltaTime, this.activeCamera);
+            return;
+        }
+        
+        // Während eines Übergangs ruht die Steuerung
+        if (this.transition) {
+            this.updateTransition(deltaTime);
+            return;
+        }
+        
         if (this.currentMode === this.modes.DRONE) {
             this.updateDroneCamera(deltaTime);
         } else if (this.currentMode === this.modes.PERSON) {
             this.updatePersonCamera(deltaTime);
+        } else if (this.currentMode === this.modes.ORBIT) {
+            this.updateOrbitCamera(deltaTime);
+        }
+    }
+    
+    /**
+     * Gamepad abfragen (Standard-Mapping): linker Stick bewegt, rechter Stick schaut,
+     * rechter/linker Trigger steigen/sinken (Drohne) bzw. rechter Trigger rennt (Person).
+     * Tasten lösen Aktionen des InputManagers aus (Springen, Ducken, Moduswechsel, Reset, Zeit).
+     */
+    pollGamepad() {
+        const settings = this.gamepad;
+        const analog = this.analog;
+        
+        const pad = settings.enabled ? this.getGamepad() : null;
+        settings.connected = !!pad;
+        if (!pad) {
+            // Getrennt oder abgeschaltet: gehaltene Tasten loslassen, sonst hängen ihre Aktionen
+            this.releaseGamepadButtons();
+            return;
         }
+        
+        const axis = index => pad.axes[index] || 0;
+        const trigger = index => this.applyDeadZone(pad.buttons[index] ? pad.buttons[index].value : 0);
+        const [moveX, moveY] = this.applyStickDeadZone(axis(0), axis(1));
+        const [lookX, lookY] = this.applyStickDeadZone(axis(2), axis(3));
+        
+        analog.moveX = moveX * settings.moveSensitivity;
+        analog.moveY = -moveY * settings.moveSensitivity;           // Stick nach vorn = negative Achse
+        analog.lookX = lookX * settings.lookSensitivity;
+        analog.lookY = (settings.invertY ? lookY : -lookY) * settings.lookSensitivity;
+        analog.vertical = trigger(7) - trigger(6);
+        analog.run = trigger(7) > 0.5;
+        
+        // Tasten nur beim Drücken bzw. Loslassen weitergeben
+        Object.entries(settings.buttons).forEach(([index, action]) => {
+            const pressed = !!(pad.buttons[index] && pad.buttons[index].pressed);
+            if (pressed === !!settings.buttonState[index]) return;
+            settings.buttonState[index] = pressed;
+            if (this.inputManager) this.inputManager.trigger(action, pressed);
+        });
+    }
+    
+    releaseGamepadButtons() {
+        const settings = this.gamepad;
+        Object.entries(settings.buttonState).forEach(([index, pressed]) => {
+            const action = settings.buttons[index];
+            if (pressed && action && this.inputManager) this.inputManager.trigger(action, false);
+        });
+        settings.buttonState = {};
+    }
+    
+    // Gamepad und Touch-Joysticks zu einer analogen Eingabe zusammenfassen
+    updateAnalogInput() {
+        const analog = this.analog;
+        analog.moveX = analog.moveY = analog.lookX = analog.lookY = analog.vertical = 0;
+        analog.run = false;
+        
+        this.pollGamepad();
+        
+        const clamp = value => THREE.MathUtils.clamp(value, -1, 1);
+        const touch = this.touchAnalog;
+        analog.moveX = clamp(analog.moveX + touch.moveX);
+        analog.moveY = clamp(analog.moveY + touch.moveY);
+        analog.lookX = clamp(analog.lookX + touch.lookX);
+        analog.lookY = clamp(analog.lookY + touch.lookY);
+        
+        // Eigene Bewegung bricht einen laufenden Übergang und das Gehen zum Ziel ab
+        const moving = analog.moveX || analog.moveY || analog.lookX || analog.lookY || analog.vertical;
+        if (moving) {
+            this.cancelTransition();
+        }
+        if (this.walkTarget && (moving || Object.values(this.moveState).some(Boolean))) {
+            this.cancelWalk();
+        }
+    }
+    
+    getGamepad() {
+        const navigator = globalThis.navigator;
+        if (!navigator || typeof navigator.getGamepads !== 'function') return null;
+        
+        const pads = Array.from(navigator.getGamepads() || []);
+        if (this.gamepad.index !== null) {
+            const pad = pads[this.gamepad.index];
+            return pad && pad.connected ? pad : null;
+        }
+        return pads.find(pad => pad && pad.connected) || null;
+    }
+    
+    // Wert unterhalb der Dead-Zone auf 0, darüber wieder auf 0..1 gestreckt
+    applyDeadZone(value) {
+        const deadZone = this.gamepad.deadZone;
+        const magnitude = Math.abs(value);
+        if (magnitude <= deadZone) return 0;
+        return Math.sign(value) * Math.min(1, (magnitude - deadZone) / (1 - deadZone));
+    }
+    
+    // Radiale Dead-Zone: diagonale Bewegungen werden nicht bevorzugt abgeschnitten
+    applyStickDeadZone(x, y) {
+        const magnitude = Math.hypot(x, y);
+        if (magnitude <= this.gamepad.deadZone) return [0, 0];
+        const scale = this.applyDeadZone(magnitude) / magnitude;
+        return [x * scale, y * scale];
+    }
+    
+    /**
+     * Gamepad-Einstellungen: { enabled, index, deadZone, moveSensitivity, lookSensitivity, invertY, buttons }.
+     */
+    setGamepadSettings(settings = {}) {
+        const gamepad = this.gamepad;
+        if (typeof settings.enabled === 'boolean') gamepad.enabled = settings.enabled;
+        if (settings.index === null || Number.isInteger(settings.index)) gamepad.index = settings.index;
+        if (Number.isFinite(settings.deadZone)) gamepad.deadZone = THREE.MathUtils.clamp(settings.deadZone, 0, 0.9);
+        if (Number.isFinite(settings.moveSensitivity)) gamepad.moveSensitivity = THREE.MathUtils.clamp(settings.moveSensitivity, 0.1, 5);
+        if (Number.isFinite(settings.lookSensitivity)) gamepad.lookSensitivity = THREE.MathUtils.clamp(settings.lookSensitivity, 0.1, 5);
+        if (typeof settings.invertY === 'boolean') gamepad.invertY = settings.invertY;
+        if (settings.buttons) {
+            // Mit der alten Belegung loslassen, bevor sie ersetzt wird
+            this.releaseGamepadButtons();
+            gamepad.buttons = { ...settings.buttons };
+        }
+    }
+    
+    getGamepadSettings() {
+        const { enabled, index, deadZone, moveSensitivity, lookSensitivity, invertY, connected, buttons } = this.gamepad;
+        return { enabled, index, deadZone, moveSensitivity, lookSensitivity, invertY, connected, buttons: { ...buttons } };
+    }
+    
+    isGamepadConnected() {
+        return this.gamepad.connected;
+    }
+    
+    // Szene für die Zielsuche im Orbit-Modus (Strahl durch die Bildmitte)
+    setScene(scene) {
+        this.scene = scene;
+    }
+    
+    // Schritte der Person (z.B. für Geräusche): callback({ running, crouching })
+    setOnFootstep(callback) {
+        this.onFootstepCallback = callback;
+    }
+    
+    setGroundHeightProvider(provider) {
+        this.groundHeightProvider = provider;
+    }
+    
+    setCollisionWorld(world) {
+        this.collisionWorld = world;
+    }
+    
+    setCollisionEnabled(enabled) {
+        this.collisionEnabled = enabled;
+    }
+    
+    setDroneCollision(enabled) {
+        this.droneCollision = enabled;
+    }
+    
+    getGroundHeight(x, z) {
+        return this.groundHeightProvider ? this.groundHeightProvider(x, z) : 0;
     }
     
     resize(width, height) {
@@ -350,6 +1421,9 @@ export class CameraManager {
         
         this.personCamera.aspect = aspect;
         this.personCamera.updateProjectionMatrix();
+        
+        this.orbitCamera.aspect = aspect;
+        this.orbitCamera.updateProjectionMatrix();
     }
     
     getActiveCamera() {
@@ -363,4 +1437,26 @@ export class CameraManager {
     getModes() {
         return this.modes;
     }
+    
+    // Cleanup
+    dispose() {
+        if (this.inputUnsubscribers) {
+            this.inputUnsubscribers.forEach(unsubscribe => unsubscribe());
+            this.inputUnsubscribers = null;
+        }
+        if (this.mouseHandlers) {
+            Object.entries(this.mouseHandlers).forEach(([type, handler]) => {
+                this.domElement.removeEventListener(type, handler);
+            });
+            document.removeEventListener('pointerlockchange', this.onPointerLockChange);
+            this.mouseHandlers = null;
+        }
+        if (this.isPointerLocked) {
+            document.exitPointerLock();
+        }
+        if (this.orbitControls) {
+            this.orbitControls.dispose();
+            this.orbitControls = null;
+        }
+    }
 }
\ No newline at end of file
@@ -1,4 +1,15 @@
 import * as THREE from 'three';
+import { SeededRandom } from '../utils/SeededRandom.js';
+import { StreetNetworkGenerator } from '../generators/StreetNetworkGenerator.js';
+import { BuildingFactory } from '../generators/BuildingFactory.js';
+import { TerrainGenerator } from '../generators/TerrainGenerator.js';
+import { FortificationGenerator } from '../generators/FortificationGenerator.js';
+import { LandmarkGenerator } from '../generators/LandmarkGenerator.js';
+import { VegetationGenerator } from '../generators/VegetationGenerator.js';
+import { StreetLightGenerator } from '../generators/StreetLightGenerator.js';
+import { rectangleCorners, resamplePolyline } from '../utils/GeometryUtils.js';
+import { CollisionWorld } from '../utils/CollisionWorld.js';
+import { createRibbonGeometry } from '../utils/MeshUtils.js';
 
 /**
  * CityGenerator - Generiert prozedurale 3D-Stadtstrukturen
@@ -7,6 +18,9 @@ import * as THREE from 'three';
  * - Terrain/Boden-Erstellung
  * - Vegetation (Bäume, Büsche)
  * - Straßen und Plätze
+ * - Laternen und Torfackeln (Lichtpunkte für die Nachtbeleuchtung)
+ * - Kollisionskörper für die Kamera (Gebäude, Mauer, Bäume, Laternen)
+ * - Modelle aus dem Asset-Katalog statt prozeduraler Gebäude, sofern passend
  * - Layout-Algorithmen
  */
 export class CityGenerator {
@@ -15,18 +29,90 @@ export class CityGenerator {
         this.cityModels = [];
         this.buildings = [];
         this.vegetation = [];
+        this.landmarks = [];
+        this.replacedModels = [];
         this.terrain = null;
+        this.terrainGenerator = null;
+        this.fortificationGenerator = null;
+        this.landmarkGenerator = null;
+        this.buildingFactory = null;
+        this.layout = null;
+        this.random = null;
+        // Bleibt über Neugenerierungen bestehen, damit die Kamera dieselbe Instanz behält
+        this.collisionWorld = new CollisionWorld();
+        // Katalog aus dem Asset-Manifest (AssetLoader), null = nur prozedural
+        this.assetCatalog = null;
         
         // Generierungs-Parameter
         this.cityConfig = {
+            seed: 1347,
             size: { width: 80, depth: 80 },
-            buildingCount: 15,
+            buildingCount: 120,
             treeCount: 20,
             buildingStyles: ['medieval', 'tower', 'house'],
+            // Relative Häufigkeit der Stile (Türme sind selten)
+            styleWeights: { medieval: 0.5, house: 0.42, tower: 0.08 },
             colors: {
                 buildings: [0x8B7355, 0xA0522D, 0xCD853F, 0xDEB887],
                 roofs: [0x8B4513, 0x654321, 0x2F4F4F],
-                vegetation: [0x228B22, 0x32CD32, 0x006400]
+                vegetation: [0x228B22, 0x32CD32, 0x006400],
+                trunk: 0x5A4030,
+                garden: { soil: 0x5C4530, crops: 0x6B8E23 },
+                streets: { main: 0x7A7064, alley: 0x8C7F6B, square: 0x9A8D78 },
+                terrain: { grass: 0x5B7F3A, dirt: 0x7A6A4F, riverbank: 0x9C8F6A, water: 0x3A6F8F },
+                fortifications: { wall: 0x8C8478, roof: 0x5A3A2A, timber: 0x3B2A1E, water: 0x35627D },
+                streetLights: { iron: 0x2B2A28, wood: 0x4A3422 }
+            },
+            fortifications: {
+                enabled: true,
+                wallHeight: 6,
+                towerSpacing: 16,
+                moat: { enabled: true, offset: 5.5, width: 5, depth: 2.2 }
+            },
+            terrain: {
+                size: 200,
+                resolution: 1,
+                hillHeight: 6,
+                cityFlatness: 0.3
+            },
+            streets: {
+                mainRoadCount: 4,
+                mainRoadWidth: 4,
+                alleyWidth: 2.2,
+                squareRadius: 8
+            },
+            // Bäume außerhalb der Mauern stehen dichter (Haine), treeCount gilt für die Stadt
+            vegetation: {
+                enabled: true,
+                citySpacing: 4,
+                outsideSpacing: 3.6,
+                gardenChance: 0.6
+            },
+            // Laternen an Hauptstraßen dichter als in den Gassen, Fackeln an jedem Tor
+            streetLights: {
+                enabled: true,
+                mainSpacing: 12,
+                alleySpacing: 18
+            },
+            // Wahrzeichen am Marktplatz – ein Katalog-Modell mit dem Tag der Art (z.B. 'church')
+            // ersetzt die prozedurale Variante; model: '/models/...' erzwingt eine bestimmte Datei
+            landmarks: {
+                enabled: true,
+                buildings: [
+                    { kind: 'church', width: 9, depth: 17 },
+                    { kind: 'town-hall', width: 11, depth: 8 },
+                    { kind: 'guild-house', width: 6, depth: 8 },
+                    { kind: 'guild-house', width: 6, depth: 8 }
+                ],
+                fountain: { radius: 1.8 }
+            },
+            // Gebäude aus dem Asset-Katalog: Stil → geforderte Tags, Grundfläche mit Toleranz;
+            // buildingChance ist der Anteil passender Parzellen, der ein Modell erhält
+            assets: {
+                enabled: true,
+                buildingTags: { medieval: ['medieval'], house: ['house'], tower: ['tower'] },
+                buildingChance: 0.6,
+                tolerance: 0.25
             }
         };
     }
@@ -34,82 +120,473 @@ export class CityGenerator {
     // Hauptmethode zur Stadtgenerierung
     generateCity() {
         this.clearCity();
-        this.createSimpleScene();
         
-        console.log('🎯 Einfache Szene erstellt: Grid-Fläche + Test-Box');
+        // Gleicher Seed => identische Stadt (reproduzierbare Screenshots)
+        this.random = new SeededRandom(this.cityConfig.seed);
+        
+        this.generateLayout();
+        this.createTerrain();
+        this.createStreets();
+        this.createFortifications();
+        this.createLandmarks();
+        this.createBuildings();
+        this.createVegetation();
+        this.createStreetLights();
+        this.createColliders();
+        
+        console.log(`🎯 Stadt generiert (Seed ${this.cityConfig.seed}): ${this.layout.roads.length} Straßen, ${this.buildings.length} Gebäude, ${this.landmarks.length} Wahrzeichen, ${this.layout.vegetation.trees.length} Bäume`);
     }
     
     clearCity() {
         // Alte Stadt entfernen
-        [...this.cityModels].forEach(model => {
+        [...this.cityModels, ...this.replacedModels].forEach(model => {
             this.scene.remove(model);
             this.disposeModel(model);
         });
         
         this.cityModels = [];
+        this.replacedModels = [];
         this.buildings = [];
         this.vegetation = [];
+        this.landmarks = [];
+        this.layout = null;
+        this.terrain = null;
+        this.collisionWorld.clear();
+        this.terrainGenerator = null;
+        this.fortificationGenerator = null;
+        this.landmarkGenerator = null;
+        
+        if (this.buildingFactory) {
+            this.buildingFactory.dispose();
+            this.buildingFactory = null;
+        }
     }
     
-    createSimpleScene() {
-        // 1. Grid-Fläche erstellen
-        this.createGridGround();
+    generateLayout() {
+        const { size, streets, buildingCount, fortifications, landmarks, colors } = this.cityConfig;
+        
+        const streetGenerator = new StreetNetworkGenerator({
+            width: size.width,
+            depth: size.depth,
+            ...streets,
+            maxPlots: buildingCount
+        });
+        
+        // Mauerring wird vor den Gassen und Parzellen gelegt, damit diese ihn respektieren
+        let traceBoundary = null;
+        if (fortifications.enabled) {
+            this.fortificationGenerator = new FortificationGenerator(fortifications);
+            const fortRandom = this.random.fork('fortifications');
+            traceBoundary = (bounds, square) => this.fortificationGenerator.traceOutline(fortRandom, bounds, square);
+        }
+        
+        // Wahrzeichen belegen ihre Plätze am Markt, bevor Gassen und Parzellen entstehen
+        this.buildingFactory = new BuildingFactory(colors);
+        let reserveAreas = null;
+        if (landmarks.enabled) {
+            this.landmarkGenerator = new LandmarkGenerator(landmarks, this.buildingFactory);
+            const landmarkRandom = this.random.fork('landmarks');
+            reserveAreas = (square, isAreaFree) => this.landmarkGenerator.plan(landmarkRandom, square, isAreaFree);
+        }
+        
+        this.layout = {
+            seed: this.cityConfig.seed,
+            ...streetGenerator.generate(this.random.fork('streets'), { traceBoundary, reserveAreas }),
+            fortifications: null,
+            landmarks: [],
+            vegetation: { trees: [], bushes: [], hedges: [], gardens: [] },
+            streetLights: []
+        };
+        
+        if (landmarks.enabled) {
+            const fountain = this.landmarkGenerator.createFountainPlan(this.layout.square);
+            this.layout.landmarks = fountain ? [...this.layout.reserved, fountain] : [...this.layout.reserved];
+        }
         
-        // 2. Eine einfache Test-Box
-        this.createTestBox();
+        if (this.fortificationGenerator && this.layout.boundary) {
+            this.layout.fortifications = this.fortificationGenerator.plan(this.layout.boundary, this.layout.gates);
+        }
     }
     
-    createGridGround() {
-        // Hauptboden mit Grid-Pattern
-        const groundSize = 50;
-        const groundGeometry = new THREE.PlaneGeometry(groundSize, groundSize);
+    createFortifications() {
+        if (!this.layout.fortifications) return;
         
-        // Grid-Material erstellen
-        const groundMaterial = new THREE.MeshLambertMaterial({ 
-            color: 0x606060,
-            transparent: true,
-            opacity: 0.8
+        const objects = this.fortificationGenerator.createMeshes(
+            this.layout.fortifications,
+            (x, z) => this.getHeightAt(x, z),
+            this.cityConfig.colors.fortifications
+        );
+        
+        objects.forEach(object => {
+            this.scene.add(object);
+            this.cityModels.push(object);
+        });
+    }
+    
+    createStreets() {
+        const { streets: colors } = this.cityConfig.colors;
+        
+        // Straßen als flache Bänder knapp über dem Boden
+        this.layout.roads.forEach(road => {
+            const isMain = road.type === 'main';
+            const geometry = this.createRoadGeometry(road.points, road.width, isMain ? 0.08 : 0.06);
+            const material = new THREE.MeshLambertMaterial({ color: isMain ? colors.main : colors.alley });
+            
+            const mesh = new THREE.Mesh(geometry, material);
+            mesh.receiveShadow = true;
+            mesh.name = `road-${road.id}`;
+            mesh.userData = { type: 'road', roadType: road.type, roadId: road.id };
+            
+            this.scene.add(mesh);
+            this.cityModels.push(mesh);
         });
         
-        this.terrain = new THREE.Mesh(groundGeometry, groundMaterial);
-        this.terrain.rotation.x = -Math.PI / 2;
-        this.terrain.receiveShadow = true;
-        this.terrain.name = 'grid-ground';
+        // Zentraler Marktplatz, folgt dem Gelände
+        const { square } = this.layout;
+        const squareGeometry = new THREE.RingGeometry(0, square.radius + 0.5, 32, 8);
+        squareGeometry.rotateX(-Math.PI / 2);
+        squareGeometry.translate(square.x, 0, square.z);
+        this.conformToTerrain(squareGeometry, 0.1);
         
-        this.scene.add(this.terrain);
-        this.cityModels.push(this.terrain);
+        const squareMesh = new THREE.Mesh(
+            squareGeometry,
+            new THREE.MeshLambertMaterial({ color: colors.square })
+        );
+        squareMesh.receiveShadow = true;
+        squareMesh.name = 'town-square';
+        
+        this.scene.add(squareMesh);
+        this.cityModels.push(squareMesh);
+    }
+    
+    createRoadGeometry(controlPoints, width, offset) {
+        // Dicht abtasten, damit das Band den Hängen folgt
+        const points = resamplePolyline(controlPoints, 1);
+        return createRibbonGeometry(points, width, (x, z) => this.getHeightAt(x, z) + offset);
+    }
+    
+    // Vertices einer Geometrie auf Geländehöhe + Offset setzen
+    conformToTerrain(geometry, offset = 0) {
+        const positions = geometry.getAttribute('position');
+        for (let i = 0; i < positions.count; i++) {
+            positions.setY(i, this.getHeightAt(positions.getX(i), positions.getZ(i)) + offset);
+        }
+        positions.needsUpdate = true;
+        geometry.computeVertexNormals();
+    }
+    
+    createLandmarks() {
+        if (!this.landmarkGenerator) return;
         
-        // Grid-Linien hinzufügen
-        this.createGridLines(groundSize);
+        const random = this.random.fork('landmark-buildings');
+        
+        this.layout.landmarks.forEach(landmark => {
+            const { min, max } = this.getFootprintHeightRange(landmark);
+            const object = this.landmarkGenerator.createLandmark(landmark, random, max - min + 0.3);
+            object.position.y = max;
+            object.userData.baseHeight = max;
+            
+            this.scene.add(object);
+            this.cityModels.push(object);
+            this.landmarks.push(object);
+            
+            // Kirche, Rathaus und Gildenhäuser zählen auch als Gebäude (Kollision, Beleuchtung)
+            if (object.userData.type === 'building') {
+                this.buildings.push(object);
+            }
+        });
+    }
+    
+    setAssetCatalog(catalog) {
+        this.assetCatalog = catalog;
+    }
+    
+    /**
+     * Passenden Katalog-Eintrag suchen, z.B.
+     * findAsset({ category: 'building', tags: ['medieval'], footprint: { width: 6, depth: 8 } }).
+     * null, wenn nichts passt – dann bleibt die prozedurale Geometrie.
+     */
+    findAsset(criteria) {
+        if (!this.assetCatalog) return null;
+        return this.assetCatalog.find({ tolerance: this.cityConfig.assets.tolerance, ...criteria });
+    }
+    
+    // Suchkriterien für ein prozedurales Objekt: Wahrzeichen nach Art, Gebäude nach Stil
+    getAssetCriteria(object) {
+        const { footprint, landmark, style } = object.userData;
+        const size = { width: footprint.width, depth: footprint.depth };
+        
+        if (landmark) {
+            return { category: 'landmark', tags: [landmark], footprint: size };
+        }
+        const tags = this.cityConfig.assets.buildingTags[style];
+        return tags ? { category: 'building', tags, footprint: size } : null;
     }
     
-    createGridLines(size) {
-        const gridHelper = new THREE.GridHelper(size, 20, 0x444444, 0x444444);
-        gridHelper.name = 'grid-helper';
-        gridHelper.position.y = 0.01; // Leicht über dem Boden
+    /**
+     * Ersetzt prozedurale Wahrzeichen und Gebäude durch Modelle aus dem Asset-Katalog.
+     * Unter mehreren passenden Einträgen wählt der Seed; fehlende Dateien und Parzellen
+     * ohne passendes Modell behalten die prozedurale Variante.
+     */
+    async applyAssetModels(assetLoader) {
+        const config = this.cityConfig.assets;
+        if (!config.enabled) return;
+        
+        const layout = this.layout;
+        const random = this.random.fork('assets');
+        const candidates = [...new Set([...this.landmarks, ...this.buildings])];
+        let replaced = 0;
         
-        this.scene.add(gridHelper);
-        this.cityModels.push(gridHelper);
+        for (const procedural of candidates) {
+            const request = this.chooseAsset(procedural, random);
+            if (!request) continue;
+            
+            const asset = typeof request === 'string'
+                ? await assetLoader.loadOptionalModel(request)
+                : await assetLoader.loadAsset(request);
+            
+            // Stadt wurde während des Ladens neu generiert
+            if (!asset || this.layout !== layout) continue;
+            if (!this.landmarks.includes(procedural) && !this.buildings.includes(procedural)) continue;
+            
+            this.replaceObject(procedural, this.placeModel(procedural, asset.scene, request));
+            replaced++;
+        }
+        
+        if (replaced > 0) {
+            // Modelle haben eigene Höhe und Grundfläche – Kollision passend neu aufbauen
+            this.collisionWorld.clear();
+            this.createColliders();
+            console.log(`📦 ${replaced} Gebäude durch Katalog-Modelle ersetzt`);
+        }
     }
     
-    createTestBox() {
-        // Eine einfache Box in der Mitte
-        const boxGeometry = new THREE.BoxGeometry(2, 2, 2);
-        const boxMaterial = new THREE.MeshLambertMaterial({ 
-            color: 0x00aaff 
+    // Fest eingestellte Datei (model), sonst Katalog-Eintrag; Gebäude nur mit buildingChance
+    chooseAsset(procedural, random) {
+        const { model, landmark } = procedural.userData;
+        if (model) return model;
+        
+        const criteria = this.getAssetCriteria(procedural);
+        if (!criteria || !this.assetCatalog) return null;
+        
+        const matches = this.assetCatalog.query({ tolerance: this.cityConfig.assets.tolerance, ...criteria });
+        if (matches.length === 0) return null;
+        if (!landmark && !random.chance(this.cityConfig.assets.buildingChance)) return null;
+        return random.pick(matches);
+    }
+    
+    // Modell auf die Grundfläche skalieren und auf den Boden setzen
+    placeModel(procedural, model, source) {
+        const { footprint, baseHeight } = procedural.userData;
+        
+        const size = new THREE.Box3().setFromObject(model).getSize(new THREE.Vector3());
+        const scale = Math.min(footprint.width / (size.x || 1), footprint.depth / (size.z || 1));
+        model.scale.multiplyScalar(scale);
+        
+        const box = new THREE.Box3().setFromObject(model);
+        const center = box.getCenter(new THREE.Vector3());
+        model.position.x -= center.x;
+        model.position.z -= center.z;
+        model.position.y -= box.min.y;
+        
+        // Kopien eines Modells teilen ihre Materialien – Fenster bekommen eigene, damit sie einzeln leuchten
+        model.traverse(child => {
+            if (!child.isMesh || child.name !== 'windows') return;
+            child.material = Array.isArray(child.material)
+                ? child.material.map(material => material.clone())
+                : child.material.clone();
         });
         
-        const testBox = new THREE.Mesh(boxGeometry, boxMaterial);
-        testBox.position.set(0, 1, 0); // Mittig, 1 Einheit über dem Boden
-        testBox.castShadow = true;
-        testBox.receiveShadow = true;
-        testBox.name = 'test-box';
+        const object = new THREE.Group();
+        object.add(model);
+        object.name = procedural.name;
+        object.position.set(footprint.x, baseHeight, footprint.z);
+        object.rotation.y = footprint.rotation;
+        // Gleichmäßige Skalierung kann eine Achse schmaler machen als die Parzelle
+        const placedSize = box.getSize(new THREE.Vector3());
+        object.userData = {
+            ...procedural.userData,
+            source: 'gltf',
+            assetId: typeof source === 'string' ? null : source.id,
+            footprint: { ...footprint, width: placedSize.x, depth: placedSize.z },
+            height: placedSize.y
+        };
+        return object;
+    }
+    
+    replaceObject(oldObject, newObject) {
+        [this.cityModels, this.buildings, this.landmarks].forEach(list => {
+            const index = list.indexOf(oldObject);
+            if (index !== -1) list[index] = newObject;
+        });
         
-        this.scene.add(testBox);
-        this.cityModels.push(testBox);
-        this.buildings.push(testBox); // Als "Gebäude" zählen
+        // Materialien teilt der BuildingFactory mit anderen Gebäuden – freigegeben wird erst in clearCity
+        this.scene.remove(oldObject);
+        this.replacedModels.push(oldObject);
+        this.scene.add(newObject);
     }
     
+    createBuildings() {
+        const random = this.random.fork('buildings');
+        const factory = this.buildingFactory;
+        
+        this.layout.plots.forEach(plot => {
+            const style = this.chooseBuildingStyle(plot, random);
+            
+            // Am Hang steht das Haus auf der höchsten Ecke, darunter ein Steinsockel
+            const { min, max } = this.getFootprintHeightRange(plot);
+            const building = factory.createBuilding(plot, style, random, max - min + 0.3);
+            building.position.y = max;
+            building.userData.baseHeight = max;
+            
+            this.scene.add(building);
+            this.cityModels.push(building);
+            this.buildings.push(building);
+        });
+    }
+    
+    createVegetation() {
+        const { vegetation: config, treeCount, colors } = this.cityConfig;
+        if (!config.enabled) return;
+        
+        const generator = new VegetationGenerator({ ...config, treeCount });
+        this.layout.vegetation = generator.plan(this.random.fork('vegetation'), this.layout);
+        
+        const objects = generator.createMeshes(this.layout.vegetation, (x, z) => this.getHeightAt(x, z), colors);
+        objects.forEach(object => {
+            this.scene.add(object);
+            this.cityModels.push(object);
+            this.vegetation.push(object);
+        });
+    }
+    
+    createStreetLights() {
+        const { streetLights: config, colors } = this.cityConfig;
+        if (!config.enabled) return;
+        
+        // Fackeln sitzen vor den Torhaus-Flanken (Mauerstärke + Vorbau)
+        const wallThickness = this.fortificationGenerator ? this.fortificationGenerator.config.wallThickness : 1.4;
+        const generator = new StreetLightGenerator({ ...config, gateDepth: wallThickness + 2.5 });
+        this.layout.streetLights = generator.plan(
+            this.random.fork('street-lights'),
+            this.layout,
+            (x, z) => this.getHeightAt(x, z)
+        );
+        
+        generator.createMeshes(this.layout.streetLights, colors.streetLights).forEach(object => {
+            this.scene.add(object);
+            this.cityModels.push(object);
+        });
+    }
+    
+    // Kollisionskörper aus den Layout-Daten bzw. der tatsächlichen Grundfläche eingesetzter Modelle
+    createColliders() {
+        const world = this.collisionWorld;
+        const heightAt = (x, z) => this.getHeightAt(x, z);
+        
+        this.buildings.forEach(building => {
+            const { footprint, baseHeight, height } = building.userData;
+            const { min } = this.getFootprintHeightRange(footprint);
+            world.addBox(footprint, min - 0.5, baseHeight + height, 'building');
+        });
+        
+        // Der Brunnen ist kein Gebäude: Beckenrand als Kreis, über den man nicht steigt
+        this.landmarks
+            .filter(landmark => landmark.userData.landmark === 'fountain')
+            .forEach(fountain => {
+                const { footprint, baseHeight } = fountain.userData;
+                world.addCircle(footprint.x, footprint.z, footprint.width / 2 + 0.1, baseHeight - 0.5, baseHeight + 0.8, 'landmark');
+            });
+        
+        if (this.layout.fortifications) {
+            this.fortificationGenerator.addColliders(world, this.layout.fortifications, heightAt);
+        }
+        
+        // Nur Stämme und Laternenpfähle – Kronen und Büsche hängen darüber bzw. sind durchlässig
+        this.layout.vegetation.trees.forEach(tree => {
+            const ground = this.getHeightAt(tree.x, tree.z);
+            world.addCircle(tree.x, tree.z, tree.trunkRadius + 0.05, ground - 0.5, ground + tree.height, 'tree');
+        });
+        
+        this.layout.streetLights
+            .filter(light => light.kind === 'lantern')
+            .forEach(light => {
+                world.addCircle(light.x, light.z, 0.12, light.y - 4, light.y + 0.4, 'prop');
+            });
+    }
+    
+    getCollisionWorld() {
+        return this.collisionWorld;
+    }
+    
+    chooseBuildingStyle(plot, random) {
+        const { buildingStyles, styleWeights } = this.cityConfig;
+        
+        // Türme brauchen eine annähernd quadratische, ausreichend große Parzelle
+        const candidates = buildingStyles.filter(style => {
+            if (style !== 'tower') return true;
+            const shortSide = Math.min(plot.width, plot.depth);
+            return shortSide >= 4.5 && Math.max(plot.width, plot.depth) / shortSide <= 1.3;
+        });
+        if (candidates.length === 0) return buildingStyles[0];
+        
+        // Repräsentative Fachwerkhäuser bevorzugt an den Hauptstraßen
+        const weights = candidates.map(style => {
+            const weight = styleWeights[style] ?? 1;
+            return style === 'medieval' && plot.roadType === 'main' ? weight * 1.5 : weight;
+        });
+        
+        let roll = random.range(0, weights.reduce((sum, w) => sum + w, 0));
+        for (let i = 0; i < candidates.length; i++) {
+            roll -= weights[i];
+            if (roll <= 0) return candidates[i];
+        }
+        return candidates[candidates.length - 1];
+    }
+    
+    getFootprintHeightRange(plot) {
+        const samples = [...rectangleCorners(plot), { x: plot.x, z: plot.z }];
+        const heights = samples.map(point => this.getHeightAt(point.x, point.z));
+        return { min: Math.min(...heights), max: Math.max(...heights) };
+    }
+    
+    createTerrain() {
+        const { terrain: terrainConfig, colors } = this.cityConfig;
+        
+        // Stadtgraben wird direkt in die Heightmap gegraben
+        const carvers = [];
+        if (this.layout.fortifications) {
+            const fortifications = this.layout.fortifications;
+            carvers.push((x, z) => this.fortificationGenerator.getMoatDepthAt({ x, z }, fortifications));
+        }
+        
+        this.terrainGenerator = new TerrainGenerator(terrainConfig);
+        const { features } = this.terrainGenerator.generate(this.random.fork('terrain'), this.layout.bounds, carvers);
+        this.layout.terrain = features;
+        
+        this.terrain = this.terrainGenerator.createMesh(colors.terrain);
+        this.scene.add(this.terrain);
+        this.cityModels.push(this.terrain);
+        
+        const river = this.terrainGenerator.createRiverMesh(colors.terrain.water);
+        if (river) {
+            this.scene.add(river);
+            this.cityModels.push(river);
+        }
+    }
+    
+    // Geländehöhe an einer Weltposition (0 solange kein Terrain existiert)
+    getHeightAt(x, z) {
+        return this.terrainGenerator ? this.terrainGenerator.getHeightAt(x, z) : 0;
+    }
+    
+    getTerrain() {
+        return this.terrain;
+    }
+    
+    getFortifications() {
+        return this.layout ? this.layout.fortifications : null;
+    }
     
     // Utility methods
     getCityModels() {
@@ -120,21 +597,36 @@ export class CityGenerator {
         return this.buildings;
     }
     
+    getBuildingsByStyle(style) {
+        return this.buildings.filter(building => building.userData.style === style);
+    }
+    
     getVegetation() {
         return this.vegetation;
     }
     
-    updateCityConfig(config) {
-        this.cityConfig = { ...this.cityConfig, ...config };
+    getLandmarks() {
+        return this.landmarks;
     }
     
-    // Box-Animation für Demonstration
-    animateTestBox() {
-        const testBox = this.scene.getObjectByName('test-box');
-        if (testBox) {
-            // Einfache Rotation
-            testBox.rotation.y += 0.01;
-        }
+    getLandmark(kind) {
+        return this.landmarks.find(landmark => landmark.userData.landmark === kind) || null;
+    }
+    
+    getStreetLights() {
+        return this.layout ? this.layout.streetLights : [];
+    }
+    
+    getLayout() {
+        return this.layout;
+    }
+    
+    setSeed(seed) {
+        this.cityConfig.seed = seed;
+    }
+    
+    updateCityConfig(config) {
+        this.cityConfig = { ...this.cityConfig, ...config };
     }
     
     disposeModel(model) {
@@ -0,0 +1,365 @@
+/**
+ * InputManager - Zentrale Tastenbelegung für Kamera und Oberfläche
+ * Verantwortlichkeiten:
+ * - Aktionen (z.B. moveForward, ascend, toggleTime) statt roher Tasten-Codes
+ * - Ein Tastatur-Listener für alle Manager; Abonnenten erhalten Aktionen
+ * - Umbelegen zur Laufzeit, dauerhafte Ablage im localStorage
+ * - Konflikte erkennen: dieselbe Taste für zwei Aktionen, die gleichzeitig gelten
+ * - Eingaben in Textfeldern und Browser-Kürzel (Strg/Alt/Cmd + Taste) ignorieren
+ *
+ * Jede Aktion gilt in bestimmten Bereichen (scopes): 'global' oder einem Kamera-Modus
+ * ('drone', 'person', 'orbit'). Shift darf z.B. bei der Drohne "Sinken" und bei der
+ * Person "Rennen" bedeuten – ein Konflikt liegt nur vor, wenn sich die Bereiche überschneiden.
+ */
+
+const CAMERA_MODES = ['drone', 'person', 'orbit'];
+
+const DEFAULT_ACTIONS = [
+    // Kamera
+    { id: 'moveForward', label: 'Vorwärts', group: 'Kamera', scopes: CAMERA_MODES, keys: ['KeyW'] },
+    { id: 'moveBackward', label: 'Rückwärts', group: 'Kamera', scopes: CAMERA_MODES, keys: ['KeyS'] },
+    { id: 'moveLeft', label: 'Links', group: 'Kamera', scopes: ['drone', 'person'], keys: ['KeyA'] },
+    { id: 'moveRight', label: 'Rechts', group: 'Kamera', scopes: ['drone', 'person'], keys: ['KeyD'] },
+    { id: 'turnLeft', label: 'Links drehen', group: 'Kamera', scopes: CAMERA_MODES, keys: ['ArrowLeft'] },
+    { id: 'turnRight', label: 'Rechts drehen', group: 'Kamera', scopes: CAMERA_MODES, keys: ['ArrowRight'] },
+    { id: 'lookUp', label: 'Nach oben schauen', group: 'Kamera', scopes: CAMERA_MODES, keys: ['ArrowUp'] },
+    { id: 'lookDown', label: 'Nach unten schauen', group: 'Kamera', scopes: CAMERA_MODES, keys: ['ArrowDown'] },
+    { id: 'ascend', label: 'Steigen (Drohne)', group: 'Kamera', scopes: ['drone'], keys: ['Space'] },
+    { id: 'descend', label: 'Sinken (Drohne)', group: 'Kamera', scopes: ['drone'], keys: ['ShiftLeft'] },
+    { id: 'run', label: 'Rennen (Person)', group: 'Kamera', scopes: ['person'], keys: ['ShiftLeft', 'ControlLeft'] },
+    { id: 'jump', label: 'Springen (Person)', group: 'Kamera', scopes: ['person'], keys: ['Space'] },
+    { id: 'crouch', label: 'Ducken (Person)', group: 'Kamera', scopes: ['person'], keys: ['KeyX'] },
+
+    // Oberfläche
+    { id: 'toggleCameraMode', label: 'Kamera-Modus wechseln', group: 'Allgemein', scopes: ['global'], keys: ['KeyC'] },
+    { id: 'resetCamera', label: 'Kamera zurücksetzen', group: 'Allgemein', scopes: ['global'], keys: ['KeyR'] },
+    { id: 'toggleTime', label: 'Zeit abspielen/pausieren', group: 'Allgemein', scopes: ['global'], keys: ['KeyP'] },
+    { id: 'toggleDayNight', label: 'Tag/Nacht', group: 'Allgemein', scopes: ['global'], keys: ['KeyT'] },
+    { id: 'toggleFullscreen', label: 'Vollbild', group: 'Allgemein', scopes: ['global'], keys: ['KeyF'] },
+    { id: 'toggleDebug', label: 'Debug-Info', group: 'Allgemein', scopes: ['global'], keys: ['KeyI'] },
+    { id: 'tourKeyframe', label: 'Tour-Keyframe setzen', group: 'Allgemein', scopes: ['global'], keys: ['KeyK'] },
+
+    // Lesezeichen 1–9
+    ...Array.from({ length: 9 }, (_, i) => ({
+        id: `bookmark${i + 1}`,
+        label: `Lesezeichen ${i + 1}`,
+        group: 'Lesezeichen',
+        scopes: ['global'],
+        keys: [`Digit${i + 1}`]
+    }))
+];
+
+const KEY_LABELS = {
+    Space: 'Leertaste',
+    ShiftLeft: 'Shift',
+    ShiftRight: 'Shift rechts',
+    ControlLeft: 'Strg',
+    ControlRight: 'Strg rechts',
+    AltLeft: 'Alt',
+    AltRight: 'Alt Gr',
+    ArrowLeft: '←',
+    ArrowRight: '→',
+    ArrowUp: '↑',
+    ArrowDown: '↓',
+    Enter: 'Enter',
+    Tab: 'Tab',
+    Backspace: 'Rücktaste'
+};
+
+export class InputManager {
+    constructor(target = window) {
+        this.target = target;
+
+        this.config = {
+            storageKey: 'historic-city.bindings',
+            // Bleiben fest: Esc verlässt Pointer Lock und Vollbild
+            reservedKeys: ['Escape']
+        };
+
+        this.actions = new Map(DEFAULT_ACTIONS.map(action => [action.id, {
+            ...action,
+            defaultKeys: [...action.keys],
+            keys: [...action.keys]
+        }]));
+
+        this.listeners = new Map();     // Aktion -> Callbacks (pressed, event)
+        this.pressed = new Set();       // gehaltene Aktionen
+        this.heldKeys = new Set();
+        this.captureCallback = null;    // nächste Taste für das Umbelegen abfangen
+
+        this.onChangeCallback = null;
+
+        this.loadBindings();
+
+        this.handlers = {
+            keydown: (event) => this.onKeyDown(event),
+            keyup: (event) => this.onKeyUp(event),
+            blur: () => this.releaseAll()
+        };
+        Object.entries(this.handlers).forEach(([type, handler]) => this.target.addEventListener(type, handler));
+    }
+
+    static isTextInput(element) {
+        if (!element || !element.tagName) return false;
+        const tag = element.tagName.toUpperCase();
+        return tag === 'TEXTAREA' || tag === 'SELECT' || !!element.isContentEditable ||
+            (tag === 'INPUT' && !['range', 'checkbox', 'radio', 'button', 'submit'].includes(element.type));
+    }
+
+    static isModifierKey(code) {
+        return /^(Shift|Control|Alt|Meta)(Left|Right)$/.test(code);
+    }
+
+    static formatKey(code) {
+        if (KEY_LABELS[code]) return KEY_LABELS[code];
+        if (code.startsWith('Key')) return code.slice(3);
+        if (code.startsWith('Digit')) return code.slice(5);
+        if (code.startsWith('Numpad')) return `Num ${code.slice(6)}`;
+        return code;
+    }
+
+    /**
+     * Callback für eine Aktion registrieren: callback(pressed, event).
+     * Gibt eine Funktion zum Abmelden zurück.
+     */
+    on(actionId, callback) {
+        if (!this.actions.has(actionId)) {
+            console.warn(`Unbekannte Eingabe-Aktion: ${actionId}`);
+            return () => {};
+        }
+        if (!this.listeners.has(actionId)) this.listeners.set(actionId, new Set());
+        this.listeners.get(actionId).add(callback);
+        return () => this.listeners.get(actionId).delete(callback);
+    }
+
+    isPressed(actionId) {
+        return this.pressed.has(actionId);
+    }
+
+    // Strg oder Alt gedrückt und als Taste einer Aktion gehalten (heldKeys enthält nur belegte Tasten)
+    isBoundModifierHeld() {
+        return [...this.heldKeys].some(code => /^(Control|Alt)(Left|Right)$/.test(code));
+    }
+
+    onKeyDown(event) {
+        if (this.captureCallback) {
+            this.capture(event);
+            return;
+        }
+        // Textfelder und System-Kürzel (Cmd+…, Strg+…, Alt+…) bleiben unangetastet;
+        // Modifikatortasten selbst können belegt sein (Strg für Rennen) – solange eine
+        // davon eine Aktion hält, gehören auch Tasten wie WASD dazu und nicht dem Browser
+        if (InputManager.isTextInput(event.target) || event.metaKey) return;
+        if ((event.ctrlKey || event.altKey) && !InputManager.isModifierKey(event.code) &&
+            !this.isBoundModifierHeld()) return;
+
+        const actions = this.getActionsForKey(event.code);
+        if (actions.length === 0) return;
+
+        event.preventDefault();
+        this.heldKeys.add(event.code);
+        actions.forEach(action => {
+            // Autorepeat löst gehaltene Aktionen nicht erneut aus
+            if (event.repeat && this.pressed.has(action.id)) return;
+            this.pressed.add(action.id);
+            this.emit(action.id, true, event);
+        });
+    }
+
+    // Loslassen immer verarbeiten, auch im Textfeld – sonst bleiben Tasten hängen
+    onKeyUp(event) {
+        if (!this.heldKeys.delete(event.code)) return;
+
+        this.getActionsForKey(event.code).forEach(action => {
+            // Noch über eine zweite Taste gehalten (z.B. Shift und Strg für Rennen)?
+            if (action.keys.some(code => this.heldKeys.has(code))) return;
+            if (!this.pressed.delete(action.id)) return;
+            this.emit(action.id, false, event);
+        });
+    }
+
+    /**
+     * Aktion ohne Tastatur auslösen (z.B. Gamepad-Taste). Gehaltene Aktionen
+     * werden wie eine Taste gedrückt bzw. losgelassen.
+     */
+    trigger(actionId, pressed = true) {
+        if (!this.actions.has(actionId)) return;
+        if (pressed) {
+            if (this.pressed.has(actionId)) return;
+            this.pressed.add(actionId);
+        } else if (!this.pressed.delete(actionId)) {
+            return;
+        }
+        this.emit(actionId, pressed, null);
+    }
+
+    releaseAll() {
+        this.heldKeys.clear();
+        [...this.pressed].forEach(actionId => {
+            this.pressed.delete(actionId);
+            this.emit(actionId, false, null);
+        });
+    }
+
+    emit(actionId, pressed, event) {
+        const listeners = this.listeners.get(actionId);
+        if (listeners) listeners.forEach(callback => callback(pressed, event));
+    }
+
+    getActionsForKey(code) {
+        return [...this.actions.values()].filter(action => action.keys.includes(code));
+    }
+
+    // Bindings
+    getActions() {
+        return [...this.actions.values()].map(action => ({
+            id: action.id,
+            label: action.label,
+            group: action.group,
+            scopes: [...action.scopes],
+            keys: [...action.keys],
+            defaultKeys: [...action.defaultKeys]
+        }));
+    }
+
+    getBinding(actionId) {
+        const action = this.actions.get(actionId);
+        return action ? [...action.keys] : [];
+    }
+
+    /**
+     * Tasten einer Aktion festlegen. Konflikte werden nicht verhindert, sondern
+     * zurückgegeben (und über getConflicts() angezeigt), damit Belegungen auch
+     * getauscht werden können.
+     */
+    setBinding(actionId, keys) {
+        const action = this.actions.get(actionId);
+        if (!action) {
+            console.warn(`Unbekannte Eingabe-Aktion: ${actionId}`);
+            return [];
+        }
+
+        const codes = (Array.isArray(keys) ? keys : [keys]).filter(code => code && !this.config.reservedKeys.includes(code));
+        this.releaseAll();
+        action.keys = [...new Set(codes)];
+
+        this.saveBindings();
+        this.notifyChange();
+        return this.getConflicts().filter(conflict => conflict.actions.includes(actionId));
+    }
+
+    resetBinding(actionId) {
+        const action = this.actions.get(actionId);
+        if (action) this.setBinding(actionId, action.defaultKeys);
+    }
+
+    resetAll() {
+        this.releaseAll();
+        this.actions.forEach(action => {
+            action.keys = [...action.defaultKeys];
+        });
+        this.saveBindings();
+        this.notifyChange();
+    }
+
+    // Bereiche überschneiden sich, wenn einer global ist oder beide einen Modus teilen
+    scopesOverlap(a, b) {
+        if (a.includes('global') || b.includes('global')) return true;
+        return a.some(scope => b.includes(scope));
+    }
+
+    // Liste von { key, actions: [id, id] } für alle überlappenden Doppelbelegungen
+    getConflicts() {
+        const conflicts = [];
+        const actions = [...this.actions.values()];
+
+        actions.forEach((a, i) => {
+            actions.slice(i + 1).forEach(b => {
+                if (!this.scopesOverlap(a.scopes, b.scopes)) return;
+                a.keys.filter(code => b.keys.includes(code)).forEach(key => {
+                    conflicts.push({ key, actions: [a.id, b.id] });
+                });
+            });
+        });
+        return conflicts;
+    }
+
+    // Eine Taste einer Aktion ersetzen (slot = Position) oder hinten anfügen (slot = Anzahl)
+    setBindingKey(actionId, slot, code) {
+        const keys = [...this.getBinding(actionId)];
+        keys[Math.min(slot, keys.length)] = code;
+        return this.setBinding(actionId, keys);
+    }
+
+    removeBindingKey(actionId, slot) {
+        return this.setBinding(actionId, this.getBinding(actionId).filter((_, index) => index !== slot));
+    }
+
+    /**
+     * Nächste gedrückte Taste an callback(code) geben statt sie auszulösen (Umbelegen).
+     * Esc bricht ab und liefert null.
+     */
+    captureNextKey(callback) {
+        this.releaseAll();
+        this.captureCallback = callback;
+    }
+
+    cancelCapture() {
+        this.captureCallback = null;
+    }
+
+    capture(event) {
+        event.preventDefault();
+        const callback = this.captureCallback;
+        this.captureCallback = null;
+        callback(event.code === 'Escape' ? null : event.code);
+    }
+
+    // Persistenz: nur Abweichungen von der Standardbelegung speichern
+    loadBindings() {
+        try {
+            const stored = globalThis.localStorage?.getItem(this.config.storageKey);
+            const overrides = stored ? JSON.parse(stored) : {};
+            Object.entries(overrides).forEach(([actionId, keys]) => {
+                const action = this.actions.get(actionId);
+                if (action && Array.isArray(keys)) action.keys = keys.filter(code => typeof code === 'string');
+            });
+        } catch (error) {
+            console.warn('⚠️ Tastenbelegung konnte nicht gelesen werden:', error);
+        }
+    }
+
+    saveBindings() {
+        const overrides = {};
+        this.actions.forEach(action => {
+            if (action.keys.join() !== action.defaultKeys.join()) overrides[action.id] = action.keys;
+        });
+
+        try {
+            globalThis.localStorage?.setItem(this.config.storageKey, JSON.stringify(overrides));
+        } catch (error) {
+            console.warn('⚠️ Tastenbelegung konnte nicht gespeichert werden:', error);
+        }
+    }
+
+    notifyChange() {
+        if (this.onChangeCallback) {
+            this.onChangeCallback(this.getActions(), this.getConflicts());
+        }
+    }
+
+    // Callback Registration
+    setOnChange(callback) {
+        this.onChangeCallback = callback;
+    }
+
+    // Cleanup
+    dispose() {
+        Object.entries(this.handlers).forEach(([type, handler]) => this.target.removeEventListener(type, handler));
+        this.listeners.clear();
+        this.pressed.clear();
+        this.heldKeys.clear();
+        this.captureCallback = null;
+        this.onChangeCallback = null;
+    }
+}
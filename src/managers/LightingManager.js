@@ -1,13 +1,24 @@
 import * as THREE from 'three';
+import {
+    sunPosition,
+    moonPosition,
+    moonIllumination,
+    horizontalToDirection,
+    localTimeToDate
+} from '../utils/Astronomy.js';
+import { LightingTimeline } from '../utils/LightingTimeline.js';
+import { NightLights } from '../utils/NightLights.js';
 
 /**
  * LightingManager - Verwaltet die dynamische Beleuchtung
  * Verantwortlichkeiten:
  * - Ambient und Directional Light Setup
- * - Tag/Nacht-Zyklus mit dynamischen Farben
- * - Sonnenposition basierend auf Tageszeit
- * - Schatten-Konfiguration
- * - Atmosphärische Effekte (Fog, Background)
+ * - Tag/Nacht-Zyklus aus interpolierten Licht-Keyframes (ladbare Presets)
+ * - Sonnen- und Mondstand aus Ort, Datum und Tageszeit
+ * - Mond mit Phasen als Nachtlicht
+ * - Nachtbeleuchtung: Laternen, Torfackeln und erleuchtete Fenster (Budget an Punktlichtern)
+ * - Schatten-Konfiguration (Fallback – mit ShadowManager folgen kaskadierte Schatten der Kamera)
+ * - Atmosphärische Effekte (Fog, Background) – mit SkyManager übernimmt dieser Fog und Himmel
  */
 export class LightingManager {
     constructor(scene) {
@@ -17,36 +28,61 @@ export class LightingManager {
         this.currentTime = 12.0; // 12:00 Uhr
         this.currentSeason = 'summer';
         
-        // Licht-Konfiguration für verschiedene Tageszeiten
+        // Standort der Stadt – bestimmt Tageslänge, Sonnenhöhe und Schattenrichtung
+        this.location = {
+            name: 'Rothenburg ob der Tauber',
+            latitude: 49.377,
+            longitude: 10.179,
+            utcOffset: null    // null = mittlere Ortszeit (Sonnenuhr)
+        };
+        this.year = 1480;
+        // Repräsentativer Kalendertag je Jahreszeit (Monat 0-basiert)
+        this.seasonDates = {
+            spring: { month: 3, day: 20 },
+            summer: { month: 5, day: 21 },
+            autumn: { month: 9, day: 10 },
+            winter: { month: 11, day: 21 }
+        };
+        this.date = this.getSeasonDate(this.currentSeason);
+        this.celestial = null;
+        this.moonMesh = null;
+        this.lightDistance = 100;
+        this.skyEnabled = false;
+        this.nightLights = null;
+        
+        // Aktuell angewendeter Jahreszeiten-Faktor (wird beim Wechsel überblendet)
+        this.seasonalModifier = { ...this.getSeasonalModifier() };
+        // Wetter dämpft Sonne und Himmelslicht (vom WeatherManager überblendet)
+        this.weatherModifier = { sun: 1, ambient: 1 };
+        
+        // Licht-Preset: Keyframes nach Sonnenhöhe, dazwischen wird interpoliert (Format siehe LightingTimeline)
         this.lightConfig = {
-            night: {
-                directionalColor: 0x404080,
-                directionalIntensity: 0.3,
-                ambientIntensity: 0.1,
-                backgroundColor: 0x000033,
-                fogColor: 0x000033
-            },
-            dawn: {
-                directionalColor: 0xFF6600,
-                directionalIntensity: 0.7,
-                ambientIntensity: 0.3,
-                backgroundColor: 0x664400,
-                fogColor: 0x664400
-            },
-            day: {
-                directionalColor: 0xFFFFAA,
-                directionalIntensity: 1.0,
-                ambientIntensity: 0.4,
-                backgroundColor: 0x87CEEB,
-                fogColor: 0x87CEEB
-            }
+            name: 'Standard',
+            moonlight: { color: 0x8FA0D0, intensity: 0.3 },
+            keyframes: [
+                { id: 'midnight', phase: 'both', sunAltitude: -90, directionalColor: 0x2A3560, directionalIntensity: 0, ambientColor: 0x202840, ambientIntensity: 0.08, backgroundColor: 0x02030A, fogColor: 0x05070F, zenithColor: 0x010207 },
+                { id: 'night-end', phase: 'morning', sunAltitude: -18, directionalColor: 0x2A3560, directionalIntensity: 0, ambientColor: 0x222A48, ambientIntensity: 0.09, backgroundColor: 0x050814, fogColor: 0x080C1A, zenithColor: 0x02040C },
+                { id: 'blue-hour-morning', phase: 'morning', sunAltitude: -6, directionalColor: 0x5A6FB0, directionalIntensity: 0.05, ambientColor: 0x3A4A80, ambientIntensity: 0.16, backgroundColor: 0x1E2C5A, fogColor: 0x2A3A68, zenithColor: 0x0C1538 },
+                { id: 'dawn', phase: 'morning', sunAltitude: 0, directionalColor: 0xFF7A3A, directionalIntensity: 0.45, ambientColor: 0x806070, ambientIntensity: 0.24, backgroundColor: 0xE08A5A, fogColor: 0xC98A6A, zenithColor: 0x34548E },
+                { id: 'golden-hour-morning', phase: 'morning', sunAltitude: 6, directionalColor: 0xFFB060, directionalIntensity: 0.8, ambientColor: 0xA09080, ambientIntensity: 0.32, backgroundColor: 0xF3C58A, fogColor: 0xE8C79A, zenithColor: 0x5A8CCC },
+                { id: 'day', phase: 'both', sunAltitude: 20, directionalColor: 0xFFF4D6, directionalIntensity: 1.0, ambientColor: 0x9098A8, ambientIntensity: 0.4, backgroundColor: 0x87CEEB, fogColor: 0x9CCDE8, zenithColor: 0x3F7FD6 },
+                { id: 'noon', phase: 'both', sunAltitude: 90, directionalColor: 0xFFFFF0, directionalIntensity: 1.05, ambientColor: 0x9AA0B0, ambientIntensity: 0.42, backgroundColor: 0x7EC8F0, fogColor: 0x9CCDE8, zenithColor: 0x3A76D4 },
+                { id: 'golden-hour-evening', phase: 'evening', sunAltitude: 6, directionalColor: 0xFF9E4A, directionalIntensity: 0.8, ambientColor: 0xA08878, ambientIntensity: 0.32, backgroundColor: 0xF0B070, fogColor: 0xE6B888, zenithColor: 0x5484C4 },
+                { id: 'dusk', phase: 'evening', sunAltitude: 0, directionalColor: 0xFF5E2A, directionalIntensity: 0.4, ambientColor: 0x7A5068, ambientIntensity: 0.22, backgroundColor: 0xD9704A, fogColor: 0xB8705E, zenithColor: 0x2E4A86 },
+                { id: 'blue-hour-evening', phase: 'evening', sunAltitude: -6, directionalColor: 0x5060A8, directionalIntensity: 0.05, ambientColor: 0x34427A, ambientIntensity: 0.15, backgroundColor: 0x1A2654, fogColor: 0x243462, zenithColor: 0x0A1234 },
+                { id: 'night-start', phase: 'evening', sunAltitude: -18, directionalColor: 0x2A3560, directionalIntensity: 0, ambientColor: 0x222A48, ambientIntensity: 0.09, backgroundColor: 0x050814, fogColor: 0x080C1A, zenithColor: 0x02040C }
+            ]
         };
+        this.timeline = new LightingTimeline(this.lightConfig);
+        this.lightSample = this.timeline.createSample();
         
         this.init();
     }
     
     init() {
         this.setupLights();
+        this.setupMoon();
+        this.nightLights = new NightLights(this.scene);
         this.updateLighting();
     }
     
@@ -66,6 +102,60 @@ export class LightingManager {
         this.scene.add(this.directionalLight);
     }
     
+    // Mondscheibe: Phase ergibt sich aus der Sonnenrichtung im Shader
+    setupMoon() {
+        const material = new THREE.ShaderMaterial({
+            uniforms: {
+                sunDirection: { value: new THREE.Vector3(0, 1, 0) },
+                litColor: { value: new THREE.Color(0xF4F1E6) },
+                darkColor: { value: new THREE.Color(0x1A1D26) }
+            },
+            vertexShader: `
+                varying vec3 vNormal;
+                void main() {
+                    vNormal = normalize(mat3(modelMatrix) * normal);
+                    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+                }
+            `,
+            fragmentShader: `
+                uniform vec3 sunDirection;
+                uniform vec3 litColor;
+                uniform vec3 darkColor;
+                varying vec3 vNormal;
+                void main() {
+                    float light = smoothstep(-0.05, 0.1, dot(normalize(vNormal), sunDirection));
+                    gl_FragColor = vec4(mix(darkColor, litColor, light), 1.0);
+                }
+            `,
+            fog: false
+        });
+        
+        this.moonMesh = new THREE.Mesh(new THREE.SphereGeometry(8, 24, 16), material);
+        this.moonMesh.name = 'moon';
+        this.moonMesh.userData = { type: 'celestial' };
+        this.scene.add(this.moonMesh);
+    }
+    
+    /**
+     * Lichtquellen und Fenster der generierten Stadt übernehmen.
+     * Nach jeder (Neu-)Generierung aufrufen.
+     */
+    attachCity(cityGenerator) {
+        const layout = cityGenerator.getLayout();
+        this.nightLights.attach(
+            cityGenerator.getStreetLights(),
+            cityGenerator.getBuildings(),
+            layout ? layout.seed : 0
+        );
+    }
+    
+    // Pro Frame: Laternen schalten, flackern und die nächsten Punktlichter zur Kamera wählen
+    update(deltaTime, camera = null) {
+        if (this.nightLights) {
+            this.nightLights.update(deltaTime, this.getSunAltitude(), camera ? camera.position : null);
+        }
+    }
+    
     setupShadows() {
         this.directionalLight.shadow.mapSize.width = 2048;
         this.directionalLight.shadow.mapSize.height = 2048;
@@ -82,62 +172,209 @@ export class LightingManager {
         this.updateLighting();
     }
     
+    // Jahreszeit wählt auch den Kalendertag (kurze Wintertage, tiefe Sonne)
     setSeason(season) {
         this.currentSeason = season;
+        this.date = this.getSeasonDate(season);
+        this.updateLighting();
+    }
+    
+    setDate(date) {
+        this.date = new Date(date);
         this.updateLighting();
     }
     
+    // Ort der Stadt, z.B. { latitude, longitude, utcOffset, name }
+    setLocation(location) {
+        this.location = { ...this.location, ...location };
+        this.updateLighting();
+    }
+    
+    getSeasonDate(season) {
+        const { month, day } = this.seasonDates[season] || this.seasonDates.summer;
+        const date = new Date(Date.UTC(2000, month, day));
+        date.setUTCFullYear(this.year);
+        return date;
+    }
+    
     updateLighting() {
         this.updateSunPosition();
         this.updateLightColors();
         this.updateAtmosphere();
     }
     
+    // Aktueller Zeitpunkt aus Kalendertag, Uhrzeit und Längengrad
+    getDateTime() {
+        const { longitude, utcOffset } = this.location;
+        return localTimeToDate(this.date, this.currentTime, longitude, utcOffset);
+    }
+    
     updateSunPosition() {
-        // Berechne Sonnenposition basierend auf Tageszeit
-        const sunAngle = (this.currentTime / 24) * Math.PI * 2 - Math.PI / 2;
-        const sunHeight = Math.sin(sunAngle) * 50;
-        const sunDistance = Math.cos(sunAngle) * 50;
+        const { latitude, longitude } = this.location;
+        const dateTime = this.getDateTime();
+        
+        const sun = sunPosition(dateTime, latitude, longitude);
+        const moon = moonPosition(dateTime, latitude, longitude);
+        const illumination = moonIllumination(dateTime);
+        
+        sun.direction = horizontalToDirection(sun.altitude, sun.azimuth);
+        moon.direction = horizontalToDirection(moon.altitude, moon.azimuth);
+        
+        // Sonne leuchtet bis in die blaue Stunde, danach übernimmt der Mond.
+        // Übergabe über Intensität 0, damit die Schatten nicht springen.
+        const sunAltitude = sun.altitude / (Math.PI / 180);
+        const sunWeight = this.smoothstep(-10, -4, sunAltitude);
+        const moonFactor = illumination.fraction * this.smoothstep(-1, 6, moon.altitude / (Math.PI / 180));
+        const body = sunWeight >= 0.5 || moonFactor <= 0 ? sun : moon;
         
+        this.celestial = {
+            sun,
+            moon,
+            moonIllumination: illumination,
+            activeBody: body === sun ? 'sun' : 'moon',
+            // Vormittag: Sonne im Osten (Azimut < 180°)
+            rising: sun.azimuth < Math.PI,
+            sunFactor: Math.max(0, sunWeight * 2 - 1),
+            moonFactor: moonFactor * Math.max(0, 1 - sunWeight * 2)
+        };
+        
+        // Licht nie von unten – unter dem Horizont knapp darüber halten
+        const altitude = Math.max(body.altitude, 2 * Math.PI / 180);
+        const direction = horizontalToDirection(altitude, body.azimuth);
         this.directionalLight.position.set(
-            sunDistance, 
-            Math.max(sunHeight, 5), 
-            25
+            direction.x * this.lightDistance,
+            direction.y * this.lightDistance,
+            direction.z * this.lightDistance
         );
+        
+        this.updateMoon();
+    }
+    
+    updateMoon() {
+        if (!this.moonMesh) return;
+        
+        const { sun, moon } = this.celestial;
+        const distance = 450;
+        this.moonMesh.position.set(
+            moon.direction.x * distance,
+            moon.direction.y * distance,
+            moon.direction.z * distance
+        );
+        this.moonMesh.visible = moon.altitude > -0.05;
+        
+        // Sonnenrichtung relativ zum Mond (Sonne praktisch unendlich weit entfernt)
+        this.moonMesh.material.uniforms.sunDirection.value.set(sun.direction.x, sun.direction.y, sun.direction.z);
+    }
+    
+    smoothstep(edge0, edge1, value) {
+        const t = Math.max(0, Math.min(1, (value - edge0) / (edge1 - edge0)));
+        return t * t * (3 - 2 * t);
     }
     
     updateLightColors() {
         const config = this.getCurrentLightConfig();
+        const { warmth, intensity } = this.seasonalModifier;
+        const weather = this.weatherModifier;
+        const { activeBody, sunFactor, moonFactor } = this.celestial;
         
-        // Directional Light (Sonne/Mond)
-        this.directionalLight.color.setHex(config.directionalColor);
-        this.directionalLight.intensity = config.directionalIntensity;
+        // Directional Light (Sonne/Mond) – Mondlicht skaliert mit der Phase
+        if (activeBody === 'sun') {
+            this.directionalLight.color.copy(config.directionalColor);
+            this.directionalLight.intensity = config.directionalIntensity * sunFactor * intensity * weather.sun;
+        } else {
+            const { moonlight } = this.timeline;
+            this.directionalLight.color.copy(moonlight.color);
+            this.directionalLight.intensity = moonlight.intensity * moonFactor * intensity * weather.sun;
+        }
+        
+        // Wärme > 1 färbt Richtung Abendrot, < 1 Richtung kühles Winterlicht
+        if (warmth > 1) {
+            this.directionalLight.color.lerp(new THREE.Color(0xFFB070), Math.min(1, warmth - 1));
+        } else if (warmth < 1) {
+            this.directionalLight.color.lerp(new THREE.Color(0xB0C8FF), Math.min(1, 1 - warmth));
+        }
         
         // Ambient Light
-        this.ambientLight.intensity = config.ambientIntensity;
+        this.ambientLight.color.copy(config.ambientColor);
+        this.ambientLight.intensity = config.ambientIntensity * intensity * weather.ambient;
     }
     
     updateAtmosphere() {
+        // Himmelskuppel leitet Fog und Hintergrund selbst aus der Horizontfarbe ab
+        if (this.skyEnabled) return;
+        
         const config = this.getCurrentLightConfig();
         
         // Hintergrundfarbe
-        this.scene.background.setHex(config.backgroundColor);
+        this.scene.background.copy(config.backgroundColor);
         
         // Fog Farbe
         if (this.scene.fog) {
-            this.scene.fog.color.setHex(config.fogColor);
+            this.scene.fog.color.copy(config.fogColor);
         }
     }
     
+    // Interpolierter Zustand der Licht-Keyframes für den aktuellen Sonnenstand
     getCurrentLightConfig() {
-        // Bestimme Konfiguration basierend auf Tageszeit
-        if (this.currentTime < 6 || this.currentTime > 20) {
-            return this.lightConfig.night;
-        } else if (this.currentTime < 8 || this.currentTime > 18) {
-            return this.lightConfig.dawn;
-        } else {
-            return this.lightConfig.day;
+        const rising = this.celestial ? this.celestial.rising : true;
+        return this.timeline.sample(this.getSunAltitude(), rising, this.lightSample);
+    }
+    
+    /**
+     * Licht-Preset setzen: Objekt im Preset-Format oder URL einer JSON-Datei
+     * (z.B. '/presets/lighting/winter.json'). Ungültige Presets werfen einen Fehler.
+     */
+    async loadPreset(source) {
+        let preset = source;
+        if (typeof source === 'string') {
+            const response = await fetch(source);
+            if (!response.ok) {
+                throw new Error(`Licht-Preset nicht gefunden: ${source}`);
+            }
+            preset = await response.json();
         }
+        
+        this.timeline.setPreset(preset);
+        this.lightConfig = preset;
+        this.updateLighting();
+        return preset;
+    }
+    
+    getPreset() {
+        return this.timeline.toJSON();
+    }
+    
+    updateKeyframe(id, changes) {
+        this.timeline.updateKeyframe(id, changes);
+        this.lightConfig = this.timeline.preset;
+        this.updateLighting();
+    }
+    
+    // Vom SkyManager gesetzt, solange die Himmelskuppel aktiv ist
+    setSkyEnabled(enabled) {
+        this.skyEnabled = enabled;
+        this.updateAtmosphere();
+    }
+    
+    getSunAltitude() {
+        return this.celestial ? this.celestial.sun.altitude / (Math.PI / 180) : 0;
+    }
+    
+    getCelestialState() {
+        return this.celestial;
+    }
+    
+    // Richtung zur aktiven Lichtquelle (Sonne oder Mond), normalisiert
+    getLightDirection() {
+        return this.directionalLight.position.clone().normalize();
+    }
+    
+    getNightLights() {
+        return this.nightLights;
+    }
+    
+    getLocation() {
+        return this.location;
     }
     
     getTimeString() {
@@ -163,8 +400,20 @@ export class LightingManager {
         this.updateLighting();
     }
     
+    // Überblendeten Jahreszeiten-Faktor setzen (z.B. vom SeasonManager)
+    setSeasonalModifier(modifier) {
+        this.seasonalModifier = { ...modifier };
+        this.updateLightColors();
+    }
+    
+    // Überblendeten Wetter-Faktor setzen, z.B. { sun: 0.3, ambient: 0.8 }
+    setWeatherModifier(modifier) {
+        this.weatherModifier = { ...this.weatherModifier, ...modifier };
+        this.updateLightColors();
+    }
+    
     // Seasonal light adjustments
-    getSeasonalModifier() {
+    getSeasonalModifier(season = this.currentSeason) {
         const modifiers = {
             spring: { warmth: 1.1, intensity: 1.0 },
             summer: { warmth: 1.2, intensity: 1.1 },
@@ -172,7 +421,7 @@ export class LightingManager {
             winter: { warmth: 0.8, intensity: 0.8 }
         };
         
-        return modifiers[this.currentSeason] || modifiers.summer;
+        return modifiers[season] || modifiers.summer;
     }
     
     // Cleanup
@@ -183,5 +432,13 @@ export class LightingManager {
         if (this.directionalLight) {
             this.scene.remove(this.directionalLight);
         }
+        if (this.moonMesh) {
+            this.scene.remove(this.moonMesh);
+            this.moonMesh.geometry.dispose();
+            this.moonMesh.material.dispose();
+        }
+        if (this.nightLights) {
+            this.nightLights.dispose();
+        }
     }
 }
\ No newline at end of file
@@ -1,12 +1,11 @@
 import * as THREE from 'three';
-import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
 import { CameraManager } from './CameraManager.js';
 
 /**
  * SceneManager - Verwaltet die Three.js Grundkomponenten
  * Verantwortlichkeiten:
  * - Scene, Camera, Renderer Setup
- * - Camera Controls (OrbitControls)
+ * - Camera Controls (CameraManager: Tastatur und Maus)
  * - Window Resize Handling
  * - Render Loop Koordination
  */
@@ -56,6 +55,7 @@ export class SceneManager {
     
     setupCameraManager() {
         this.cameraManager = new CameraManager(this.renderer);
+        this.cameraManager.setScene(this.scene);
     }
     
     setupEventListeners() {
@@ -75,9 +75,11 @@ export class SceneManager {
     }
     
     resetCamera() {
-        // Reset für aktuellen Kamera-Modus
+        // Reset für aktuellen Kamera-Modus – vom aktuellen Blick aus angeflogen
         const currentMode = this.cameraManager.getCurrentMode();
         const modes = this.cameraManager.getModes();
+        this.cameraManager.cancelTransition();
+        const startView = this.cameraManager.captureView();
         
         if (currentMode === modes.DRONE) {
             // Drohnen-Kamera zurücksetzen
@@ -90,14 +92,21 @@ export class SceneManager {
             this.cameraManager.droneCamera.quaternion.setFromEuler(euler);
         } else if (currentMode === modes.PERSON) {
             // Personen-Kamera zurücksetzen
-            this.cameraManager.personCamera.position.set(0, this.cameraManager.personHeight, 5);
+            const groundHeight = this.cameraManager.getGroundHeight(0, 5);
+            this.cameraManager.personCamera.position.set(0, groundHeight + this.cameraManager.personHeight, 5);
+            this.cameraManager.resetCharacter();
             this.cameraManager.personYaw = 0;
             this.cameraManager.personPitch = 0;
             
             // Quaternion korrekt zurücksetzen
             const euler = new THREE.Euler(0, 0, 0, 'YXZ');
             this.cameraManager.personCamera.quaternion.setFromEuler(euler);
+        } else if (currentMode === modes.ORBIT) {
+            // Orbit um die Stadtmitte
+            this.cameraManager.resetOrbit();
         }
+        
+        this.cameraManager.animateFrom(startView);
     }
     
     update() {
@@ -140,7 +149,7 @@ export class SceneManager {
     // Cleanup
     dispose() {
         if (this.cameraManager) {
-            // CameraManager hat eigene Dispose-Logik falls nötig
+            this.cameraManager.dispose();
         }
         this.renderer.dispose();
         window.removeEventListener('resize', () => this.onWindowResize());
@@ -0,0 +1,389 @@
+import * as THREE from 'three';
+
+/**
+ * SeasonManager - Jahreszeitliche Veränderungen der Stadt
+ * Verantwortlichkeiten:
+ * - Frühling: Obstblüte, frisches Grün
+ * - Sommer: volles Laub (Ausgangszustand der Generatoren)
+ * - Herbst: Laubfärbung und Laub unter den Bäumen
+ * - Winter: kahle Laubbäume, Schnee auf Dächern, Wegen und Wiesen
+ * - Jahreszeiten-Faktor (Wärme/Intensität) für die Beleuchtung
+ * - Weiche Überblendung statt hartem Umschalten
+ *
+ * Jede veränderliche Eigenschaft ist ein "Kanal" mit read(), target(season) und
+ * write(values). Ein Wechsel blendet vom aktuellen Wert zum Zielwert, daher
+ * funktionieren auch Wechsel mitten in einer laufenden Überblendung.
+ */
+export class SeasonManager {
+    constructor(scene, lightingManager, cityGenerator) {
+        this.scene = scene;
+        this.lightingManager = lightingManager;
+        this.cityGenerator = cityGenerator;
+
+        this.currentSeason = lightingManager.getCurrentSeason();
+        this.channels = [];
+        this.decorations = [];
+        this.transition = null;
+
+        this.config = {
+            transitionDuration: 1.5,    // Sekunden
+            snowColor: 0xF2F5FA,
+            blossomColor: 0xF5C6D6,
+            freshGreen: 0x9ACD32,
+            autumnColors: [0xC8641E, 0xD9A21B, 0x9E2F1C, 0xB5762B],
+            witheredColor: 0x7A5A3A,
+            // Anteil der Laubkrone je Jahreszeit (0 = kahl)
+            foliage: { spring: 0.9, summer: 1, autumn: 0.95, winter: 0 },
+            // Deckkraft des Schnees auf Dächern und Wegen
+            snow: { roofs: 0.8, roads: 0.55, ground: 0.9 }
+        };
+    }
+
+    /**
+     * Kanäle für die aktuell generierte Stadt aufbauen und die aktuelle
+     * Jahreszeit sofort anwenden. Nach jeder (Neu-)Generierung aufrufen.
+     */
+    attach() {
+        this.clearDecorations();
+        this.transition = null;
+        this.channels = [];
+
+        this.cityGenerator.getVegetation().forEach(object => this.addVegetationChannels(object));
+        this.addRoofChannels();
+        this.addPathChannels();
+        this.addTerrainChannel();
+        this.addLightChannel();
+
+        this.channels.forEach(channel => channel.write(channel.target(this.currentSeason)));
+    }
+
+    setSeason(season, immediate = false) {
+        this.currentSeason = season;
+
+        if (this.lightingManager.getCurrentSeason() !== season) {
+            this.lightingManager.setSeason(season);
+        }
+
+        if (immediate) {
+            this.transition = null;
+            this.channels.forEach(channel => channel.write(channel.target(season)));
+            return;
+        }
+
+        this.transition = {
+            elapsed: 0,
+            duration: this.config.transitionDuration,
+            from: this.channels.map(channel => channel.read()),
+            to: this.channels.map(channel => channel.target(season)),
+            buffers: this.channels.map(channel => new Float32Array(channel.size))
+        };
+    }
+
+    update(deltaTime) {
+        const transition = this.transition;
+        if (!transition) return;
+
+        transition.elapsed += deltaTime;
+        const progress = Math.min(1, transition.elapsed / transition.duration);
+        const t = progress * progress * (3 - 2 * progress);
+
+        this.channels.forEach((channel, index) => {
+            const from = transition.from[index];
+            const to = transition.to[index];
+            const values = transition.buffers[index];
+            for (let i = 0; i < values.length; i++) {
+                values[i] = from[i] + (to[i] - from[i]) * t;
+            }
+            channel.write(values);
+        });
+
+        if (progress >= 1) {
+            this.transition = null;
+        }
+    }
+
+    isTransitioning() {
+        return this.transition !== null;
+    }
+
+    getCurrentSeason() {
+        return this.currentSeason;
+    }
+
+    // Kronen umfärben, Laubbäume entlauben, Laub am Boden
+    addVegetationChannels(object) {
+        const { kind, part } = object.userData;
+        if (!object.isInstancedMesh || part !== 'crown') return;
+
+        this.channels.push(this.createInstanceColorChannel(object, season => this.getFoliageColors(object, season)));
+
+        if (kind === 'deciduous' || kind === 'fruit') {
+            this.channels.push(this.createInstanceScaleChannel(object, season => this.config.foliage[season] ?? 1));
+            this.addLeafLitter(object);
+        } else if (kind === 'bush') {
+            this.channels.push(this.createInstanceScaleChannel(object, season => (season === 'winter' ? 0.75 : 1)));
+        }
+    }
+
+    getFoliageColors(mesh, season) {
+        const { kind, instances, baseColors } = mesh.userData;
+        const { snowColor, blossomColor, freshGreen, autumnColors, witheredColor } = this.config;
+        const result = new Float32Array(baseColors.length);
+        const color = new THREE.Color();
+        const accent = new THREE.Color();
+
+        instances.forEach((item, i) => {
+            color.fromArray(baseColors, i * 3);
+
+            if (season === 'spring') {
+                color.lerp(accent.setHex(kind === 'fruit' ? blossomColor : freshGreen), kind === 'fruit' ? 0.85 : 0.3);
+            } else if (season === 'autumn') {
+                const amount = { deciduous: 0.85, fruit: 0.7, bush: 0.5, hedge: 0.2 }[kind] || 0;
+                const index = Math.min(autumnColors.length - 1, Math.floor(item.tint * autumnColors.length));
+                color.lerp(accent.setHex(autumnColors[index]), amount);
+            } else if (season === 'winter') {
+                if (kind === 'deciduous' || kind === 'fruit') {
+                    // Welkes Laub während des Abwerfens
+                    color.lerp(accent.setHex(witheredColor), 0.8);
+                } else {
+                    color.lerp(accent.setHex(witheredColor), kind === 'conifer' ? 0 : 0.4);
+                    color.lerp(accent.setHex(snowColor), kind === 'conifer' ? 0.35 : 0.45);
+                }
+            }
+
+            color.toArray(result, i * 3);
+        });
+
+        return result;
+    }
+
+    createInstanceColorChannel(mesh, getTarget) {
+        const colors = mesh.instanceColor;
+        return {
+            size: colors.array.length,
+            read: () => Float32Array.from(colors.array),
+            target: getTarget,
+            write: (values) => {
+                colors.array.set(values);
+                colors.needsUpdate = true;
+            }
+        };
+    }
+
+    // Skaliert jede Instanz um ihren Ursprung (Kronenansatz), 0 blendet sie aus
+    createInstanceScaleChannel(mesh, getFactor) {
+        const baseMatrices = Float32Array.from(mesh.instanceMatrix.array);
+        const count = mesh.count;
+        let current = new Float32Array(count).fill(1);
+
+        return {
+            size: count,
+            read: () => Float32Array.from(current),
+            target: season => new Float32Array(count).fill(getFactor(season)),
+            write: (values) => {
+                const matrices = mesh.instanceMatrix.array;
+                for (let i = 0; i < count; i++) {
+                    const offset = i * 16;
+                    for (let k = 0; k < 16; k++) {
+                        // Spalten 0–2 tragen Rotation und Skalierung, Spalte 3 die Position
+                        matrices[offset + k] = k < 12 ? baseMatrices[offset + k] * values[i] : baseMatrices[offset + k];
+                    }
+                }
+                mesh.instanceMatrix.needsUpdate = true;
+                mesh.visible = values.some(value => value > 0.001);
+                current = Float32Array.from(values);
+            }
+        };
+    }
+
+    // Herbstlaub als Teppich unter den Kronen, folgt dem Gelände
+    addLeafLitter(crowns) {
+        const { instances } = crowns.userData;
+        const { autumnColors } = this.config;
+        const positions = [];
+        const colors = [];
+        const color = new THREE.Color();
+        const segments = 10;
+
+        instances.forEach(tree => {
+            const radius = tree.crownRadius * 1.25;
+            color.setHex(autumnColors[Math.floor(tree.tint * autumnColors.length) % autumnColors.length]);
+            const point = (angle, r) => {
+                const x = tree.x + Math.cos(angle) * r;
+                const z = tree.z + Math.sin(angle) * r;
+                return [x, this.cityGenerator.getHeightAt(x, z) + 0.05, z];
+            };
+
+            for (let s = 0; s < segments; s++) {
+                const a0 = (s / segments) * Math.PI * 2;
+                const a1 = ((s + 1) / segments) * Math.PI * 2;
+                // Unregelmäßiger Rand wirkt natürlicher als ein Kreis
+                const r0 = radius * (0.75 + 0.25 * Math.sin(a0 * 3 + tree.rotation));
+                const r1 = radius * (0.75 + 0.25 * Math.sin(a1 * 3 + tree.rotation));
+                positions.push(...point(0, 0), ...point(a1, r1), ...point(a0, r0));
+                for (let v = 0; v < 3; v++) colors.push(color.r, color.g, color.b);
+            }
+        });
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+        geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
+        geometry.computeVertexNormals();
+
+        const material = new THREE.MeshLambertMaterial({
+            vertexColors: true,
+            transparent: true,
+            opacity: 0,
+            depthWrite: false,
+            polygonOffset: true,
+            polygonOffsetFactor: -1
+        });
+
+        const mesh = new THREE.Mesh(geometry, material);
+        mesh.name = `leaf-litter-${crowns.userData.kind}`;
+        mesh.receiveShadow = true;
+        mesh.visible = false;
+        mesh.userData = { type: 'decoration', season: 'autumn' };
+        this.scene.add(mesh);
+        this.decorations.push(mesh);
+
+        this.channels.push(this.createOpacityChannel(material, mesh, season => (season === 'autumn' ? 1 : 0)));
+    }
+
+    createOpacityChannel(material, mesh, getTarget) {
+        return {
+            size: 1,
+            read: () => new Float32Array([material.opacity]),
+            target: season => new Float32Array([getTarget(season)]),
+            write: (values) => {
+                material.opacity = values[0];
+                mesh.visible = values[0] > 0.001;
+            }
+        };
+    }
+
+    // Materialfarbe Richtung Schnee überblenden (geteilte Materialien nur einmal)
+    createMaterialColorChannel(material, getTarget) {
+        if (!material.userData.seasonBaseColor) {
+            material.userData.seasonBaseColor = material.color.getHex();
+        }
+        const base = new THREE.Color(material.userData.seasonBaseColor);
+
+        return {
+            size: 3,
+            read: () => new Float32Array(material.color.toArray()),
+            target: season => new Float32Array(getTarget(base.clone(), season).toArray()),
+            write: (values) => material.color.fromArray(values)
+        };
+    }
+
+    addRoofChannels() {
+        const materials = new Set();
+
+        this.cityGenerator.getCityModels().forEach(model => {
+            model.traverse(child => {
+                if (child.isMesh && (child.name === 'roof' || child.name === 'city-wall-roof')) {
+                    materials.add(child.material);
+                }
+            });
+        });
+
+        const snow = new THREE.Color(this.config.snowColor);
+        materials.forEach(material => {
+            this.channels.push(this.createMaterialColorChannel(material, (color, season) =>
+                season === 'winter' ? color.lerp(snow, this.config.snow.roofs) : color
+            ));
+        });
+    }
+
+    // Straßen, Marktplatz und Beete
+    addPathChannels() {
+        const snow = new THREE.Color(this.config.snowColor);
+        const materials = new Set();
+
+        this.cityGenerator.getCityModels().forEach(model => {
+            if (model.userData.type === 'road' || model.name === 'town-square') {
+                materials.add(model.material);
+            }
+            if (model.name === 'gardens') {
+                model.children.forEach(child => materials.add(child.material));
+            }
+        });
+
+        materials.forEach(material => {
+            this.channels.push(this.createMaterialColorChannel(material, (color, season) =>
+                season === 'winter' ? color.lerp(snow, this.config.snow.roads) : color
+            ));
+        });
+    }
+
+    // Wiesen: frisch im Frühling, strohig im Herbst, verschneit im Winter (nur flache Stellen)
+    addTerrainChannel() {
+        const terrain = this.cityGenerator.getTerrain();
+        if (!terrain) return;
+
+        const colors = terrain.geometry.getAttribute('color');
+        const normals = terrain.geometry.getAttribute('normal');
+        const base = Float32Array.from(colors.array);
+        const seasonal = {
+            spring: { color: new THREE.Color(0x6FA040), amount: 0.15 },
+            autumn: { color: new THREE.Color(0x8C8A4A), amount: 0.3 },
+            winter: { color: new THREE.Color(this.config.snowColor), amount: this.config.snow.ground }
+        };
+
+        this.channels.push({
+            size: base.length,
+            read: () => Float32Array.from(colors.array),
+            target: (season) => {
+                const result = Float32Array.from(base);
+                const tint = seasonal[season];
+                if (!tint) return result;
+
+                const color = new THREE.Color();
+                for (let i = 0; i < colors.count; i++) {
+                    // Schnee bleibt an steilen Hängen nicht liegen
+                    const flatness = season === 'winter'
+                        ? Math.max(0, Math.min(1, (normals.getY(i) - 0.75) / 0.2))
+                        : 1;
+                    color.fromArray(base, i * 3).lerp(tint.color, tint.amount * flatness);
+                    color.toArray(result, i * 3);
+                }
+                return result;
+            },
+            write: (values) => {
+                colors.array.set(values);
+                colors.needsUpdate = true;
+            }
+        });
+    }
+
+    addLightChannel() {
+        const lighting = this.lightingManager;
+
+        this.channels.push({
+            size: 2,
+            read: () => new Float32Array([lighting.seasonalModifier.warmth, lighting.seasonalModifier.intensity]),
+            target: (season) => {
+                const { warmth, intensity } = lighting.getSeasonalModifier(season);
+                return new Float32Array([warmth, intensity]);
+            },
+            write: (values) => lighting.setSeasonalModifier({ warmth: values[0], intensity: values[1] })
+        });
+    }
+
+    clearDecorations() {
+        this.decorations.forEach(mesh => {
+            this.scene.remove(mesh);
+            mesh.geometry.dispose();
+            mesh.material.dispose();
+        });
+        this.decorations = [];
+    }
+
+    // Cleanup
+    dispose() {
+        this.clearDecorations();
+        this.channels = [];
+        this.transition = null;
+    }
+}
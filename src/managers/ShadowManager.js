@@ -0,0 +1,244 @@
+import * as THREE from 'three';
+import { CSM } from 'three/examples/jsm/csm/CSM.js';
+
+/**
+ * ShadowManager - Schatten, die der aktiven Kamera folgen
+ * Verantwortlichkeiten:
+ * - Kaskadierte Shadow Maps (CSM) entlang des Blickfelds der aktiven Kamera
+ * - Je Kamera-Modus eigene Reichweite: weit für die Drohne, eng für die Person
+ * - Sonnen- bzw. Mondlicht vom LightingManager auf die Kaskaden übertragen
+ * - Qualitätsstufen (Auflösung, Anzahl Kaskaden, Filter) zur Laufzeit umschalten
+ *
+ * Die Kaskaden ersetzen den Schatten des Directional Light im LightingManager;
+ * dessen Licht wird unsichtbar geschaltet und nur noch als Quelle für Richtung,
+ * Farbe und Intensität gelesen.
+ */
+export class ShadowManager {
+    constructor(scene, renderer, cameraManager, lightingManager) {
+        this.scene = scene;
+        this.renderer = renderer;
+        this.cameraManager = cameraManager;
+        this.lightingManager = lightingManager;
+
+        this.config = {
+            quality: 'medium',
+            qualities: {
+                off: { enabled: false },
+                low: { enabled: true, mapSize: 1024, cascades: 2, type: THREE.PCFShadowMap, fade: false },
+                medium: { enabled: true, mapSize: 2048, cascades: 3, type: THREE.PCFSoftShadowMap, fade: true },
+                high: { enabled: true, mapSize: 4096, cascades: 4, type: THREE.PCFSoftShadowMap, fade: true }
+            },
+            // Reichweite der Kaskaden je Kamera-Modus (Meter vor der Kamera)
+            modes: {
+                drone: { maxFar: 300, lightMargin: 120 },
+                person: { maxFar: 60, lightMargin: 40 }
+            },
+            split: 'practical',
+            bias: -0.0004,
+            normalBias: 0.03,
+            lightFar: 800
+        };
+
+        this.csm = null;
+        this.camera = null;
+        this.cameraAspect = 0;
+        this.profile = null;
+        // Materialien mit Kaskaden-Shader und ihr vorheriger onBeforeCompile-Hook
+        this.materials = new Map();
+        this.lightDirection = new THREE.Vector3();
+
+        this.setQuality(this.config.quality);
+    }
+
+    /**
+     * Qualitätsstufe setzen: 'off', 'low', 'medium' oder 'high'.
+     * Baut die Kaskaden neu auf, da Anzahl und Auflösung feste Shader-Parameter sind.
+     */
+    setQuality(quality) {
+        const settings = this.config.qualities[quality];
+        if (!settings) {
+            console.warn(`Unbekannte Schattenqualität: ${quality}`);
+            return;
+        }
+
+        this.config.quality = quality;
+        this.disableCascades();
+
+        const sun = this.lightingManager.directionalLight;
+        sun.castShadow = false;
+        this.renderer.shadowMap.enabled = settings.enabled;
+
+        if (settings.enabled) {
+            this.renderer.shadowMap.type = settings.type;
+            this.enableCascades(settings);
+        } else {
+            sun.visible = true;
+        }
+
+        // Shadow-Typ und Lichtanzahl stecken im Shader – alle Materialien neu übersetzen
+        this.refreshMaterials();
+    }
+
+    getQuality() {
+        return this.config.quality;
+    }
+
+    getQualities() {
+        return Object.keys(this.config.qualities);
+    }
+
+    enableCascades(settings) {
+        this.camera = this.cameraManager.getActiveCamera();
+        this.profile = this.getModeProfile();
+
+        this.csm = new CSM({
+            camera: this.camera,
+            parent: this.scene,
+            cascades: settings.cascades,
+            maxFar: this.profile.maxFar,
+            mode: this.config.split,
+            shadowMapSize: settings.mapSize,
+            shadowBias: this.config.bias,
+            lightIntensity: 0,
+            lightFar: this.config.lightFar,
+            lightMargin: this.profile.lightMargin
+        });
+        this.csm.fade = settings.fade;
+        this.csm.lights.forEach(light => {
+            light.shadow.normalBias = this.config.normalBias;
+        });
+        this.cameraAspect = this.camera.aspect;
+
+        // Die Kaskaden-Lichter übernehmen die Beleuchtung durch Sonne und Mond
+        this.lightingManager.directionalLight.visible = false;
+        this.attach();
+    }
+
+    disableCascades() {
+        if (!this.csm) return;
+
+        this.materials.forEach((previousHook, material) => this.restoreMaterial(material, previousHook));
+        this.materials.clear();
+
+        this.csm.lights.forEach(light => light.shadow.dispose());
+        this.csm.remove();
+        this.csm = null;
+        this.lightingManager.directionalLight.visible = true;
+    }
+
+    /**
+     * Alle beleuchteten Materialien der Szene auf Kaskaden umstellen – auch ohne
+     * receiveShadow, sonst würden sie von jeder Kaskade einzeln beleuchtet.
+     * Nach jeder Stadtgenerierung aufrufen – als Letztes, damit bestehende
+     * Shader-Erweiterungen (z.B. Nässe vom WeatherManager) erhalten bleiben.
+     */
+    attach() {
+        if (!this.csm) return;
+
+        const inScene = new Set();
+        this.scene.traverse(object => {
+            if (!object.isMesh) return;
+
+            const materials = Array.isArray(object.material) ? object.material : [object.material];
+            materials.forEach(material => {
+                if (!this.isLitMaterial(material)) return;
+                inScene.add(material);
+                this.setupMaterial(material);
+            });
+        });
+
+        // Materialien entfernter Objekte nicht weiter aktualisieren
+        this.materials.forEach((previousHook, material) => {
+            if (inScene.has(material)) return;
+            this.restoreMaterial(material, previousHook);
+            this.materials.delete(material);
+        });
+    }
+
+    isLitMaterial(material) {
+        return !!material && (material.isMeshLambertMaterial || material.isMeshPhongMaterial || material.isMeshStandardMaterial);
+    }
+
+    // CSM überschreibt onBeforeCompile – den vorhandenen Hook davor weiter ausführen
+    setupMaterial(material) {
+        if (this.materials.has(material)) return;
+
+        const previousHook = Object.prototype.hasOwnProperty.call(material, 'onBeforeCompile') ? material.onBeforeCompile : null;
+        this.materials.set(material, previousHook);
+
+        this.csm.setupMaterial(material);
+        const cascadeHook = material.onBeforeCompile;
+        material.onBeforeCompile = (shader, renderer) => {
+            if (previousHook) previousHook.call(material, shader, renderer);
+            cascadeHook.call(material, shader, renderer);
+        };
+        material.needsUpdate = true;
+    }
+
+    restoreMaterial(material, previousHook) {
+        if (previousHook) {
+            material.onBeforeCompile = previousHook;
+        } else {
+            delete material.onBeforeCompile;
+        }
+        delete material.defines.USE_CSM;
+        delete material.defines.CSM_CASCADES;
+        delete material.defines.CSM_FADE;
+        this.csm.shaders.delete(material);
+        material.needsUpdate = true;
+    }
+
+    refreshMaterials() {
+        this.scene.traverse(object => {
+            if (!object.material) return;
+            const materials = Array.isArray(object.material) ? object.material : [object.material];
+            materials.forEach(material => {
+                material.needsUpdate = true;
+            });
+        });
+    }
+
+    getModeProfile() {
+        const modes = this.cameraManager.getModes();
+        return this.cameraManager.getCurrentMode() === modes.PERSON ? this.config.modes.person : this.config.modes.drone;
+    }
+
+    /**
+     * Pro Frame vor dem Rendern: Kaskaden an die aktive Kamera anpassen und
+     * Richtung, Farbe und Intensität von Sonne bzw. Mond übernehmen.
+     */
+    update() {
+        if (!this.csm) return;
+
+        const camera = this.cameraManager.getActiveCamera();
+        const profile = this.getModeProfile();
+
+        // Kamerawechsel oder Resize: Teilfrusta neu berechnen
+        if (camera !== this.camera || profile !== this.profile || camera.aspect !== this.cameraAspect) {
+            this.camera = camera;
+            this.profile = profile;
+            this.cameraAspect = camera.aspect;
+            this.csm.camera = camera;
+            this.csm.maxFar = profile.maxFar;
+            this.csm.lightMargin = profile.lightMargin;
+            this.csm.updateFrustums();
+        }
+
+        const sun = this.lightingManager.directionalLight;
+        this.lightDirection.copy(this.lightingManager.getLightDirection()).negate();
+        this.csm.lightDirection.copy(this.lightDirection);
+        this.csm.lights.forEach(light => {
+            light.color.copy(sun.color);
+            light.intensity = sun.intensity;
+        });
+
+        camera.updateMatrixWorld();
+        this.csm.update();
+    }
+
+    // Cleanup
+    dispose() {
+        this.disableCascades();
+        this.lightingManager.directionalLight.castShadow = false;
+    }
+}
@@ -0,0 +1,366 @@
+import * as THREE from 'three';
+import { localSiderealTime } from '../utils/Astronomy.js';
+
+/**
+ * SkyManager - Prozedurale Himmelskuppel
+ * Verantwortlichkeiten:
+ * - Farbverlauf Horizont → Zenit aus den Licht-Keyframes des LightingManagers
+ * - Sonnenhalo, Sonnenscheibe und Dämmerungsglühen in Sonnenrichtung
+ * - Sternenhimmel und Milchstraße, die nachts einblenden und mit der Sternzeit drehen
+ * - Ziehende Wolken, deren Farbe dem aktuellen Sonnen-/Mondlicht folgt
+ * - Fog- und Hintergrundfarbe aus der Horizontfarbe, damit die Stadt im Dunst verschwimmt
+ * - Wetter: Bewölkung, dunkle Regenwolken, Dunst und Blitze (vom WeatherManager gesetzt)
+ *
+ * Die Kuppel folgt der Kamera und wird vor allen anderen Objekten ohne Tiefentest
+ * gezeichnet; der Mond (LightingManager) liegt davor.
+ */
+export class SkyManager {
+    constructor(scene, lightingManager) {
+        this.scene = scene;
+        this.lightingManager = lightingManager;
+        this.dome = null;
+        this.elapsed = 0;
+        this.cloudOffset = new THREE.Vector2();
+        this.horizonColor = new THREE.Color();
+
+        this.config = {
+            radius: 800,                // innerhalb der Far-Plane (1000), außerhalb der Mondbahn (450)
+            cloudCover: 0.35,           // 0 = wolkenlos, 1 = bedeckt
+            cloudDarkness: 0,           // Regen- und Gewitterwolken
+            haze: 0,                    // Dunst/Nebel verdeckt den Himmel zum Horizont hin
+            flash: 0,                   // Blitz, hellt Wolken und Himmel kurz auf
+            windDirection: new THREE.Vector2(1, 0.35).normalize(),
+            windSpeed: 0.012,           // Texturkoordinaten pro Sekunde
+            groundDarkening: 0.35,
+            fogCloudInfluence: 0.35
+        };
+
+        this.init();
+    }
+
+    init() {
+        this.setupDome();
+        this.lightingManager.setSkyEnabled(true);
+        this.update(0);
+    }
+
+    setupDome() {
+        const material = new THREE.ShaderMaterial({
+            uniforms: {
+                sunDirection: { value: new THREE.Vector3(0, 1, 0) },
+                zenithColor: { value: new THREE.Color() },
+                horizonColor: { value: new THREE.Color() },
+                groundColor: { value: new THREE.Color() },
+                sunColor: { value: new THREE.Color() },
+                twilight: { value: 0 },
+                sunVisibility: { value: 1 },
+                starVisibility: { value: 0 },
+                time: { value: 0 },
+                starRotation: { value: new THREE.Matrix3() },
+                cloudOffset: { value: this.cloudOffset },
+                cloudCover: { value: this.config.cloudCover },
+                cloudLitColor: { value: new THREE.Color() },
+                cloudShadeColor: { value: new THREE.Color() },
+                haze: { value: 0 },
+                hazeColor: { value: new THREE.Color() },
+                flash: { value: 0 }
+            },
+            vertexShader: SKY_VERTEX_SHADER,
+            fragmentShader: SKY_FRAGMENT_SHADER,
+            side: THREE.BackSide,
+            depthTest: false,
+            depthWrite: false,
+            fog: false
+        });
+
+        this.dome = new THREE.Mesh(new THREE.SphereGeometry(this.config.radius, 48, 24), material);
+        this.dome.name = 'sky';
+        this.dome.renderOrder = -1;
+        this.dome.frustumCulled = false;
+        this.dome.userData = { type: 'celestial' };
+        this.scene.add(this.dome);
+    }
+
+    /**
+     * Pro Frame aufrufen: liest Licht- und Himmelszustand des LightingManagers,
+     * bewegt die Wolken und setzt die Kuppel auf die Kameraposition.
+     */
+    update(deltaTime, camera = null) {
+        if (!this.dome) return;
+
+        this.elapsed += deltaTime;
+        this.cloudOffset.addScaledVector(this.config.windDirection, this.config.windSpeed * deltaTime);
+        // Offset klein halten, damit das Rauschen im Shader nicht an Genauigkeit verliert
+        if (Math.abs(this.cloudOffset.x) > 4096) this.cloudOffset.x %= 4096;
+        if (Math.abs(this.cloudOffset.y) > 4096) this.cloudOffset.y %= 4096;
+
+        if (camera) {
+            this.dome.position.copy(camera.position);
+        }
+
+        this.updateUniforms();
+        this.updateAtmosphere();
+    }
+
+    updateUniforms() {
+        const lighting = this.lightingManager;
+        const config = lighting.getCurrentLightConfig();
+        const celestial = lighting.getCelestialState();
+        const uniforms = this.dome.material.uniforms;
+        const sunAltitude = lighting.getSunAltitude();
+        const { sun, moon, moonIllumination } = celestial;
+
+        uniforms.sunDirection.value.set(sun.direction.x, sun.direction.y, sun.direction.z);
+        uniforms.zenithColor.value.copy(config.zenithColor);
+        uniforms.horizonColor.value.copy(config.backgroundColor);
+        uniforms.groundColor.value.copy(config.backgroundColor).multiplyScalar(this.config.groundDarkening);
+        uniforms.sunColor.value.copy(config.directionalColor);
+
+        // Glühen um den Sonnenauf-/-untergang, Sonnenscheibe nur über dem Horizont
+        uniforms.twilight.value = this.smoothstep(-14, -2, sunAltitude) * (1 - this.smoothstep(4, 16, sunAltitude));
+        uniforms.sunVisibility.value = this.smoothstep(-1.5, 1, sunAltitude);
+
+        // Sterne ab der nautischen Dämmerung; heller Mond überstrahlt einen Teil
+        const moonUp = this.smoothstep(-2, 8, moon.altitude / (Math.PI / 180));
+        const moonGlare = 0.4 * moonIllumination.fraction * moonUp;
+        uniforms.starVisibility.value = (1 - this.smoothstep(-14, -4, sunAltitude)) * (1 - moonGlare);
+        uniforms.time.value = this.elapsed;
+        this.updateStarRotation(uniforms.starRotation.value);
+
+        uniforms.cloudCover.value = this.config.cloudCover;
+        this.updateCloudColors(config, uniforms.cloudLitColor.value, uniforms.cloudShadeColor.value);
+
+        // Geschlossene Wolkendecke: Himmel und Horizont werden grau statt blau
+        const overcast = this.smoothstep(0.5, 1, this.config.cloudCover);
+        if (overcast > 0) {
+            const grey = uniforms.cloudLitColor.value.clone().lerp(uniforms.cloudShadeColor.value, 0.5);
+            uniforms.zenithColor.value.lerp(grey, overcast * 0.8);
+            uniforms.horizonColor.value.lerp(grey, overcast * 0.7);
+            uniforms.groundColor.value.copy(uniforms.horizonColor.value).multiplyScalar(this.config.groundDarkening);
+        }
+        uniforms.haze.value = this.config.haze;
+        uniforms.hazeColor.value.copy(this.horizonColor);
+        uniforms.flash.value = this.config.flash;
+    }
+
+    // Fixsternhimmel um die Achse zum Himmelsnordpol (Höhe = geographische Breite) drehen
+    updateStarRotation(target) {
+        const { latitude, longitude } = this.lightingManager.getLocation();
+        const phi = latitude * Math.PI / 180;
+        const pole = new THREE.Vector3(0, Math.sin(phi), -Math.cos(phi));
+        const angle = localSiderealTime(this.lightingManager.getDateTime(), longitude);
+
+        target.setFromMatrix4(new THREE.Matrix4().makeRotationAxis(pole, angle));
+    }
+
+    // Wolken werden vom tatsächlichen Licht (Sonne/Mond, Jahreszeit) beleuchtet
+    updateCloudColors(config, lit, shade) {
+        const { directionalLight, ambientLight } = this.lightingManager;
+
+        lit.copy(directionalLight.color)
+            .multiplyScalar(Math.min(1, directionalLight.intensity))
+            .add(ambientLight.color.clone().multiplyScalar(ambientLight.intensity * 1.5));
+        // Wolkenunterseiten: entsättigte Himmelsfarbe plus Umgebungslicht
+        const sky = config.backgroundColor;
+        const luminance = 0.2126 * sky.r + 0.7152 * sky.g + 0.0722 * sky.b;
+        shade.copy(sky).lerp(new THREE.Color(luminance, luminance, luminance), 0.6).multiplyScalar(0.5)
+            .add(ambientLight.color.clone().multiplyScalar(ambientLight.intensity * 0.8));
+
+        const { cloudDarkness } = this.config;
+        lit.multiplyScalar(1 - cloudDarkness * 0.6);
+        shade.multiplyScalar(1 - cloudDarkness * 0.5);
+    }
+
+    /**
+     * Mittlere Horizontfarbe wie im Shader: Horizont, abgekühlt gegenüber der Sonne,
+     * plus Dämmerungsglühen und ein Anteil Wolkengrau.
+     */
+    updateAtmosphere() {
+        const uniforms = this.dome.material.uniforms;
+        const twilight = uniforms.twilight.value;
+
+        this.horizonColor.copy(uniforms.horizonColor.value)
+            .lerp(uniforms.zenithColor.value, 0.22 * twilight)
+            .add(uniforms.sunColor.value.clone().multiplyScalar(0.09 * twilight))
+            .lerp(uniforms.cloudShadeColor.value, this.config.cloudCover * this.config.fogCloudInfluence);
+
+        if (this.scene.fog) {
+            this.scene.fog.color.copy(this.horizonColor);
+        }
+        if (this.scene.background && this.scene.background.isColor) {
+            this.scene.background.copy(this.horizonColor);
+        }
+    }
+
+    setCloudCover(cover) {
+        this.config.cloudCover = Math.max(0, Math.min(1, cover));
+    }
+
+    // Wetterparameter übernehmen, z.B. { cloudCover, cloudDarkness, haze, flash }
+    setWeather(params) {
+        ['cloudCover', 'cloudDarkness', 'haze', 'flash'].forEach(key => {
+            if (params[key] !== undefined) {
+                this.config[key] = Math.max(0, Math.min(1, params[key]));
+            }
+        });
+    }
+
+    getCloudCover() {
+        return this.config.cloudCover;
+    }
+
+    getHorizonColor() {
+        return this.horizonColor;
+    }
+
+    smoothstep(edge0, edge1, value) {
+        const t = Math.max(0, Math.min(1, (value - edge0) / (edge1 - edge0)));
+        return t * t * (3 - 2 * t);
+    }
+
+    // Cleanup
+    dispose() {
+        if (this.dome) {
+            this.scene.remove(this.dome);
+            this.dome.geometry.dispose();
+            this.dome.material.dispose();
+            this.dome = null;
+        }
+        this.lightingManager.setSkyEnabled(false);
+    }
+}
+
+const SKY_VERTEX_SHADER = `
+    varying vec3 vDirection;
+    void main() {
+        vDirection = position;
+        gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+    }
+`;
+
+const SKY_FRAGMENT_SHADER = `
+    uniform vec3 sunDirection;
+    uniform vec3 zenithColor;
+    uniform vec3 horizonColor;
+    uniform vec3 groundColor;
+    uniform vec3 sunColor;
+    uniform float twilight;
+    uniform float sunVisibility;
+    uniform float starVisibility;
+    uniform float time;
+    uniform mat3 starRotation;
+    uniform vec2 cloudOffset;
+    uniform float cloudCover;
+    uniform vec3 cloudLitColor;
+    uniform vec3 cloudShadeColor;
+    uniform float haze;
+    uniform vec3 hazeColor;
+    uniform float flash;
+    varying vec3 vDirection;
+
+    float hash3(vec3 p) {
+        p = fract(p * 0.3183099 + 0.1);
+        p *= 17.0;
+        return fract(p.x * p.y * p.z * (p.x + p.y + p.z));
+    }
+
+    float hash2(vec2 p) {
+        vec3 p3 = fract(vec3(p.xyx) * 0.1031);
+        p3 += dot(p3, p3.yzx + 33.33);
+        return fract((p3.x + p3.y) * p3.z);
+    }
+
+    float noise(vec2 p) {
+        vec2 i = floor(p);
+        vec2 f = fract(p);
+        vec2 u = f * f * (3.0 - 2.0 * f);
+        return mix(
+            mix(hash2(i), hash2(i + vec2(1.0, 0.0)), u.x),
+            mix(hash2(i + vec2(0.0, 1.0)), hash2(i + vec2(1.0, 1.0)), u.x),
+            u.y
+        );
+    }
+
+    float fbm(vec2 p) {
+        float sum = 0.0;
+        float amplitude = 0.5;
+        for (int i = 0; i < 5; i++) {
+            sum += amplitude * noise(p);
+            p *= 2.03;
+            amplitude *= 0.5;
+        }
+        return sum;
+    }
+
+    // Ein Stern pro besetzter Zelle eines 3D-Gitters auf der Himmelskugel
+    float starField(vec3 dir) {
+        vec3 p = dir * 220.0;
+        vec3 cell = floor(p);
+        float h = hash3(cell);
+        if (h < 0.992) return 0.0;
+
+        vec3 jitter = vec3(hash3(cell + 3.1), hash3(cell + 7.7), hash3(cell + 11.3)) - 0.5;
+        float distanceToStar = length(p - (cell + 0.5 + jitter * 0.6));
+        float brightness = pow(hash3(cell + 5.3), 3.0) * 1.6 + 0.2;
+        float twinkle = 0.75 + 0.25 * sin(time * (2.0 + h * 40.0) + h * 100.0);
+        return smoothstep(0.35, 0.0, distanceToStar) * brightness * twinkle;
+    }
+
+    void main() {
+        vec3 dir = normalize(vDirection);
+        float h = dir.y;
+        float cosSun = dot(dir, sunDirection);
+        vec2 flatDir = normalize(dir.xz + vec2(1e-5));
+        vec2 flatSun = normalize(sunDirection.xz + vec2(1e-5));
+        float towardSun = dot(flatDir, flatSun) * 0.5 + 0.5;
+
+        // Verlauf Horizont -> Zenit; in der Dämmerung ist der Horizont gegenüber der Sonne kühler
+        vec3 horizon = mix(mix(horizonColor, zenithColor, 0.45 * twilight), horizonColor, towardSun);
+        vec3 sky = mix(horizon, zenithColor, pow(clamp(h, 0.0, 1.0), 0.45));
+
+        // Dämmerungsglühen am Horizont und Halo um die Sonne
+        float horizonBand = pow(1.0 - clamp(abs(h), 0.0, 1.0), 6.0);
+        sky += sunColor * pow(max(cosSun, 0.0), 4.0) * horizonBand * twilight * 0.45;
+        sky += sunColor * pow(max(cosSun, 0.0), 48.0) * 0.35 * sunVisibility;
+
+        // Unter dem Horizont in eine dunklere Bodenfarbe übergehen
+        sky = mix(sky, groundColor, smoothstep(0.0, -0.12, h));
+
+        // Wolken: Rauschen auf eine Ebene über der Stadt projiziert
+        float clouds = 0.0;
+        vec3 cloudColor = vec3(0.0);
+        if (h > 0.0) {
+            vec2 uv = dir.xz / (h + 0.12) * 0.9 + cloudOffset;
+            float n = fbm(uv);
+            float threshold = mix(0.72, 0.28, cloudCover);
+            float thickness = smoothstep(threshold, threshold + 0.45, n);
+            clouds = smoothstep(threshold, threshold + 0.18, n) * smoothstep(0.0, 0.18, h);
+
+            cloudColor = mix(cloudLitColor, cloudShadeColor, thickness * 0.8);
+            // Silberrand an dünnen Wolken nahe der Sonne
+            cloudColor += sunColor * pow(max(cosSun, 0.0), 12.0) * (1.0 - thickness) * 0.5 * max(sunVisibility, twilight);
+            cloudColor = mix(horizon, cloudColor, smoothstep(0.0, 0.3, h));
+        }
+
+        // Sterne und Milchstraße im mitdrehenden Äquatorsystem
+        float night = starVisibility * smoothstep(-0.02, 0.08, h) * (1.0 - clouds);
+        if (night > 0.0) {
+            vec3 starDir = starRotation * dir;
+            float band = dot(starDir, normalize(vec3(0.3, 0.55, 0.78)));
+            float milkyWay = exp(-band * band * 28.0) * (0.4 + 0.6 * fbm(starDir.xy * 6.0 + starDir.z * 3.0));
+            float stars = starField(starDir) * (1.0 + milkyWay * 2.0);
+            sky += (vec3(stars) + vec3(0.55, 0.6, 0.75) * milkyWay * 0.12) * night;
+        }
+
+        // Sonnenscheibe (vergrößert, damit sie auch bei geringer Auflösung sichtbar bleibt)
+        sky += sunColor * smoothstep(0.9998, 0.99992, cosSun) * sunVisibility * (1.0 - clouds) * 3.0;
+
+        sky = mix(sky, cloudColor, clouds);
+
+        // Blitze hellen vor allem die Wolken auf, Dunst schluckt den Himmel zum Horizont hin
+        sky += vec3(0.75, 0.8, 1.0) * flash * (0.25 + clouds);
+        sky = mix(sky, hazeColor, haze * (1.0 - 0.4 * clamp(h, 0.0, 1.0)));
+        gl_FragColor = vec4(sky, 1.0);
+        #include <colorspace_fragment>
+    }
+`;
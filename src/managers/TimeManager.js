@@ -0,0 +1,104 @@
+/**
+ * TimeManager - Zeitsimulation für den automatischen Tag/Nacht-Zyklus
+ * Verantwortlichkeiten:
+ * - Tageszeit pro Frame aus der Delta-Zeit weiterschalten
+ * - Abspielen/Pausieren und Zeitraffer (Spielminuten pro Sekunde)
+ * - Scrubbing: während der Slider gezogen wird, ruht die Simulation
+ * - Änderungen an die UI melden, damit Slider und Anzeige synchron bleiben
+ */
+export class TimeManager {
+    constructor(lightingManager) {
+        this.lightingManager = lightingManager;
+
+        this.isPlaying = false;
+        this.isScrubbing = false;
+
+        this.config = {
+            speeds: [1, 5, 15, 30, 60],   // Spielminuten pro Sekunde (60 = 1 Stunde pro Sekunde)
+            speed: 5,
+            maxDeltaTime: 0.25            // Frame-Lücken (z.B. Tab im Hintergrund) nicht nachholen
+        };
+
+        this.onChangeCallback = null;
+    }
+
+    update(deltaTime) {
+        if (!this.isPlaying || this.isScrubbing || deltaTime <= 0) return;
+
+        const minutes = Math.min(deltaTime, this.config.maxDeltaTime) * this.config.speed;
+        this.lightingManager.advanceTime(minutes);
+        this.notifyChange();
+    }
+
+    play() {
+        this.isPlaying = true;
+        this.notifyChange();
+    }
+
+    pause() {
+        this.isPlaying = false;
+        this.notifyChange();
+    }
+
+    togglePlay() {
+        if (this.isPlaying) {
+            this.pause();
+        } else {
+            this.play();
+        }
+        return this.isPlaying;
+    }
+
+    // Geschwindigkeit in Spielminuten pro Sekunde, begrenzt auf die wählbaren Stufen
+    setSpeed(minutesPerSecond) {
+        const { speeds } = this.config;
+        const value = Number(minutesPerSecond);
+        if (!Number.isFinite(value)) return;
+
+        this.config.speed = Math.max(speeds[0], Math.min(speeds[speeds.length - 1], value));
+        this.notifyChange();
+    }
+
+    getSpeed() {
+        return this.config.speed;
+    }
+
+    getSpeeds() {
+        return [...this.config.speeds];
+    }
+
+    // Slider wird gezogen: Nutzer bestimmt die Zeit, Simulation läuft danach von dort weiter
+    beginScrub() {
+        this.isScrubbing = true;
+    }
+
+    endScrub() {
+        this.isScrubbing = false;
+    }
+
+    getState() {
+        return {
+            isPlaying: this.isPlaying,
+            isScrubbing: this.isScrubbing,
+            speed: this.config.speed,
+            time: this.lightingManager.getCurrentTime()
+        };
+    }
+
+    notifyChange() {
+        if (this.onChangeCallback) {
+            this.onChangeCallback(this.getState());
+        }
+    }
+
+    // Callback Registration
+    setOnChange(callback) {
+        this.onChangeCallback = callback;
+    }
+
+    // Cleanup
+    dispose() {
+        this.isPlaying = false;
+        this.onChangeCallback = null;
+    }
+}
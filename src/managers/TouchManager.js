@@ -0,0 +1,257 @@
+/**
+ * TouchManager - Steuerung auf Touch-Geräten
+ * Verantwortlichkeiten:
+ * - Virtuelle Joysticks: links Bewegen, rechts Umschauen (wie die Sticks eines Gamepads)
+ * - Ein Finger auf der Szene schaut sich um, kurzes Tippen lässt die Person dorthin gehen
+ * - Drohne: Zwei Finger spreizen fährt vor und zurück, gemeinsam ziehen verschiebt
+ * - Overlay nur auf Touch-Geräten und nie über dem Bedienfeld (#controls-panel)
+ *
+ * Im Orbit-Modus bleiben Touch-Gesten den OrbitControls überlassen.
+ */
+export class TouchManager {
+    constructor(cameraManager, canvas) {
+        this.cameraManager = cameraManager;
+        this.canvas = canvas;
+
+        this.config = {
+            tapMaxDuration: 250,      // Millisekunden
+            tapMaxDistance: 10,       // Pixel
+            pinchSpeed: 2,            // Pixel Fingerabstand → Pixel Mausrad
+            panelMargin: 16           // Abstand der Joysticks zum Bedienfeld
+        };
+
+        this.enabled = TouchManager.isTouchDevice();
+        this.overlay = null;
+        this.sticks = {};
+        this.touches = new Map();
+        this.gesture = null;
+
+        if (this.enabled) {
+            this.init();
+        }
+    }
+
+    static isTouchDevice() {
+        if (typeof window === 'undefined') return false;
+        return 'ontouchstart' in window || (globalThis.navigator?.maxTouchPoints || 0) > 0;
+    }
+
+    init() {
+        this.createOverlay();
+        this.setupCanvasGestures();
+
+        this.onResize = () => this.layout();
+        window.addEventListener('resize', this.onResize);
+        this.layout();
+
+        this.cameraManager.setTouchControlsActive(true);
+        console.log('👆 Touch-Steuerung aktiv');
+    }
+
+    createOverlay() {
+        this.overlay = document.createElement('div');
+        this.overlay.className = 'touch-overlay';
+
+        this.sticks.move = this.createStick('move', '🚶 Bewegen');
+        this.sticks.look = this.createStick('look', '👀 Umschauen');
+
+        document.getElementById('app').appendChild(this.overlay);
+    }
+
+    createStick(type, label) {
+        const base = document.createElement('div');
+        base.className = `touch-joystick touch-joystick-${type}`;
+        base.setAttribute('aria-label', label);
+
+        const knob = document.createElement('div');
+        knob.className = 'touch-joystick-knob';
+        base.appendChild(knob);
+        this.overlay.appendChild(base);
+
+        const stick = { type, base, knob, pointerId: null, x: 0, y: 0 };
+
+        stick.handlers = {
+            pointerdown: (event) => {
+                if (stick.pointerId !== null) return;
+                event.preventDefault();
+                stick.pointerId = event.pointerId;
+                base.setPointerCapture(event.pointerId);
+                this.moveStick(stick, event);
+            },
+            pointermove: (event) => {
+                if (event.pointerId === stick.pointerId) this.moveStick(stick, event);
+            },
+            pointerup: (event) => {
+                if (event.pointerId === stick.pointerId) this.releaseStick(stick);
+            },
+            pointercancel: (event) => {
+                if (event.pointerId === stick.pointerId) this.releaseStick(stick);
+            }
+        };
+        Object.entries(stick.handlers).forEach(([type, handler]) => base.addEventListener(type, handler));
+
+        return stick;
+    }
+
+    // Auslenkung relativ zur Mitte, auf den Radius begrenzt; nach oben ist positiv
+    moveStick(stick, event) {
+        const rect = stick.base.getBoundingClientRect();
+        const radius = rect.width / 2;
+        let dx = event.clientX - (rect.left + radius);
+        let dy = event.clientY - (rect.top + radius);
+
+        const distance = Math.hypot(dx, dy);
+        if (distance > radius) {
+            dx *= radius / distance;
+            dy *= radius / distance;
+        }
+
+        stick.knob.style.transform = `translate(${dx}px, ${dy}px)`;
+        [stick.x, stick.y] = this.cameraManager.applyStickDeadZone(dx / radius, -dy / radius);
+        this.applySticks();
+    }
+
+    releaseStick(stick) {
+        stick.pointerId = null;
+        stick.x = stick.y = 0;
+        stick.knob.style.transform = '';
+        this.applySticks();
+    }
+
+    applySticks() {
+        const { move, look } = this.sticks;
+        this.cameraManager.setTouchInput({
+            moveX: move.x,
+            moveY: move.y,
+            lookX: look.x,
+            lookY: look.y
+        });
+    }
+
+    setupCanvasGestures() {
+        this.canvasHandlers = {
+            pointerdown: (event) => this.onPointerDown(event),
+            pointermove: (event) => this.onPointerMove(event),
+            pointerup: (event) => this.onPointerUp(event),
+            pointercancel: (event) => this.onPointerUp(event, true)
+        };
+        Object.entries(this.canvasHandlers).forEach(([type, handler]) => {
+            this.canvas.addEventListener(type, handler);
+        });
+    }
+
+    isGestureMode() {
+        return this.cameraManager.getCurrentMode() !== this.cameraManager.getModes().ORBIT;
+    }
+
+    onPointerDown(event) {
+        if (event.pointerType !== 'touch' || !this.isGestureMode()) return;
+
+        this.touches.set(event.pointerId, { x: event.clientX, y: event.clientY });
+        if (this.touches.size === 1) {
+            this.gesture = { type: 'look', startX: event.clientX, startY: event.clientY, startTime: performance.now(), moved: false };
+        } else if (this.touches.size === 2) {
+            // Zweiter Finger: aus Umschauen wird Zoomen/Verschieben, ein Tippen ist es nicht mehr
+            this.gesture = { type: 'pinch', ...this.getPinchState() };
+        }
+    }
+
+    onPointerMove(event) {
+        const touch = this.touches.get(event.pointerId);
+        if (!touch || !this.gesture) return;
+
+        const dx = event.clientX - touch.x;
+        const dy = event.clientY - touch.y;
+        touch.x = event.clientX;
+        touch.y = event.clientY;
+
+        if (this.gesture.type === 'look' && this.touches.size === 1) {
+            const { startX, startY } = this.gesture;
+            if (Math.hypot(event.clientX - startX, event.clientY - startY) > this.config.tapMaxDistance) {
+                this.gesture.moved = true;
+            }
+            if (this.gesture.moved) this.cameraManager.look(dx, dy);
+
+        } else if (this.gesture.type === 'pinch' && this.touches.size === 2) {
+            const state = this.getPinchState();
+            if (this.cameraManager.getCurrentMode() === this.cameraManager.getModes().DRONE) {
+                this.cameraManager.cancelTransition();
+                this.cameraManager.dollyDrone((state.distance - this.gesture.distance) * this.config.pinchSpeed);
+                this.cameraManager.panDrone(state.x - this.gesture.x, state.y - this.gesture.y);
+            }
+            Object.assign(this.gesture, state);
+        }
+    }
+
+    onPointerUp(event, cancelled = false) {
+        if (!this.touches.has(event.pointerId)) return;
+        this.touches.delete(event.pointerId);
+
+        const gesture = this.gesture;
+        if (gesture && gesture.type === 'look' && !gesture.moved && !cancelled &&
+            performance.now() - gesture.startTime <= this.config.tapMaxDuration) {
+            this.onTap(event);
+        }
+
+        // Nach dem Zoomen erst mit neuem Aufsetzen wieder umschauen
+        if (this.touches.size === 0) {
+            this.gesture = null;
+        } else if (gesture && gesture.type === 'pinch') {
+            this.gesture = { type: 'idle' };
+        }
+    }
+
+    // Kurzes Tippen im Personen-Modus: zum Punkt gehen
+    onTap(event) {
+        const rect = this.canvas.getBoundingClientRect();
+        const x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+        const y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+        this.cameraManager.walkToScreenPoint(x, y);
+    }
+
+    getPinchState() {
+        const [a, b] = [...this.touches.values()];
+        return {
+            x: (a.x + b.x) / 2,
+            y: (a.y + b.y) / 2,
+            distance: Math.hypot(a.x - b.x, a.y - b.y)
+        };
+    }
+
+    // Liegt das Bedienfeld unten (schmale Bildschirme), rücken die Joysticks darüber
+    layout() {
+        const panel = document.getElementById('controls-panel');
+        let bottom = 0;
+
+        if (panel) {
+            const rect = panel.getBoundingClientRect();
+            if (rect.height > 0 && rect.bottom > window.innerHeight * 0.5) {
+                bottom = Math.max(0, window.innerHeight - rect.top + this.config.panelMargin);
+            }
+        }
+        this.overlay.style.bottom = `${bottom}px`;
+    }
+
+    isEnabled() {
+        return this.enabled;
+    }
+
+    // Cleanup
+    dispose() {
+        if (!this.enabled) return;
+
+        Object.values(this.sticks).forEach(stick => {
+            Object.entries(stick.handlers).forEach(([type, handler]) => stick.base.removeEventListener(type, handler));
+        });
+        Object.entries(this.canvasHandlers).forEach(([type, handler]) => {
+            this.canvas.removeEventListener(type, handler);
+        });
+        window.removeEventListener('resize', this.onResize);
+
+        this.overlay.remove();
+        this.cameraManager.setTouchInput();
+        this.cameraManager.setTouchControlsActive(false);
+        this.touches.clear();
+        this.gesture = null;
+    }
+}
@@ -0,0 +1,341 @@
+import * as THREE from 'three';
+
+/**
+ * TourManager - Kamerafahrten entlang von Spline-Pfaden für Präsentationen
+ * Verantwortlichkeiten:
+ * - Tour aus Keyframes (Position, Blickpunkt, Zeitpunkt) als Catmull-Rom-Spline abspielen
+ * - Optionale Tageszeit-Keyframes an den LightingManager weitergeben
+ * - Touren als JSON laden und exportieren
+ * - Aufnahme: Keyframes aus der aktuellen Kamera setzen (Taste K)
+ *
+ * Tour-Format (JSON):
+ * {
+ *   name: 'Rundflug',
+ *   loop: false,
+ *   keyframes: [
+ *     { time: 0, position: [x, y, z], target: [x, y, z], timeOfDay: 9.5 },
+ *     ...
+ *   ]
+ * }
+ * time ist die Sekunde ab Tourbeginn (aufsteigend), timeOfDay ist optional und wird
+ * zwischen den Keyframes, die eines haben, linear interpoliert. loop startet die Tour
+ * am Ende neu – für eine nahtlose Schleife das erste Keyframe am Ende wiederholen.
+ *
+ * Während der Fahrt steuert die Tour die Drohnen-Kamera über den Autopiloten des
+ * CameraManagers; Tastatur und Maus sind solange ohne Wirkung.
+ */
+export class TourManager {
+    constructor(cameraManager, lightingManager, timeManager = null) {
+        this.cameraManager = cameraManager;
+        this.lightingManager = lightingManager;
+        this.timeManager = timeManager;
+
+        this.config = {
+            defaultTour: '/tours/rundflug.json',
+            recordSpeed: 12,          // Meter pro Sekunde zwischen aufgenommenen Keyframes
+            minSegmentTime: 2,        // Sekunden, auch für kurze Abstände
+            targetDistance: 30        // Blickpunkt vor der Kamera bei der Aufnahme
+        };
+
+        this.tour = null;
+        this.path = null;
+        this.recording = null;
+
+        this.isPlaying = false;
+        this.isPaused = false;
+        this.elapsed = 0;
+        this.resumeTime = false;      // Lief die Zeitsimulation vor der Tour?
+
+        this.autopilot = (deltaTime, camera) => this.step(deltaTime, camera);
+        // Kamera wurde anderweitig übernommen (z.B. Moduswechsel): Tour pausiert
+        this.onAutopilotRelease = () => {
+            if (!this.isPlaying) return;
+            this.isPlaying = false;
+            this.isPaused = true;
+            this.notifyChange();
+        };
+        this.onChangeCallback = null;
+    }
+
+    // Wirft einen Fehler mit Hinweis auf das fehlerhafte Keyframe
+    static validate(tour) {
+        if (!tour || !Array.isArray(tour.keyframes) || tour.keyframes.length < 2) {
+            throw new Error('Tour braucht mindestens zwei Keyframes');
+        }
+
+        const isVector = value => Array.isArray(value) && value.length === 3 && value.every(Number.isFinite);
+        let previousTime = -Infinity;
+        tour.keyframes.forEach((key, index) => {
+            if (!Number.isFinite(key.time) || key.time <= previousTime) {
+                throw new Error(`Tour-Keyframe #${index}: time muss eine aufsteigende Zahl sein`);
+            }
+            if (!isVector(key.position) || !isVector(key.target)) {
+                throw new Error(`Tour-Keyframe #${index}: position und target müssen [x, y, z] sein`);
+            }
+            if (key.timeOfDay !== undefined && !(key.timeOfDay >= 0 && key.timeOfDay <= 24)) {
+                throw new Error(`Tour-Keyframe #${index}: timeOfDay muss zwischen 0 und 24 liegen`);
+            }
+            previousTime = key.time;
+        });
+    }
+
+    /**
+     * Tour setzen: Objekt im Tour-Format oder URL einer JSON-Datei.
+     * Ungültige Touren werfen einen Fehler.
+     */
+    async loadTour(source) {
+        let tour = source;
+        if (typeof source === 'string') {
+            const response = await fetch(source);
+            if (!response.ok) {
+                throw new Error(`Tour nicht gefunden: ${source}`);
+            }
+            tour = await response.json();
+        }
+
+        this.setTour(tour);
+        return tour;
+    }
+
+    setTour(tour) {
+        TourManager.validate(tour);
+        this.stop();
+        this.tour = tour;
+        this.path = this.buildPath(tour);
+        this.notifyChange();
+    }
+
+    getTour() {
+        return this.tour;
+    }
+
+    // Positionen und Blickpunkte als eigene Splines; Tageszeit nur aus Keyframes mit Angabe
+    buildPath(tour) {
+        const keyframes = tour.keyframes;
+        const toVector = value => new THREE.Vector3().fromArray(value);
+
+        return {
+            times: keyframes.map(key => key.time),
+            duration: keyframes[keyframes.length - 1].time,
+            positions: new THREE.CatmullRomCurve3(keyframes.map(key => toVector(key.position)), false, 'centripetal'),
+            targets: new THREE.CatmullRomCurve3(keyframes.map(key => toVector(key.target)), false, 'centripetal'),
+            daylight: keyframes.filter(key => key.timeOfDay !== undefined)
+        };
+    }
+
+    exportTour() {
+        return this.tour ? JSON.stringify(this.tour, null, 2) : null;
+    }
+
+    // Abspielen
+    async play() {
+        if (this.recording) this.stopRecording();
+        if (!this.tour) {
+            await this.loadTour(this.config.defaultTour);
+        }
+
+        if (this.isPaused) {
+            this.isPaused = false;
+        } else {
+            this.elapsed = 0;
+        }
+        this.isPlaying = true;
+
+        // Die Tour gibt die Tageszeit vor – Simulation solange anhalten
+        if (this.path.daylight.length > 0 && this.timeManager && this.timeManager.isPlaying) {
+            this.resumeTime = true;
+            this.timeManager.pause();
+        }
+
+        const modes = this.cameraManager.getModes();
+        if (this.cameraManager.getCurrentMode() !== modes.DRONE) {
+            this.cameraManager.switchMode(modes.DRONE);
+        }
+        this.cameraManager.setAutopilot(this.autopilot, this.onAutopilotRelease);
+        this.notifyChange();
+    }
+
+    // Pausieren gibt die Kamera frei; Fortsetzen springt zurück auf den Pfad
+    pause() {
+        if (!this.isPlaying) return;
+
+        this.isPlaying = false;
+        this.isPaused = true;
+        this.cameraManager.setAutopilot(null);
+        this.notifyChange();
+    }
+
+    togglePlay() {
+        if (this.isPlaying) {
+            this.pause();
+            return Promise.resolve(false);
+        }
+        return this.play().then(() => true);
+    }
+
+    stop() {
+        const wasActive = this.isPlaying || this.isPaused;
+        this.isPlaying = false;
+        this.isPaused = false;
+        this.elapsed = 0;
+
+        if (wasActive) {
+            this.cameraManager.setAutopilot(null);
+            this.notifyChange();
+        }
+        // Von der Tour angehaltene Zeitsimulation weiterlaufen lassen
+        if (this.resumeTime) {
+            this.resumeTime = false;
+            this.timeManager.play();
+        }
+    }
+
+    // Autopilot-Schritt des CameraManagers
+    step(deltaTime, camera) {
+        const path = this.path;
+        this.elapsed += deltaTime;
+
+        if (this.elapsed >= path.duration) {
+            if (this.tour.loop) {
+                this.elapsed %= path.duration;
+            } else {
+                this.elapsed = path.duration;
+                this.applyPose(camera, path.duration);
+                this.stop();
+                return;
+            }
+        }
+
+        this.applyPose(camera, this.elapsed);
+        this.notifyChange();
+    }
+
+    applyPose(camera, time) {
+        const path = this.path;
+        const u = this.getCurveParameter(time);
+
+        path.positions.getPoint(u, camera.position);
+        camera.lookAt(path.targets.getPoint(u));
+
+        const timeOfDay = this.getTimeOfDay(time);
+        if (timeOfDay !== null) {
+            this.lightingManager.setTime(timeOfDay);
+            if (this.timeManager) this.timeManager.notifyChange();
+        }
+    }
+
+    // Zeitpunkt auf den Spline-Parameter abbilden: CatmullRomCurve3 legt Keyframe i auf i / (n - 1)
+    getCurveParameter(time) {
+        const { times } = this.path;
+        const segments = times.length - 1;
+
+        let index = 0;
+        while (index < times.length - 2 && time >= times[index + 1]) index++;
+
+        const span = times[index + 1] - times[index];
+        const local = THREE.MathUtils.clamp((time - times[index]) / span, 0, 1);
+        return (index + local) / segments;
+    }
+
+    getTimeOfDay(time) {
+        const keys = this.path.daylight;
+        if (keys.length === 0) return null;
+        if (time <= keys[0].time) return keys[0].timeOfDay;
+
+        for (let i = 0; i < keys.length - 1; i++) {
+            const a = keys[i];
+            const b = keys[i + 1];
+            if (time <= b.time) {
+                return THREE.MathUtils.lerp(a.timeOfDay, b.timeOfDay, (time - a.time) / (b.time - a.time));
+            }
+        }
+        return keys[keys.length - 1].timeOfDay;
+    }
+
+    // Aufnahme
+    startRecording(name = 'Aufnahme') {
+        this.stop();
+        this.recording = { name, loop: false, keyframes: [] };
+        this.notifyChange();
+    }
+
+    /**
+     * Keyframe aus der aktiven Kamera setzen. Der Zeitpunkt ergibt sich aus dem
+     * Abstand zum vorherigen Keyframe, die Tageszeit wird mit aufgenommen.
+     */
+    addKeyframe() {
+        if (!this.recording) this.startRecording();
+
+        const camera = this.cameraManager.getActiveCamera();
+        const forward = new THREE.Vector3();
+        camera.getWorldDirection(forward);
+        const target = camera.position.clone().addScaledVector(forward, this.config.targetDistance);
+
+        const keyframes = this.recording.keyframes;
+        const previous = keyframes[keyframes.length - 1];
+        let time = 0;
+        if (previous) {
+            const distance = camera.position.distanceTo(new THREE.Vector3().fromArray(previous.position));
+            time = previous.time + Math.max(this.config.minSegmentTime, distance / this.config.recordSpeed);
+        }
+
+        const round = value => Math.round(value * 100) / 100;
+        keyframes.push({
+            time: round(time),
+            position: camera.position.toArray().map(round),
+            target: target.toArray().map(round),
+            timeOfDay: round(this.lightingManager.getCurrentTime())
+        });
+
+        console.log(`🎬 Tour-Keyframe ${keyframes.length} gesetzt`);
+        this.notifyChange();
+        return keyframes.length;
+    }
+
+    // Aufnahme beenden; ab zwei Keyframes wird sie zur aktuellen Tour
+    stopRecording() {
+        const recording = this.recording;
+        this.recording = null;
+
+        if (recording && recording.keyframes.length >= 2) {
+            this.setTour(recording);
+        } else {
+            this.notifyChange();
+        }
+        return recording;
+    }
+
+    isRecording() {
+        return this.recording !== null;
+    }
+
+    getState() {
+        const duration = this.path ? this.path.duration : 0;
+        return {
+            isPlaying: this.isPlaying,
+            isPaused: this.isPaused,
+            isRecording: this.isRecording(),
+            name: this.tour ? this.tour.name : null,
+            progress: duration > 0 ? this.elapsed / duration : 0,
+            keyframeCount: this.recording ? this.recording.keyframes.length : (this.tour ? this.tour.keyframes.length : 0)
+        };
+    }
+
+    notifyChange() {
+        if (this.onChangeCallback) {
+            this.onChangeCallback(this.getState());
+        }
+    }
+
+    // Callback Registration
+    setOnChange(callback) {
+        this.onChangeCallback = callback;
+    }
+
+    // Cleanup
+    dispose() {
+        this.stop();
+        this.recording = null;
+        this.onChangeCallback = null;
+    }
+}
@@ -1,3 +1,5 @@
+import { InputManager } from './InputManager.js';
+
 /**
  * UIController - Verwaltet UI-Events und Interface-Logik
  * Verantwortlichkeiten:
@@ -12,12 +14,21 @@ export class UIController {
         this.lightingManager = lightingManager;
         this.sceneManager = sceneManager;
         this.cameraManager = null; // Wird später gesetzt
+        this.timeManager = null; // Wird später gesetzt
+        this.tourManager = null; // Wird später gesetzt
+        this.bookmarkManager = null; // Wird später gesetzt
+        this.inputManager = null; // Wird später gesetzt
+        this.tourWasPlaying = false;
         
         // UI Elements
         this.elements = {
             timeSlider: document.getElementById('time-slider'),
             timeDisplay: document.getElementById('time-display'),
+            timePlayBtn: document.getElementById('time-play-btn'),
+            timeSpeedSelect: document.getElementById('time-speed-select'),
             seasonSelect: document.getElementById('season-select'),
+            weatherSelect: document.getElementById('weather-select'),
+            shadowSelect: document.getElementById('shadow-select'),
             fullscreenBtn: document.getElementById('fullscreen-btn'),
             resetCameraBtn: document.getElementById('reset-camera'),
             loadingScreen: document.getElementById('loading-screen')
@@ -31,6 +42,8 @@ export class UIController {
         // Callbacks für externe Module
         this.onTimeChangeCallback = null;
         this.onSeasonChangeCallback = null;
+        this.onWeatherChangeCallback = null;
+        this.onShadowQualityChangeCallback = null;
         this.onCameraResetCallback = null;
         
         this.init();
@@ -54,6 +67,8 @@ export class UIController {
     setupEventListeners() {
         this.setupTimeControls();
         this.setupSeasonControls();
+        this.setupWeatherControls();
+        this.setupShadowControls();
         this.setupCameraControls();
         this.setupKeyboardControls();
         this.setupFullscreenControls();
@@ -71,6 +86,28 @@ export class UIController {
                     this.onTimeChangeCallback(time);
                 }
             });
+            
+            // Während des Ziehens pausiert die Simulation, danach läuft sie ab der neuen Zeit weiter
+            this.elements.timeSlider.addEventListener('pointerdown', () => {
+                if (this.timeManager) this.timeManager.beginScrub();
+            });
+            ['pointerup', 'pointercancel', 'change'].forEach(type => {
+                this.elements.timeSlider.addEventListener(type, () => {
+                    if (this.timeManager) this.timeManager.endScrub();
+                });
+            });
+        }
+        
+        if (this.elements.timePlayBtn) {
+            this.elements.timePlayBtn.addEventListener('click', () => {
+                this.toggleTimeAnimation();
+            });
+        }
+        
+        if (this.elements.timeSpeedSelect) {
+            this.elements.timeSpeedSelect.addEventListener('change', (e) => {
+                if (this.timeManager) this.timeManager.setSpeed(parseFloat(e.target.value));
+            });
         }
     }
     
@@ -87,6 +124,26 @@ export class UIController {
         }
     }
     
+    setupWeatherControls() {
+        if (this.elements.weatherSelect) {
+            this.elements.weatherSelect.addEventListener('change', (e) => {
+                if (this.onWeatherChangeCallback) {
+                    this.onWeatherChangeCallback(e.target.value);
+                }
+            });
+        }
+    }
+    
+    setupShadowControls() {
+        if (this.elements.shadowSelect) {
+            this.elements.shadowSelect.addEventListener('change', (e) => {
+                if (this.onShadowQualityChangeCallback) {
+                    this.onShadowQualityChangeCallback(e.target.value);
+                }
+            });
+        }
+    }
+    
     setupCameraControls() {
         if (this.elements.resetCameraBtn) {
             this.elements.resetCameraBtn.addEventListener('click', () => {
@@ -126,45 +183,14 @@ export class UIController {
         });
     }
     
+    // Shortcuts laufen über den InputManager; hier nur Tastenzustand und Esc
     onKeyDown(event) {
+        if (InputManager.isTextInput(event.target)) return;
+        
         this.keyStates[event.code] = true;
         
-        switch (event.code) {
-            case 'KeyF':
-                event.preventDefault();
-                this.toggleFullscreen();
-                break;
-                
-            case 'KeyR':
-                event.preventDefault();
-                this.sceneManager.resetCamera();
-                break;
-                
-            case 'KeyT':
-                event.preventDefault();
-                this.toggleDayNight();
-                break;
-                
-            case 'Space':
-                event.preventDefault();
-                this.pauseTimeAnimation();
-                break;
-                
-            case 'Escape':
-                if (this.isFullscreen) {
-                    this.exitFullscreen();
-                }
-                break;
-                
-            case 'KeyI':
-                event.preventDefault();
-                this.toggleDebugInfo();
-                break;
-                
-            case 'KeyC':
-                event.preventDefault();
-                this.toggleCameraMode();
-                break;
+        if (event.code === 'Escape' && this.isFullscreen) {
+            this.exitFullscreen();
         }
     }
     
@@ -180,7 +206,11 @@ export class UIController {
     // UI Update Methods
     updateTimeDisplay() {
         if (this.elements.timeDisplay) {
-            this.elements.timeDisplay.textContent = this.lightingManager.getTimeString();
+            const timeString = this.lightingManager.getTimeString();
+            // Wird bei laufender Simulation jeden Frame aufgerufen – DOM nur bei Änderung anfassen
+            if (this.elements.timeDisplay.textContent !== timeString) {
+                this.elements.timeDisplay.textContent = timeString;
+            }
         }
     }
     
@@ -190,12 +220,42 @@ export class UIController {
         }
     }
     
+    // Abspiel-Button, Zeitraffer, Slider und Anzeige nach dem Zustand des TimeManagers
+    updateTimeControls(state) {
+        this.updateTimeDisplay();
+        if (!state.isScrubbing) {
+            this.updateTimeSlider();
+        }
+        
+        if (this.elements.timePlayBtn) {
+            this.elements.timePlayBtn.textContent = state.isPlaying ? '⏸' : '▶';
+            this.elements.timePlayBtn.title = `${state.isPlaying ? 'Zeit anhalten' : 'Zeit abspielen'} (${this.getKeyLabel('toggleTime')})`;
+            this.elements.timePlayBtn.classList.toggle('active', state.isPlaying);
+        }
+        if (this.elements.timeSpeedSelect && parseFloat(this.elements.timeSpeedSelect.value) !== state.speed) {
+            this.elements.timeSpeedSelect.value = state.speed;
+        }
+    }
+    
     updateSeasonSelect() {
         if (this.elements.seasonSelect) {
             this.elements.seasonSelect.value = this.lightingManager.getCurrentSeason();
         }
     }
     
+    // Wetter kann sich auch ohne Auswahl ändern (z.B. Schnee statt Regen im Winter)
+    updateWeatherSelect(weather) {
+        if (this.elements.weatherSelect && this.elements.weatherSelect.value !== weather) {
+            this.elements.weatherSelect.value = weather;
+        }
+    }
+    
+    updateShadowSelect(quality) {
+        if (this.elements.shadowSelect && this.elements.shadowSelect.value !== quality) {
+            this.elements.shadowSelect.value = quality;
+        }
+    }
+    
     updateFullscreenButton() {
         if (this.elements.fullscreenBtn) {
             this.elements.fullscreenBtn.textContent = this.isFullscreen ? 'Vollbild verlassen' : 'Vollbild';
@@ -246,9 +306,11 @@ export class UIController {
         this.updateUI();
     }
     
-    pauseTimeAnimation() {
-        // Implementierung für Time Animation Pause
-        console.log('Time Animation Toggle');
+    toggleTimeAnimation() {
+        if (!this.timeManager) return;
+        
+        const isPlaying = this.timeManager.togglePlay();
+        console.log(isPlaying ? '▶️ Zeitsimulation läuft' : '⏸️ Zeitsimulation pausiert');
     }
     
     // Loading Screen Management
@@ -311,6 +373,14 @@ export class UIController {
         this.onSeasonChangeCallback = callback;
     }
     
+    setOnWeatherChange(callback) {
+        this.onWeatherChangeCallback = callback;
+    }
+    
+    setOnShadowQualityChange(callback) {
+        this.onShadowQualityChangeCallback = callback;
+    }
+    
     setOnCameraReset(callback) {
         this.onCameraResetCallback = callback;
     }
@@ -324,6 +394,7 @@ export class UIController {
         return {
             currentTime: this.lightingManager.getCurrentTime(),
             currentSeason: this.lightingManager.getCurrentSeason(),
+            isTimePlaying: this.timeManager ? this.timeManager.isPlaying : false,
             isFullscreen: this.isFullscreen,
             isLoading: !this.elements.loadingScreen?.classList.contains('hidden')
         };
@@ -369,6 +440,380 @@ export class UIController {
         return this.debugVisible;
     }
     
+    // Time Management
+    setTimeManager(timeManager) {
+        this.timeManager = timeManager;
+        this.timeManager.setOnChange((state) => this.updateTimeControls(state));
+        this.updateTimeControls(this.timeManager.getState());
+    }
+    
+    // Tour Management
+    setTourManager(tourManager) {
+        this.tourManager = tourManager;
+        this.createTourControls();
+        this.tourManager.setOnChange((state) => this.updateTourControls(state));
+        this.updateTourControls(this.tourManager.getState());
+    }
+    
+    createTourControls() {
+        if (document.querySelector('.tour-controls')) return;
+        
+        const tourPanel = document.createElement('div');
+        tourPanel.className = 'tour-controls';
+        tourPanel.innerHTML = `
+            <div class="tour-buttons">
+                <button id="tourPlay" class="camera-btn" title="Tour abspielen">▶ Tour</button>
+                <button id="tourStop" class="camera-btn" title="Tour beenden">⏹</button>
+                <button id="tourRecord" class="camera-btn" title="Aufnahme starten (K setzt Keyframes)">⏺</button>
+                <button id="tourExport" class="camera-btn" title="Tour als JSON speichern">💾</button>
+                <button id="tourImport" class="camera-btn" title="Tour aus JSON laden">📂</button>
+                <input type="file" id="tourFile" accept=".json,application/json" hidden>
+            </div>
+            <div class="tour-info">
+                <span id="tourStatus">Keine Tour geladen</span>
+                <div class="tour-progress"><div id="tourProgress"></div></div>
+            </div>
+        `;
+        
+        // Im Kamera-Panel, sonst eigenständig
+        const cameraPanel = document.querySelector('.camera-controls');
+        (cameraPanel || document.body).appendChild(tourPanel);
+        
+        document.getElementById('tourPlay').addEventListener('click', () => {
+            this.tourManager.togglePlay().catch(error => this.showError(error.message));
+        });
+        
+        document.getElementById('tourStop').addEventListener('click', () => {
+            this.tourManager.stop();
+        });
+        
+        document.getElementById('tourRecord').addEventListener('click', () => {
+            if (this.tourManager.isRecording()) {
+                this.tourManager.stopRecording();
+            } else {
+                this.tourManager.startRecording();
+            }
+        });
+        
+        document.getElementById('tourExport').addEventListener('click', () => {
+            this.downloadTour();
+        });
+        
+        const fileInput = document.getElementById('tourFile');
+        document.getElementById('tourImport').addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', async () => {
+            const file = fileInput.files[0];
+            fileInput.value = '';
+            if (!file) return;
+            
+            try {
+                await this.tourManager.loadTour(JSON.parse(await file.text()));
+            } catch (error) {
+                this.showError(`Tour ungültig: ${error.message}`);
+            }
+        });
+    }
+    
+    downloadTour() {
+        const json = this.tourManager.exportTour();
+        if (!json) {
+            this.showError('Keine Tour zum Speichern – zuerst aufnehmen oder laden');
+            return;
+        }
+        
+        const name = (this.tourManager.getTour().name || 'tour').toLowerCase().replace(/[^a-z0-9äöüß-]+/g, '-');
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+        link.download = `${name}.json`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+    
+    // Wird während der Fahrt jeden Frame aufgerufen – DOM nur bei Änderung anfassen
+    updateTourControls(state) {
+        const playBtn = document.getElementById('tourPlay');
+        const recordBtn = document.getElementById('tourRecord');
+        const statusSpan = document.getElementById('tourStatus');
+        const progressBar = document.getElementById('tourProgress');
+        
+        let status = state.name ? `${state.name} (${state.keyframeCount} Keyframes)` : 'Keine Tour geladen';
+        if (state.isRecording) {
+            status = `Aufnahme: ${state.keyframeCount} Keyframes – K setzt ein Keyframe`;
+        } else if (state.isPlaying) {
+            status = `${state.name} läuft`;
+        } else if (state.isPaused) {
+            status = `${state.name} pausiert`;
+        }
+        
+        if (statusSpan && statusSpan.textContent !== status) {
+            statusSpan.textContent = status;
+        }
+        if (playBtn) {
+            const label = state.isPlaying ? '⏸ Tour' : '▶ Tour';
+            if (playBtn.textContent !== label) playBtn.textContent = label;
+            playBtn.classList.toggle('active', state.isPlaying);
+        }
+        if (recordBtn) {
+            recordBtn.classList.toggle('active', state.isRecording);
+            recordBtn.textContent = state.isRecording ? '⏹ Aufnahme' : '⏺';
+        }
+        if (progressBar) {
+            const width = `${(state.progress * 100).toFixed(1)}%`;
+            if (progressBar.style.width !== width) progressBar.style.width = width;
+        }
+        
+        // Tour schaltet beim Start auf die Drohne um
+        if (state.isPlaying !== this.tourWasPlaying) {
+            this.tourWasPlaying = state.isPlaying;
+            this.updateCameraUI();
+        }
+    }
+    
+    // Input Management
+    setInputManager(inputManager) {
+        this.inputManager = inputManager;
+        
+        const pressActions = {
+            toggleFullscreen: () => this.toggleFullscreen(),
+            resetCamera: () => this.sceneManager.resetCamera(),
+            toggleDayNight: () => this.toggleDayNight(),
+            toggleTime: () => this.toggleTimeAnimation(),
+            toggleDebug: () => this.toggleDebugInfo(),
+            toggleCameraMode: () => this.toggleCameraMode(),
+            // Tour-Keyframe aus der aktuellen Kamera (startet bei Bedarf die Aufnahme)
+            tourKeyframe: () => {
+                if (this.tourManager) this.tourManager.addKeyframe();
+            }
+        };
+        for (let i = 1; i <= 9; i++) {
+            pressActions[`bookmark${i}`] = () => {
+                if (this.bookmarkManager) this.recallBookmark(i - 1);
+            };
+        }
+        
+        Object.entries(pressActions).forEach(([action, callback]) => {
+            inputManager.on(action, (pressed) => {
+                if (pressed) callback();
+            });
+        });
+        
+        this.createBindingsControls();
+        this.inputManager.setOnChange((actions, conflicts) => {
+            this.updateBindingsPanel(actions, conflicts);
+            this.updateCameraUI();
+            if (this.timeManager) this.updateTimeControls(this.timeManager.getState());
+        });
+        this.updateBindingsPanel(inputManager.getActions(), inputManager.getConflicts());
+        this.updateCameraUI();
+    }
+    
+    // Anzeigename der Belegung, z.B. 'Shift/Strg'
+    getKeyLabel(action) {
+        if (!this.inputManager) return '–';
+        const keys = this.inputManager.getBinding(action);
+        return keys.length > 0 ? keys.map(code => InputManager.formatKey(code)).join('/') : '–';
+    }
+    
+    createBindingsControls() {
+        if (document.querySelector('.bindings-panel')) return;
+        
+        const toggleBtn = document.createElement('button');
+        toggleBtn.id = 'bindingsToggle';
+        toggleBtn.className = 'camera-btn bindings-toggle';
+        toggleBtn.textContent = '⌨️ Tastenbelegung';
+        const cameraPanel = document.querySelector('.camera-controls');
+        (cameraPanel || document.body).appendChild(toggleBtn);
+        
+        const panel = document.createElement('div');
+        panel.className = 'bindings-panel hidden';
+        panel.innerHTML = `
+            <div class="bindings-header">
+                <strong>Tastenbelegung</strong>
+                <button id="bindingsClose" class="bindings-close" title="Schließen">✕</button>
+            </div>
+            <p class="bindings-hint">Auf eine Taste klicken und die neue Taste drücken (Esc bricht ab). + fügt eine weitere Taste hinzu, ✕ entfernt sie.</p>
+            <div id="bindingsConflicts" class="bindings-conflicts"></div>
+            <div id="bindingsList" class="bindings-list"></div>
+            <button id="bindingsReset" class="camera-btn">Standard wiederherstellen</button>
+        `;
+        document.body.appendChild(panel);
+        
+        toggleBtn.addEventListener('click', () => panel.classList.toggle('hidden'));
+        document.getElementById('bindingsClose').addEventListener('click', () => {
+            this.inputManager.cancelCapture();
+            panel.classList.add('hidden');
+        });
+        document.getElementById('bindingsReset').addEventListener('click', () => this.inputManager.resetAll());
+        
+        // Klick auf eine Taste ersetzt nur diese, + fügt eine hinzu, ✕ entfernt sie
+        document.getElementById('bindingsList').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+            
+            const action = button.dataset.action;
+            const slot = Number(button.dataset.slot);
+            if (button.dataset.remove) {
+                this.inputManager.removeBindingKey(action, slot);
+                return;
+            }
+            
+            button.textContent = 'Taste drücken…';
+            button.classList.add('capturing');
+            this.inputManager.captureNextKey((code) => {
+                if (code) {
+                    this.inputManager.setBindingKey(action, slot, code);
+                } else {
+                    this.updateBindingsPanel(this.inputManager.getActions(), this.inputManager.getConflicts());
+                }
+            });
+        });
+    }
+    
+    updateBindingsPanel(actions, conflicts) {
+        const list = document.getElementById('bindingsList');
+        const conflictDiv = document.getElementById('bindingsConflicts');
+        if (!list) return;
+        
+        const labels = Object.fromEntries(actions.map(action => [action.id, action.label]));
+        const conflicting = new Set(conflicts.flatMap(conflict => conflict.actions));
+        
+        list.innerHTML = '';
+        let group = null;
+        actions.forEach(action => {
+            if (action.group !== group) {
+                group = action.group;
+                const heading = document.createElement('h4');
+                heading.textContent = group;
+                list.appendChild(heading);
+            }
+            
+            const row = document.createElement('div');
+            row.className = 'bindings-row';
+            row.classList.toggle('conflict', conflicting.has(action.id));
+            
+            const label = document.createElement('span');
+            label.textContent = action.label;
+            
+            const keys = document.createElement('div');
+            keys.className = 'bindings-keys';
+            action.keys.forEach((code, slot) => {
+                keys.appendChild(this.createBindingButton(action.id, slot, InputManager.formatKey(code), 'bindings-key'));
+                keys.appendChild(this.createBindingButton(action.id, slot, '✕', 'bindings-remove', `${InputManager.formatKey(code)} entfernen`));
+            });
+            keys.appendChild(this.createBindingButton(action.id, action.keys.length, '+', 'bindings-add', 'Weitere Taste hinzufügen'));
+            
+            row.append(label, keys);
+            list.appendChild(row);
+        });
+        
+        if (conflictDiv) {
+            conflictDiv.textContent = conflicts
+                .map(conflict => `${InputManager.formatKey(conflict.key)}: ${conflict.actions.map(id => labels[id]).join(' und ')}`)
+                .map(text => `⚠️ Doppelt belegt – ${text}`)
+                .join('\n');
+        }
+    }
+    
+    createBindingButton(action, slot, text, className, title = '') {
+        const button = document.createElement('button');
+        button.className = className;
+        button.dataset.action = action;
+        button.dataset.slot = slot;
+        if (className === 'bindings-remove') button.dataset.remove = 'true';
+        button.textContent = text;
+        if (title) button.title = title;
+        return button;
+    }
+    
+    // Bookmark Management
+    setBookmarkManager(bookmarkManager) {
+        this.bookmarkManager = bookmarkManager;
+        this.createBookmarkControls();
+        this.bookmarkManager.setOnChange((bookmarks) => this.updateBookmarkList(bookmarks));
+        this.updateBookmarkList(this.bookmarkManager.getBookmarks());
+    }
+    
+    createBookmarkControls() {
+        if (document.querySelector('.bookmark-controls')) return;
+        
+        const bookmarkPanel = document.createElement('div');
+        bookmarkPanel.className = 'bookmark-controls';
+        bookmarkPanel.innerHTML = `
+            <form id="bookmarkForm" class="bookmark-form">
+                <input type="text" id="bookmarkName" placeholder="Name der Ansicht" maxlength="40">
+                <button type="submit" class="camera-btn" title="Aktuelle Ansicht speichern">🔖 Merken</button>
+            </form>
+            <ol id="bookmarkList" class="bookmark-list"></ol>
+        `;
+        
+        // Im Kamera-Panel, sonst eigenständig
+        const cameraPanel = document.querySelector('.camera-controls');
+        (cameraPanel || document.body).appendChild(bookmarkPanel);
+        
+        document.getElementById('bookmarkForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            const input = document.getElementById('bookmarkName');
+            this.bookmarkManager.save(input.value);
+            input.value = '';
+            input.blur();
+        });
+        
+        // Klicks auf Einträge über Delegation, die Liste wird bei jeder Änderung neu aufgebaut
+        document.getElementById('bookmarkList').addEventListener('click', (e) => {
+            const button = e.target.closest('button');
+            if (!button) return;
+            
+            const index = parseInt(button.dataset.index, 10);
+            if (button.dataset.action === 'delete') {
+                this.bookmarkManager.remove(index);
+            } else {
+                this.recallBookmark(index);
+            }
+        });
+    }
+    
+    updateBookmarkList(bookmarks) {
+        const list = document.getElementById('bookmarkList');
+        if (!list) return;
+        
+        const modeIcons = { drone: '🚁', person: '🚶', orbit: '🎯' };
+        list.innerHTML = '';
+        bookmarks.forEach((bookmark, index) => {
+            const item = document.createElement('li');
+            const recallBtn = document.createElement('button');
+            recallBtn.className = 'bookmark-recall';
+            recallBtn.dataset.index = index;
+            const seasonOption = this.elements.seasonSelect?.querySelector(`option[value="${bookmark.season}"]`);
+            recallBtn.title = [
+                Number.isFinite(bookmark.time) ? `${this.formatTime(bookmark.time)} Uhr` : null,
+                seasonOption ? seasonOption.textContent.trim() : bookmark.season
+            ].filter(Boolean).join(', ');
+            recallBtn.textContent = `${index < 9 ? `${index + 1} ` : ''}${modeIcons[bookmark.view.mode] || ''} ${bookmark.name}`;
+            
+            const deleteBtn = document.createElement('button');
+            deleteBtn.className = 'bookmark-delete';
+            deleteBtn.dataset.index = index;
+            deleteBtn.dataset.action = 'delete';
+            deleteBtn.title = 'Lesezeichen löschen';
+            deleteBtn.textContent = '✕';
+            
+            item.append(recallBtn, deleteBtn);
+            list.appendChild(item);
+        });
+    }
+    
+    recallBookmark(index) {
+        if (!this.bookmarkManager.recall(index)) return;
+        this.updateUI();
+        this.updateCameraUI();
+    }
+    
+    formatTime(time) {
+        const hours = Math.floor(time);
+        const minutes = Math.floor((time - hours) * 60);
+        return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}`;
+    }
+    
     // Camera Management
     setCameraManager(cameraManager) {
         this.cameraManager = cameraManager;
@@ -387,6 +832,7 @@ export class UIController {
             <div class="camera-buttons">
                 <button id="droneMode" class="camera-btn active">🚁 Freie Kamera</button>
                 <button id="personMode" class="camera-btn">🚶 Person</button>
+                <button id="orbitMode" class="camera-btn">🎯 Orbit</button>
             </div>
             <div class="camera-info">
                 <span id="cameraStatus">Drohnen-Modus aktiv</span>
@@ -394,6 +840,11 @@ export class UIController {
                     <small>WASD: In Blickrichtung | ←→↑↓: Schauen | Space/Shift: Vertikal</small>
                 </div>
             </div>
+            <div class="camera-settings">
+                <label for="mouseSensitivity">Maus-Empfindlichkeit</label>
+                <input type="range" id="mouseSensitivity" min="0.5" max="3" step="0.1" value="1">
+                <label class="camera-checkbox"><input type="checkbox" id="invertY"> Y-Achse invertieren</label>
+            </div>
         `;
         
         document.body.appendChild(cameraPanel);
@@ -406,6 +857,20 @@ export class UIController {
         document.getElementById('personMode').addEventListener('click', () => {
             this.switchToMode('person');
         });
+        
+        document.getElementById('orbitMode').addEventListener('click', () => {
+            this.switchToMode('orbit');
+        });
+        
+        // Empfindlichkeit als Faktor auf den Standardwert des CameraManagers
+        const baseSensitivity = this.cameraManager.getMouseSettings().sensitivity;
+        document.getElementById('mouseSensitivity').addEventListener('input', (e) => {
+            this.cameraManager.setMouseSensitivity(baseSensitivity * parseFloat(e.target.value));
+        });
+        
+        document.getElementById('invertY').addEventListener('change', (e) => {
+            this.cameraManager.setInvertY(e.target.checked);
+        });
     }
     
     switchToMode(mode) {
@@ -417,6 +882,8 @@ export class UIController {
             this.cameraManager.switchMode(modes.DRONE);
         } else if (mode === 'person') {
             this.cameraManager.switchMode(modes.PERSON);
+        } else if (mode === 'orbit') {
+            this.cameraManager.switchMode(modes.ORBIT);
         }
         
         this.updateCameraUI();
@@ -431,36 +898,50 @@ export class UIController {
         // Button-Status aktualisieren
         const droneBtn = document.getElementById('droneMode');
         const personBtn = document.getElementById('personMode');
+        const orbitBtn = document.getElementById('orbitMode');
         const statusSpan = document.getElementById('cameraStatus');
         const helpDiv = document.getElementById('cameraHelp');
         
         if (droneBtn && personBtn && statusSpan) {
             droneBtn.classList.toggle('active', currentMode === modes.DRONE);
             personBtn.classList.toggle('active', currentMode === modes.PERSON);
+            if (orbitBtn) orbitBtn.classList.toggle('active', currentMode === modes.ORBIT);
             
             // Status-Text und Hilfe aktualisieren
             if (currentMode === modes.DRONE) {
                 statusSpan.textContent = 'Freie Kamera aktiv';
-                if (helpDiv) helpDiv.innerHTML = '<small>WASD: In Blickrichtung fliegen | ←→↑↓: Schauen | Space/Shift: Hoch/Runter</small>';
+                if (helpDiv) helpDiv.innerHTML = `<small>${this.getMoveKeysLabel()}: In Blickrichtung fliegen | ${this.getLookKeysLabel()} oder Linke Maus: Schauen | Rechte Maus: Verschieben | Mausrad: Vor/Zurück | ${this.getKeyLabel('ascend')}/${this.getKeyLabel('descend')}: Hoch/Runter</small>`;
+            } else if (currentMode === modes.ORBIT) {
+                statusSpan.textContent = 'Orbit-Modus aktiv';
+                if (helpDiv) helpDiv.innerHTML = `<small>Linke Maus/${this.getLookKeysLabel()}: Kreisen | Mausrad/${this.getKeyLabel('moveForward')}/${this.getKeyLabel('moveBackward')}: Zoom | Rechte Maus: Ziel verschieben</small>`;
             } else {
                 statusSpan.textContent = 'Personen-Modus aktiv';
-                if (helpDiv) helpDiv.innerHTML = '<small>WASD: Gehen | ←→↑↓: Umschauen | Shift/Strg: Rennen</small>';
+                if (helpDiv) helpDiv.innerHTML = `<small>${this.getMoveKeysLabel()}: Gehen | ${this.getLookKeysLabel()} oder Maus (Klick fängt den Zeiger, Esc gibt ihn frei): Umschauen | ${this.getKeyLabel('run')}: Rennen | ${this.getKeyLabel('jump')}: Springen | ${this.getKeyLabel('crouch')}: Ducken</small>`;
             }
         }
     }
     
+    getMoveKeysLabel() {
+        return ['moveForward', 'moveLeft', 'moveBackward', 'moveRight'].map(action => this.getKeyLabel(action)).join('/');
+    }
+    
+    getLookKeysLabel() {
+        return ['turnLeft', 'turnRight', 'lookUp', 'lookDown'].map(action => this.getKeyLabel(action)).join('');
+    }
+    
     toggleCameraMode() {
         if (!this.cameraManager) return;
         
         const currentMode = this.cameraManager.getCurrentMode();
         const modes = this.cameraManager.getModes();
         
-        // Zwischen den Modi wechseln
-        const newMode = currentMode === modes.DRONE ? modes.PERSON : modes.DRONE;
+        // Reihum wechseln: Drohne → Person → Orbit → Drohne
+        const cycle = [modes.DRONE, modes.PERSON, modes.ORBIT];
+        const newMode = cycle[(cycle.indexOf(currentMode) + 1) % cycle.length];
         this.cameraManager.switchMode(newMode);
         this.updateCameraUI();
         
-        console.log(`Kamera-Modus gewechselt zu: ${newMode} (Taste C)`);
+        console.log(`Kamera-Modus gewechselt zu: ${newMode} (Taste ${this.getKeyLabel('toggleCameraMode')})`);
     }
     
     // Cleanup
@@ -0,0 +1,402 @@
+import * as THREE from 'three';
+
+/**
+ * WeatherManager - Wetterzustände und Niederschlag
+ * Verantwortlichkeiten:
+ * - Zustände: klar, bewölkt, Regen, Schnee, Nebel, Gewitter
+ * - Regen und Schnee als GPU-Partikel in einem Volumen um die Kamera
+ * - Fog-Dichte, Bewölkung und Dunst (SkyManager), gedämpftes Sonnenlicht (LightingManager)
+ * - Nasse, dunklere Oberflächen bei Regen (Straßen, Dächer, Mauern, Gelände)
+ * - Blitze bei Gewitter (Himmel und Szene blitzen kurz auf)
+ * - Jahreszeit: im Winter fällt Schnee statt Regen, im Sommer Regen statt Schnee
+ *
+ * Alle Zahlenwerte eines Zustands werden wie beim SeasonManager weich überblendet,
+ * die Nässe folgt langsamer (Oberflächen trocknen erst nach dem Regen ab).
+ */
+export class WeatherManager {
+    constructor(scene, lightingManager, skyManager) {
+        this.scene = scene;
+        this.lightingManager = lightingManager;
+        this.skyManager = skyManager;
+
+        this.currentWeather = 'clear';
+        this.currentSeason = lightingManager.getCurrentSeason();
+        this.values = null;
+        this.transition = null;
+        this.elapsed = 0;
+        this.wetness = { value: 0 };    // Uniform, von allen nassen Materialien geteilt
+        this.lightning = { timer: 0, flashTime: -1, pulses: [] };
+        this.lightningLight = null;
+        this.rain = null;
+        this.snow = null;
+        this.onChangeCallback = null;
+
+        this.config = {
+            transitionDuration: 4,      // Sekunden
+            wettingTime: 8,             // Sekunden bis Oberflächen ganz nass sind
+            dryingTime: 40,
+            wetDarkening: 0.35,
+            particleVolume: new THREE.Vector3(60, 30, 60),
+            windDirection: new THREE.Vector2(1, 0.35).normalize(),
+            lightningInterval: [4, 12], // Sekunden zwischen zwei Blitzen
+            rain: { count: 7000, fallSpeed: 16, size: 9, color: 0xA8B8CC, opacity: 0.45 },
+            snow: { count: 4000, fallSpeed: 1.4, size: 5, color: 0xFFFFFF, opacity: 0.85 },
+            // Zielwerte je Zustand; rain/snow = Niederschlagsdichte (0-1)
+            states: {
+                clear: { cloudCover: 0.25, cloudDarkness: 0, haze: 0, fogNear: 60, fogFar: 220, sun: 1, ambient: 1, rain: 0, snow: 0, wetness: 0, lightning: 0, wind: 0.2 },
+                overcast: { cloudCover: 0.85, cloudDarkness: 0.3, haze: 0.1, fogNear: 40, fogFar: 160, sun: 0.45, ambient: 0.9, rain: 0, snow: 0, wetness: 0, lightning: 0, wind: 0.4 },
+                rain: { cloudCover: 0.95, cloudDarkness: 0.5, haze: 0.25, fogNear: 22, fogFar: 110, sun: 0.3, ambient: 0.8, rain: 0.8, snow: 0, wetness: 1, lightning: 0, wind: 0.6 },
+                snow: { cloudCover: 0.9, cloudDarkness: 0.25, haze: 0.35, fogNear: 15, fogFar: 90, sun: 0.4, ambient: 0.95, rain: 0, snow: 0.8, wetness: 0.2, lightning: 0, wind: 0.3 },
+                fog: { cloudCover: 0.6, cloudDarkness: 0.1, haze: 0.75, fogNear: 3, fogFar: 45, sun: 0.5, ambient: 0.9, rain: 0, snow: 0, wetness: 0.35, lightning: 0, wind: 0.05 },
+                storm: { cloudCover: 1, cloudDarkness: 0.75, haze: 0.3, fogNear: 12, fogFar: 80, sun: 0.15, ambient: 0.65, rain: 1, snow: 0, wetness: 1, lightning: 1, wind: 1.4 }
+            }
+        };
+
+        this.init();
+    }
+
+    init() {
+        this.setupPrecipitation();
+
+        // Blitzlicht: Himmelslicht, das nur während eines Blitzes leuchtet
+        this.lightningLight = new THREE.HemisphereLight(0xDDE6FF, 0x404060, 0);
+        this.lightningLight.name = 'lightning';
+        this.scene.add(this.lightningLight);
+
+        this.values = this.resolveState(this.currentWeather, this.currentSeason);
+        this.apply(this.values);
+    }
+
+    setupPrecipitation() {
+        this.rain = this.createParticles('rain', RAIN_FRAGMENT_SHADER);
+        this.snow = this.createParticles('snow', SNOW_FRAGMENT_SHADER);
+    }
+
+    createParticles(kind, fragmentShader) {
+        const settings = this.config[kind];
+        const volume = this.config.particleVolume;
+        const positions = new Float32Array(settings.count * 3);
+        const seeds = new Float32Array(settings.count);
+
+        for (let i = 0; i < settings.count; i++) {
+            positions[i * 3] = Math.random() * volume.x;
+            positions[i * 3 + 1] = Math.random() * volume.y;
+            positions[i * 3 + 2] = Math.random() * volume.z;
+            seeds[i] = Math.random();
+        }
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        geometry.setAttribute('seed', new THREE.BufferAttribute(seeds, 1));
+
+        const material = new THREE.ShaderMaterial({
+            uniforms: {
+                time: { value: 0 },
+                volume: { value: volume },
+                fallSpeed: { value: settings.fallSpeed },
+                wind: { value: new THREE.Vector2() },
+                sway: { value: kind === 'snow' ? 0.6 : 0 },
+                density: { value: 0 },
+                size: { value: settings.size },
+                color: { value: new THREE.Color(settings.color) },
+                opacity: { value: settings.opacity }
+            },
+            vertexShader: PARTICLE_VERTEX_SHADER,
+            fragmentShader,
+            transparent: true,
+            depthWrite: false
+        });
+
+        const points = new THREE.Points(geometry, material);
+        points.name = `weather-${kind}`;
+        points.frustumCulled = false;
+        points.visible = false;
+        points.userData = { type: 'weather', kind };
+        this.scene.add(points);
+        return points;
+    }
+
+    /**
+     * Nasse Oberflächen für die generierte Stadt einrichten.
+     * Nach jeder (Neu-)Generierung aufrufen, bevor die Szene gerendert wird.
+     */
+    attach(cityGenerator) {
+        const wetNames = ['terrain', 'town-square', 'roof', 'walls', 'stone', 'timber', 'door'];
+
+        cityGenerator.getCityModels().forEach(model => {
+            model.traverse(child => {
+                if (!child.isMesh || !child.material || !child.material.isMeshLambertMaterial) return;
+                const isWet = wetNames.includes(child.name)
+                    || child.name.startsWith('road-')
+                    || child.name.startsWith('city-wall-');
+                if (isWet) this.makeWettable(child.material);
+            });
+        });
+    }
+
+    // Lambert-Shader um einen Nässe-Faktor erweitern (geteilte Uniform, ein Programm für alle)
+    makeWettable(material) {
+        if (material.userData.wettable) return;
+        material.userData.wettable = true;
+
+        const darkening = this.config.wetDarkening.toFixed(3);
+        material.onBeforeCompile = (shader) => {
+            shader.uniforms.wetness = this.wetness;
+            shader.fragmentShader = 'uniform float wetness;\n' + shader.fragmentShader.replace(
+                '#include <opaque_fragment>',
+                `outgoingLight *= 1.0 - wetness * ${darkening};\n#include <opaque_fragment>`
+            );
+        };
+        material.customProgramCacheKey = () => 'wettable';
+        material.needsUpdate = true;
+    }
+
+    setWeather(weather, immediate = false) {
+        if (!this.config.states[weather]) {
+            console.warn(`Unbekanntes Wetter: ${weather}`);
+            return;
+        }
+
+        this.currentWeather = weather;
+        this.startTransition(immediate);
+        this.notifyChange();
+    }
+
+    /**
+     * Jahreszeit übernehmen: Regen wird im Winter zu Schnee, Schnee im Sommer zu Regen.
+     * Gewitter bringen im Winter Schneesturm statt Regen.
+     */
+    setSeason(season) {
+        this.currentSeason = season;
+
+        if (season === 'winter' && this.currentWeather === 'rain') {
+            this.setWeather('snow');
+        } else if (season === 'summer' && this.currentWeather === 'snow') {
+            this.setWeather('rain');
+        } else {
+            this.startTransition(false);
+        }
+    }
+
+    // Zielwerte eines Zustands, Niederschlagsart abhängig von der Jahreszeit
+    resolveState(weather, season) {
+        const values = { ...this.config.states[weather] };
+        if (season === 'winter' && values.rain > 0) {
+            values.snow = Math.max(values.snow, values.rain);
+            values.rain = 0;
+            values.wetness = Math.min(values.wetness, 0.2);
+        }
+        return values;
+    }
+
+    startTransition(immediate) {
+        const target = this.resolveState(this.currentWeather, this.currentSeason);
+
+        if (immediate) {
+            this.transition = null;
+            this.values = target;
+            this.apply(this.values);
+            return;
+        }
+
+        // Ab dem aktuellen (evtl. halb überblendeten) Zustand weiterblenden
+        this.transition = { from: { ...this.values }, to: target, elapsed: 0 };
+    }
+
+    update(deltaTime) {
+        this.elapsed += deltaTime;
+
+        if (this.transition) {
+            const transition = this.transition;
+            transition.elapsed += deltaTime;
+            const t = Math.min(1, transition.elapsed / this.config.transitionDuration);
+            const eased = t * t * (3 - 2 * t);
+
+            Object.keys(transition.to).forEach(key => {
+                this.values[key] = transition.from[key] + (transition.to[key] - transition.from[key]) * eased;
+            });
+            this.apply(this.values);
+
+            if (t >= 1) this.transition = null;
+        }
+
+        this.updateWetness(deltaTime);
+        this.updateLightning(deltaTime);
+        this.updateParticles();
+    }
+
+    // Zahlenwerte auf Himmel, Fog und Licht anwenden
+    apply(values) {
+        this.skyManager.setWeather({
+            cloudCover: values.cloudCover,
+            cloudDarkness: values.cloudDarkness,
+            haze: values.haze
+        });
+        this.lightingManager.setWeatherModifier({ sun: values.sun, ambient: values.ambient });
+
+        if (this.scene.fog && this.scene.fog.isFog) {
+            this.scene.fog.near = values.fogNear;
+            this.scene.fog.far = values.fogFar;
+        }
+    }
+
+    updateWetness(deltaTime) {
+        const target = this.values.wetness;
+        const current = this.wetness.value;
+        const time = target > current ? this.config.wettingTime : this.config.dryingTime;
+        const step = deltaTime / time;
+
+        this.wetness.value = target > current
+            ? Math.min(target, current + step)
+            : Math.max(target, current - step);
+    }
+
+    updateLightning(deltaTime) {
+        const lightning = this.lightning;
+        const strength = this.values.lightning;
+
+        if (strength > 0.05) {
+            lightning.timer -= deltaTime * strength;
+            if (lightning.timer <= 0) {
+                const [min, max] = this.config.lightningInterval;
+                lightning.timer = min + Math.random() * (max - min);
+                lightning.flashTime = 0;
+                // Zwei bis drei kurz aufeinanderfolgende Entladungen
+                lightning.pulses = [0, 0.08 + Math.random() * 0.1, 0.25 + Math.random() * 0.2]
+                    .slice(0, 2 + Math.round(Math.random()));
+            }
+        }
+
+        let flash = 0;
+        if (lightning.flashTime >= 0) {
+            lightning.flashTime += deltaTime;
+            lightning.pulses.forEach(start => {
+                const t = lightning.flashTime - start;
+                if (t >= 0) flash += Math.exp(-t * 18);
+            });
+            if (lightning.flashTime > 1) lightning.flashTime = -1;
+        }
+
+        flash = Math.min(1, flash) * Math.min(1, strength);
+        this.lightningLight.intensity = flash * 2.5;
+        this.skyManager.setWeather({ flash });
+    }
+
+    updateParticles() {
+        const wind = this.config.windDirection.clone().multiplyScalar(this.values.wind * 3);
+
+        [[this.rain, this.values.rain], [this.snow, this.values.snow]].forEach(([points, density]) => {
+            const uniforms = points.material.uniforms;
+            points.visible = density > 0.01;
+            if (!points.visible) return;
+
+            // Zeit periodisch halten, damit die Positionen im Shader genau bleiben
+            uniforms.time.value = this.elapsed % 1000;
+            uniforms.density.value = density;
+            uniforms.wind.value.copy(wind);
+        });
+    }
+
+    getCurrentWeather() {
+        return this.currentWeather;
+    }
+
+    getWeatherStates() {
+        return Object.keys(this.config.states);
+    }
+
+    getWetness() {
+        return this.wetness.value;
+    }
+
+    notifyChange() {
+        if (this.onChangeCallback) {
+            this.onChangeCallback(this.currentWeather);
+        }
+    }
+
+    // Callback Registration
+    setOnChange(callback) {
+        this.onChangeCallback = callback;
+    }
+
+    // Cleanup
+    dispose() {
+        [this.rain, this.snow].forEach(points => {
+            if (!points) return;
+            this.scene.remove(points);
+            points.geometry.dispose();
+            points.material.dispose();
+        });
+        this.rain = null;
+        this.snow = null;
+
+        if (this.lightningLight) {
+            this.scene.remove(this.lightningLight);
+            this.lightningLight = null;
+        }
+        this.transition = null;
+        this.onChangeCallback = null;
+    }
+}
+
+// Partikel wandern durch ein Volumen, das mit der Kamera mitwandert (Positionen per mod wiederholt)
+const PARTICLE_VERTEX_SHADER = `
+    uniform float time;
+    uniform vec3 volume;
+    uniform float fallSpeed;
+    uniform vec2 wind;
+    uniform float sway;
+    uniform float density;
+    uniform float size;
+    attribute float seed;
+    varying float vAlpha;
+
+    void main() {
+        vec3 p = position;
+        p.y -= time * fallSpeed * (0.8 + seed * 0.4);
+        p.x += time * wind.x + sin(time * 1.3 + seed * 40.0) * sway;
+        p.z += time * wind.y + cos(time * 1.1 + seed * 30.0) * sway;
+
+        vec3 origin = cameraPosition - volume * vec3(0.5, 0.35, 0.5);
+        p = mod(p - origin, volume) + origin;
+
+        vec4 mvPosition = viewMatrix * vec4(p, 1.0);
+        gl_Position = projectionMatrix * mvPosition;
+
+        // Dichte: nur ein Anteil der Partikel ist sichtbar
+        float visible = step(seed, density);
+        gl_PointSize = size * visible * (20.0 / max(-mvPosition.z, 0.5));
+
+        // Zum Rand des Volumens ausblenden, damit das Wiederholen nicht auffällt
+        vAlpha = 1.0 - smoothstep(volume.x * 0.3, volume.x * 0.5, length(p.xz - cameraPosition.xz));
+    }
+`;
+
+const RAIN_FRAGMENT_SHADER = `
+    uniform vec3 color;
+    uniform float opacity;
+    varying float vAlpha;
+
+    void main() {
+        vec2 uv = gl_PointCoord - 0.5;
+        float streak = (1.0 - smoothstep(0.02, 0.06, abs(uv.x))) * (1.0 - smoothstep(0.3, 0.5, abs(uv.y)));
+        if (streak < 0.01) discard;
+        gl_FragColor = vec4(color, streak * opacity * vAlpha);
+        #include <colorspace_fragment>
+    }
+`;
+
+const SNOW_FRAGMENT_SHADER = `
+    uniform vec3 color;
+    uniform float opacity;
+    varying float vAlpha;
+
+    void main() {
+        float d = length(gl_PointCoord - 0.5);
+        float flake = 1.0 - smoothstep(0.2, 0.5, d);
+        if (flake < 0.01) discard;
+        gl_FragColor = vec4(color, flake * opacity * vAlpha);
+        #include <colorspace_fragment>
+    }
+`;
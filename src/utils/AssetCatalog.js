@@ -0,0 +1,144 @@
+/**
+ * AssetCatalog - Abfragbarer Katalog der 3D-Modelle aus public/models/manifest.json
+ * Verantwortlichkeiten:
+ * - Manifest prüfen (Pflichtfelder, Kategorien, Pivot, LOD-Stufen)
+ * - Einträge nach Kategorie, Tags und Grundfläche suchen
+ * - Treffer nach Abweichung von der gewünschten Grundfläche sortieren
+ *
+ * Manifest-Format (JSON):
+ * {
+ *   version: 1,
+ *   assets: [
+ *     {
+ *       id: 'house-medieval-01',
+ *       url: '/models/buildings/house_medieval.gltf',
+ *       category: 'building',
+ *       scale: 1,
+ *       pivot: 'bottom-center',
+ *       footprint: { width: 6, depth: 8 },
+ *       tags: ['medieval', 'half-timbered'],
+ *       lods: [{ url: '/models/buildings/house_medieval_lod1.gltf', distance: 60 }]
+ *     }
+ *   ]
+ * }
+ * footprint ist die Grundfläche in Metern nach scale, die Schauseite zeigt nach +Z.
+ * pivot: 'bottom-center' setzt das Modell mittig auf den Boden, 'center' zentriert es,
+ * 'origin' lässt den Ursprung der Datei unverändert. lods sind optionale, einfachere
+ * Varianten ab der angegebenen Kameraentfernung (aufsteigend).
+ */
+
+export const ASSET_CATEGORIES = ['building', 'landmark', 'environment', 'vegetation', 'terrain'];
+export const ASSET_PIVOTS = ['bottom-center', 'center', 'origin'];
+
+export class AssetCatalog {
+    constructor(manifest = { assets: [] }) {
+        AssetCatalog.validate(manifest);
+        this.entries = new Map(manifest.assets.map(asset => [asset.id, AssetCatalog.normalize(asset)]));
+    }
+
+    // Wirft einen Fehler mit Hinweis auf den fehlerhaften Eintrag
+    static validate(manifest) {
+        if (!manifest || !Array.isArray(manifest.assets)) {
+            throw new Error('Asset-Manifest braucht eine Liste assets');
+        }
+
+        const isSize = value => Number.isFinite(value) && value > 0;
+        const ids = new Set();
+        manifest.assets.forEach((asset, index) => {
+            const label = `Asset #${index}${asset && asset.id ? ` (${asset.id})` : ''}`;
+            if (!asset || typeof asset.id !== 'string' || !asset.id) {
+                throw new Error(`${label}: id fehlt`);
+            }
+            if (ids.has(asset.id)) {
+                throw new Error(`${label}: id ist doppelt vergeben`);
+            }
+            ids.add(asset.id);
+
+            if (typeof asset.url !== 'string' || !asset.url) {
+                throw new Error(`${label}: url fehlt`);
+            }
+            if (!ASSET_CATEGORIES.includes(asset.category)) {
+                throw new Error(`${label}: category muss eine von ${ASSET_CATEGORIES.join(', ')} sein`);
+            }
+            if (asset.scale !== undefined && !isSize(asset.scale)) {
+                throw new Error(`${label}: scale muss größer als 0 sein`);
+            }
+            if (asset.pivot !== undefined && !ASSET_PIVOTS.includes(asset.pivot)) {
+                throw new Error(`${label}: pivot muss eine von ${ASSET_PIVOTS.join(', ')} sein`);
+            }
+            if (asset.footprint !== undefined && !(asset.footprint && isSize(asset.footprint.width) && isSize(asset.footprint.depth))) {
+                throw new Error(`${label}: footprint muss { width, depth } in Metern sein`);
+            }
+            if (asset.tags !== undefined && !(Array.isArray(asset.tags) && asset.tags.every(tag => typeof tag === 'string'))) {
+                throw new Error(`${label}: tags muss eine Liste von Texten sein`);
+            }
+
+            let previousDistance = 0;
+            (asset.lods || []).forEach((lod, lodIndex) => {
+                if (!lod || typeof lod.url !== 'string' || !(lod.distance > previousDistance)) {
+                    throw new Error(`${label}: LOD #${lodIndex} braucht url und eine aufsteigende distance`);
+                }
+                previousDistance = lod.distance;
+            });
+        });
+    }
+
+    // Standardwerte ergänzen; Einträge im Katalog sind unveränderlich
+    static normalize(asset) {
+        return Object.freeze({
+            id: asset.id,
+            url: asset.url,
+            category: asset.category,
+            scale: asset.scale ?? 1,
+            pivot: asset.pivot ?? 'bottom-center',
+            footprint: asset.footprint ? Object.freeze({ width: asset.footprint.width, depth: asset.footprint.depth }) : null,
+            tags: Object.freeze([...(asset.tags || [])]),
+            lods: Object.freeze((asset.lods || []).map(lod => Object.freeze({ url: lod.url, distance: lod.distance })))
+        });
+    }
+
+    get(id) {
+        return this.entries.get(id) || null;
+    }
+
+    getAll() {
+        return [...this.entries.values()];
+    }
+
+    size() {
+        return this.entries.size;
+    }
+
+    /**
+     * Einträge, die alle Kriterien erfüllen, die passendsten zuerst.
+     * category: Kategorie oder Liste von Kategorien
+     * tags: alle müssen vorhanden sein
+     * footprint: { width, depth } – Breite und Tiefe dürfen höchstens um tolerance
+     * (Anteil, 0.25 = 25 %) abweichen; Einträge ohne Grundfläche passen dann nicht.
+     */
+    query({ category = null, tags = [], footprint = null, tolerance = 0.25 } = {}) {
+        const categories = category === null ? null : [].concat(category);
+
+        return this.getAll()
+            .filter(entry => !categories || categories.includes(entry.category))
+            .filter(entry => tags.every(tag => entry.tags.includes(tag)))
+            .map(entry => ({ entry, deviation: footprint ? AssetCatalog.getDeviation(entry, footprint) : 0 }))
+            .filter(({ deviation }) => deviation <= tolerance)
+            .sort((a, b) => a.deviation - b.deviation)
+            .map(({ entry }) => entry);
+    }
+
+    // Bester Treffer oder null – dann bleibt es bei prozeduraler Geometrie
+    find(criteria = {}) {
+        return this.query(criteria)[0] || null;
+    }
+
+    // Größte relative Abweichung von Breite bzw. Tiefe (Infinity ohne Grundfläche)
+    static getDeviation(entry, footprint) {
+        if (!entry.footprint) return Infinity;
+        return Math.max(
+            Math.abs(entry.footprint.width / footprint.width - 1),
+            Math.abs(entry.footprint.depth / footprint.depth - 1)
+        );
+    }
+}
@@ -0,0 +1,144 @@
+/**
+ * Astronomy - Sonnen- und Mondstand für einen Ort und Zeitpunkt
+ * Vereinfachte Bahnformeln (Genauigkeit im Bereich von Bogenminuten bis
+ * wenigen Grad), ausreichend für Licht, Schatten und Mondphasen.
+ *
+ * Winkel in Radiant. Azimut: 0 = Norden, π/2 = Osten (Kompassrichtung).
+ * Weltkoordinaten: Norden = -Z, Osten = +X, oben = +Y.
+ */
+
+const RAD = Math.PI / 180;
+const DAY_MS = 1000 * 60 * 60 * 24;
+const J1970 = 2440588;
+const J2000 = 2451545;
+const OBLIQUITY = RAD * 23.4397;
+const SUN_DISTANCE = 149598000; // km
+
+function toDays(date) {
+    return date.valueOf() / DAY_MS - 0.5 + J1970 - J2000;
+}
+
+function rightAscension(longitude, latitude) {
+    return Math.atan2(
+        Math.sin(longitude) * Math.cos(OBLIQUITY) - Math.tan(latitude) * Math.sin(OBLIQUITY),
+        Math.cos(longitude)
+    );
+}
+
+function declination(longitude, latitude) {
+    return Math.asin(
+        Math.sin(latitude) * Math.cos(OBLIQUITY) + Math.cos(latitude) * Math.sin(OBLIQUITY) * Math.sin(longitude)
+    );
+}
+
+function siderealTime(days, westLongitude) {
+    // Volle Stellenzahl: die gekürzte Rate 360.9856235 verschiebt den Mittag im Jahr 1480 um ~18 Minuten
+    return RAD * (280.46061837 + 360.98564736629 * days) - westLongitude;
+}
+
+// Horizontkoordinaten aus Stundenwinkel, geographischer Breite und Deklination
+function horizontal(hourAngle, phi, dec) {
+    const altitude = Math.asin(Math.sin(phi) * Math.sin(dec) + Math.cos(phi) * Math.cos(dec) * Math.cos(hourAngle));
+    // atan2 liefert den Azimut ab Süden (Westen positiv) – auf Kompass drehen
+    const fromSouth = Math.atan2(
+        Math.sin(hourAngle),
+        Math.cos(hourAngle) * Math.sin(phi) - Math.tan(dec) * Math.cos(phi)
+    );
+    return { altitude, azimuth: (fromSouth + Math.PI) % (Math.PI * 2) };
+}
+
+function sunCoords(days) {
+    const meanAnomaly = RAD * (357.5291 + 0.98560028 * days);
+    const center = RAD * (1.9148 * Math.sin(meanAnomaly) + 0.02 * Math.sin(2 * meanAnomaly) + 0.0003 * Math.sin(3 * meanAnomaly));
+    // Das Perihel wandert (≈1,7° je Jahrhundert) – sonst liegt die Sonne im Jahr 1480 um ~9° daneben
+    const perihelion = RAD * (102.9372 + 4.70935e-5 * days);
+    const longitude = meanAnomaly + center + perihelion + Math.PI;
+
+    return { dec: declination(longitude, 0), ra: rightAscension(longitude, 0) };
+}
+
+function moonCoords(days) {
+    const meanLongitude = RAD * (218.316 + 13.176396 * days);
+    const meanAnomaly = RAD * (134.963 + 13.064993 * days);
+    const meanDistance = RAD * (93.272 + 13.229350 * days);
+
+    const longitude = meanLongitude + RAD * 6.289 * Math.sin(meanAnomaly);
+    const latitude = RAD * 5.128 * Math.sin(meanDistance);
+
+    return {
+        ra: rightAscension(longitude, latitude),
+        dec: declination(longitude, latitude),
+        distance: 385001 - 20905 * Math.cos(meanAnomaly)
+    };
+}
+
+// Atmosphärische Refraktion hebt Objekte am Horizont leicht an
+function refraction(altitude) {
+    const h = Math.max(altitude, 0);
+    return 0.0002967 / Math.tan(h + 0.00312536 / (h + 0.08901179));
+}
+
+export function sunPosition(date, latitude, longitude) {
+    const days = toDays(date);
+    const { ra, dec } = sunCoords(days);
+    return horizontal(siderealTime(days, -longitude * RAD) - ra, latitude * RAD, dec);
+}
+
+export function moonPosition(date, latitude, longitude) {
+    const days = toDays(date);
+    const { ra, dec, distance } = moonCoords(days);
+    const position = horizontal(siderealTime(days, -longitude * RAD) - ra, latitude * RAD, dec);
+
+    return { ...position, altitude: position.altitude + refraction(position.altitude), distance };
+}
+
+/**
+ * Beleuchteter Anteil und Phase des Mondes.
+ * phase: 0 = Neumond, 0.25 = erstes Viertel, 0.5 = Vollmond, 0.75 = letztes Viertel
+ */
+export function moonIllumination(date) {
+    const days = toDays(date);
+    const sun = sunCoords(days);
+    const moon = moonCoords(days);
+
+    const elongation = Math.acos(
+        Math.sin(sun.dec) * Math.sin(moon.dec) +
+        Math.cos(sun.dec) * Math.cos(moon.dec) * Math.cos(sun.ra - moon.ra)
+    );
+    const inclination = Math.atan2(SUN_DISTANCE * Math.sin(elongation), moon.distance - SUN_DISTANCE * Math.cos(elongation));
+    const angle = Math.atan2(
+        Math.cos(sun.dec) * Math.sin(sun.ra - moon.ra),
+        Math.sin(sun.dec) * Math.cos(moon.dec) - Math.cos(sun.dec) * Math.sin(moon.dec) * Math.cos(sun.ra - moon.ra)
+    );
+
+    return {
+        fraction: (1 + Math.cos(inclination)) / 2,
+        phase: 0.5 + 0.5 * inclination * (angle < 0 ? -1 : 1) / Math.PI,
+        angle
+    };
+}
+
+// Lokale Sternzeit (Radiant) – dreht den Fixsternhimmel um den Himmelspol
+export function localSiderealTime(date, longitude) {
+    return siderealTime(toDays(date), -longitude * RAD);
+}
+
+// Einheitsvektor vom Betrachter zum Himmelskörper
+export function horizontalToDirection(altitude, azimuth) {
+    const horizontalLength = Math.cos(altitude);
+    return {
+        x: Math.sin(azimuth) * horizontalLength,
+        y: Math.sin(altitude),
+        z: -Math.cos(azimuth) * horizontalLength
+    };
+}
+
+/**
+ * Zeitpunkt aus Kalendertag und lokaler Uhrzeit (Stunden).
+ * utcOffset in Stunden; ohne Angabe gilt die mittlere Ortszeit (Sonnenuhr, Länge / 15).
+ */
+export function localTimeToDate(day, hours, longitude, utcOffset = null) {
+    const offset = utcOffset ?? longitude / 15;
+    const midnight = Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate());
+    return new Date(midnight + (hours - offset) * 3600 * 1000);
+}
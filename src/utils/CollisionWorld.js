@@ -0,0 +1,202 @@
+/**
+ * CollisionWorld - Statische Hindernisse für die Kamera-Kollision
+ * Verantwortlichkeiten:
+ * - Hindernisse als Kreise und gedrehte Rechtecke auf der XZ-Ebene mit Unter- und Oberkante
+ * - Räumlicher Index (gleichmäßiges Raster), damit pro Frame nur nahe Hindernisse geprüft werden
+ * - Aufrechte Kapsel aus Hindernissen herausschieben – die Bewegung entlang der Wand bleibt erhalten
+ * - Begehbare Oberkanten (Bordsteine, Stufen) und Dachhöhen abfragen
+ *
+ * Rechtecke verwenden dieselbe Konvention wie rectangleCorners():
+ * { x, z, width, depth, rotation } mit rotation = Object3D.rotation.y.
+ */
+export class CollisionWorld {
+    constructor(cellSize = 8) {
+        this.cellSize = cellSize;
+        this.cells = new Map();
+        this.colliders = [];
+        this.queryStamp = 0;
+    }
+
+    clear() {
+        this.cells.clear();
+        this.colliders = [];
+    }
+
+    addCircle(x, z, radius, bottom, top, type = 'prop') {
+        return this.insert({ shape: 'circle', x, z, radius, bottom, top, type });
+    }
+
+    addBox(rect, bottom, top, type = 'building') {
+        return this.insert({
+            shape: 'box',
+            x: rect.x,
+            z: rect.z,
+            halfWidth: rect.width / 2,
+            halfDepth: rect.depth / 2,
+            cos: Math.cos(rect.rotation),
+            sin: Math.sin(rect.rotation),
+            radius: Math.hypot(rect.width, rect.depth) / 2,
+            bottom,
+            top,
+            type
+        });
+    }
+
+    // Wandstück zwischen zwei Punkten als Rechteck der angegebenen Stärke
+    addSegment(a, b, thickness, bottom, top, type = 'wall') {
+        const length = Math.hypot(b.x - a.x, b.z - a.z);
+        return this.addBox({
+            x: (a.x + b.x) / 2,
+            z: (a.z + b.z) / 2,
+            width: length,
+            depth: thickness,
+            rotation: -Math.atan2(b.z - a.z, b.x - a.x)
+        }, bottom, top, type);
+    }
+
+    insert(collider) {
+        collider.stamp = 0;
+        this.colliders.push(collider);
+        this.forEachCell(collider.x, collider.z, collider.radius, key => {
+            if (!this.cells.has(key)) this.cells.set(key, []);
+            this.cells.get(key).push(collider);
+        });
+        return collider;
+    }
+
+    forEachCell(x, z, radius, callback) {
+        const minI = Math.floor((x - radius) / this.cellSize);
+        const maxI = Math.floor((x + radius) / this.cellSize);
+        const minJ = Math.floor((z - radius) / this.cellSize);
+        const maxJ = Math.floor((z + radius) / this.cellSize);
+
+        for (let j = minJ; j <= maxJ; j++) {
+            for (let i = minI; i <= maxI; i++) {
+                callback(`${i},${j}`);
+            }
+        }
+    }
+
+    // Hindernisse, deren Zellen den Kreis berühren (jedes höchstens einmal)
+    query(x, z, radius) {
+        const stamp = ++this.queryStamp;
+        const result = [];
+
+        this.forEachCell(x, z, radius, key => {
+            const cell = this.cells.get(key);
+            if (!cell) return;
+            cell.forEach(collider => {
+                if (collider.stamp === stamp) return;
+                collider.stamp = stamp;
+                result.push(collider);
+            });
+        });
+        return result;
+    }
+
+    /**
+     * Kürzester Schub, der einen Kreis aus dem Hindernis bewegt, oder null.
+     * Liefert { x, z, depth } mit normierter Richtung.
+     */
+    penetration(collider, x, z, radius) {
+        if (collider.shape === 'circle') {
+            const dx = x - collider.x;
+            const dz = z - collider.z;
+            const dist = Math.hypot(dx, dz);
+            const depth = collider.radius + radius - dist;
+            if (depth <= 0) return null;
+            // Genau im Mittelpunkt: in beliebige Richtung hinaus
+            return dist > 1e-6 ? { x: dx / dist, z: dz / dist, depth } : { x: 1, z: 0, depth };
+        }
+
+        // In lokale Koordinaten des Rechtecks (Umkehrung von rectangleCorners)
+        const { cos, sin, halfWidth, halfDepth } = collider;
+        const dx = x - collider.x;
+        const dz = z - collider.z;
+        const lx = dx * cos - dz * sin;
+        const lz = dx * sin + dz * cos;
+
+        const cx = Math.max(-halfWidth, Math.min(halfWidth, lx));
+        const cz = Math.max(-halfDepth, Math.min(halfDepth, lz));
+        let nx = lx - cx;
+        let nz = lz - cz;
+        let depth;
+        const dist = Math.hypot(nx, nz);
+
+        if (dist > 1e-6) {
+            depth = radius - dist;
+            if (depth <= 0) return null;
+            nx /= dist;
+            nz /= dist;
+        } else {
+            // Mittelpunkt liegt im Rechteck: zur nächsten Kante hinaus
+            const toX = halfWidth - Math.abs(lx);
+            const toZ = halfDepth - Math.abs(lz);
+            if (toX < toZ) {
+                nx = Math.sign(lx) || 1;
+                nz = 0;
+                depth = toX + radius;
+            } else {
+                nx = 0;
+                nz = Math.sign(lz) || 1;
+                depth = toZ + radius;
+            }
+        }
+
+        return { x: nx * cos + nz * sin, z: -nx * sin + nz * cos, depth };
+    }
+
+    /**
+     * Aufrechte Kapsel (Radius, Fuß- und Kopfhöhe) aus allen Hindernissen schieben.
+     * Hindernisse bis stepHeight über dem Fuß werden überstiegen statt blockiert.
+     * Ändert position ({ x, z }) direkt. false, wenn die Kapsel eingeklemmt bleibt
+     * (Lücke schmaler als die Kapsel) – dann sollte der Aufrufer die Bewegung verwerfen.
+     */
+    resolveCapsule(position, radius, feet, head, stepHeight = 0, iterations = 4) {
+        for (let iteration = 0; iteration <= iterations; iteration++) {
+            let moved = false;
+            this.query(position.x, position.z, radius).forEach(collider => {
+                if (collider.top <= feet + stepHeight || collider.bottom >= head) return;
+
+                const push = this.penetration(collider, position.x, position.z, radius - 0.001);
+                if (!push) return;
+                // In der letzten Runde nur noch prüfen
+                if (iteration < iterations) {
+                    position.x += push.x * push.depth;
+                    position.z += push.z * push.depth;
+                }
+                moved = true;
+            });
+
+            if (!moved) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Höchste begehbare Oberkante unter der Kapsel (z.B. Bordstein oder Stufe),
+     * -Infinity wenn nichts innerhalb der Stufenhöhe liegt.
+     */
+    getStepHeight(x, z, radius, feet, stepHeight) {
+        let height = -Infinity;
+        this.query(x, z, radius).forEach(collider => {
+            if (collider.top > feet + stepHeight || collider.top <= height) return;
+            if (this.penetration(collider, x, z, radius)) height = collider.top;
+        });
+        return height;
+    }
+
+    // Höchste Oberkante am Punkt (Dächer, Mauerkronen) – optional nach Typ gefiltert
+    getTopHeight(x, z, radius, ignoreTypes = []) {
+        let height = -Infinity;
+        this.query(x, z, radius).forEach(collider => {
+            if (collider.top <= height || ignoreTypes.includes(collider.type)) return;
+            if (this.penetration(collider, x, z, radius)) height = collider.top;
+        });
+        return height;
+    }
+
+    getColliderCount() {
+        return this.colliders.length;
+    }
+}
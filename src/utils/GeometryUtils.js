@@ -0,0 +1,201 @@
+/**
+ * GeometryUtils - 2D-Geometrie auf der XZ-Ebene
+ * Punkte sind einfache Objekte { x, z }, Polygone Arrays solcher Punkte.
+ * Wird von den Generatoren für Layout- und Kollisionsprüfungen genutzt.
+ */
+
+export function distance(a, b) {
+    return Math.hypot(b.x - a.x, b.z - a.z);
+}
+
+export function closestPointOnSegment(p, a, b) {
+    const dx = b.x - a.x;
+    const dz = b.z - a.z;
+    const lengthSq = dx * dx + dz * dz;
+    let t = lengthSq > 0 ? ((p.x - a.x) * dx + (p.z - a.z) * dz) / lengthSq : 0;
+    t = Math.max(0, Math.min(1, t));
+
+    return { x: a.x + dx * t, z: a.z + dz * t, t };
+}
+
+export function distanceToSegment(p, a, b) {
+    return distance(p, closestPointOnSegment(p, a, b));
+}
+
+export function distanceToPolyline(p, points) {
+    let min = Infinity;
+    for (let i = 0; i < points.length - 1; i++) {
+        min = Math.min(min, distanceToSegment(p, points[i], points[i + 1]));
+    }
+    return min;
+}
+
+export function segmentsIntersect(a, b, c, d) {
+    const cross = (o, p, q) => (p.x - o.x) * (q.z - o.z) - (p.z - o.z) * (q.x - o.x);
+    const d1 = cross(c, d, a);
+    const d2 = cross(c, d, b);
+    const d3 = cross(a, b, c);
+    const d4 = cross(a, b, d);
+
+    return ((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) &&
+        ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0));
+}
+
+export function pointInPolygon(p, polygon) {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const a = polygon[i];
+        const b = polygon[j];
+        if ((a.z > p.z) !== (b.z > p.z) &&
+            p.x < ((b.x - a.x) * (p.z - a.z)) / (b.z - a.z) + a.x) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+// Minimaler Abstand zwischen Strecke und Polygon (0 bei Schnitt oder Enthaltensein)
+export function distanceSegmentToPolygon(a, b, polygon) {
+    if (pointInPolygon(a, polygon) || pointInPolygon(b, polygon)) return 0;
+
+    let min = Infinity;
+    for (let i = 0; i < polygon.length; i++) {
+        const c = polygon[i];
+        const d = polygon[(i + 1) % polygon.length];
+        if (segmentsIntersect(a, b, c, d)) return 0;
+
+        min = Math.min(
+            min,
+            distanceToSegment(a, c, d),
+            distanceToSegment(b, c, d),
+            distanceToSegment(c, a, b)
+        );
+    }
+    return min;
+}
+
+// Separating Axis Test für konvexe Polygone
+export function polygonsOverlap(polyA, polyB) {
+    for (const polygon of [polyA, polyB]) {
+        for (let i = 0; i < polygon.length; i++) {
+            const a = polygon[i];
+            const b = polygon[(i + 1) % polygon.length];
+            const axis = { x: -(b.z - a.z), z: b.x - a.x };
+
+            const project = (poly) => {
+                let min = Infinity;
+                let max = -Infinity;
+                poly.forEach(p => {
+                    const value = p.x * axis.x + p.z * axis.z;
+                    min = Math.min(min, value);
+                    max = Math.max(max, value);
+                });
+                return { min, max };
+            };
+
+            const projA = project(polyA);
+            const projB = project(polyB);
+            if (projA.max <= projB.min || projB.max <= projA.min) return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * Eckpunkte eines gedrehten Rechtecks { x, z, width, depth, rotation }.
+ * rotation entspricht Object3D.rotation.y: lokale X-Achse = width, lokale Z-Achse = depth.
+ */
+export function rectangleCorners(rect, padding = 0) {
+    const hw = rect.width / 2 + padding;
+    const hd = rect.depth / 2 + padding;
+    const cos = Math.cos(rect.rotation);
+    const sin = Math.sin(rect.rotation);
+
+    return [[-hw, -hd], [hw, -hd], [hw, hd], [-hw, hd]].map(([lx, lz]) => ({
+        x: rect.x + lx * cos + lz * sin,
+        z: rect.z - lx * sin + lz * cos
+    }));
+}
+
+export function polylineLength(points) {
+    let length = 0;
+    for (let i = 0; i < points.length - 1; i++) {
+        length += distance(points[i], points[i + 1]);
+    }
+    return length;
+}
+
+// Polylinie in gleichmäßige Abstände unterteilen (z.B. damit Straßen dem Terrain folgen)
+export function resamplePolyline(points, spacing) {
+    const result = [{ ...points[0] }];
+
+    for (let i = 0; i < points.length - 1; i++) {
+        const a = points[i];
+        const b = points[i + 1];
+        const steps = Math.max(1, Math.ceil(distance(a, b) / spacing));
+        for (let s = 1; s <= steps; s++) {
+            const t = s / steps;
+            result.push({ x: a.x + (b.x - a.x) * t, z: a.z + (b.z - a.z) * t });
+        }
+    }
+
+    return result;
+}
+
+// Abstand zum Rand eines geschlossenen Polygons
+export function distanceToPolygonEdge(p, polygon) {
+    return distanceToPolyline(p, [...polygon, polygon[0]]);
+}
+
+// Vorzeichenbehaftete Fläche (> 0: gegen den Uhrzeigersinn in der XZ-Ebene)
+export function signedPolygonArea(polygon) {
+    let area = 0;
+    for (let i = 0; i < polygon.length; i++) {
+        const a = polygon[i];
+        const b = polygon[(i + 1) % polygon.length];
+        area += a.x * b.z - b.x * a.z;
+    }
+    return area / 2;
+}
+
+// Nächster Schnittpunkt eines Strahls mit dem Polygonrand ({ x, z, t, edgeIndex } oder null)
+export function rayPolygonIntersection(origin, direction, polygon) {
+    let best = null;
+
+    for (let i = 0; i < polygon.length; i++) {
+        const a = polygon[i];
+        const b = polygon[(i + 1) % polygon.length];
+        const ex = b.x - a.x;
+        const ez = b.z - a.z;
+        const denominator = direction.x * ez - direction.z * ex;
+        if (Math.abs(denominator) < 1e-9) continue;
+
+        const t = ((a.x - origin.x) * ez - (a.z - origin.z) * ex) / denominator;
+        const u = ((a.x - origin.x) * direction.z - (a.z - origin.z) * direction.x) / denominator;
+
+        if (t > 0 && u >= 0 && u <= 1 && (!best || t < best.t)) {
+            best = { x: origin.x + direction.x * t, z: origin.z + direction.z * t, t, edgeIndex: i };
+        }
+    }
+
+    return best;
+}
+
+// Polygon um einen festen Abstand nach außen (> 0) oder innen (< 0) versetzen
+export function offsetPolygon(polygon, amount) {
+    const orientation = signedPolygonArea(polygon) > 0 ? 1 : -1;
+
+    return polygon.map((point, i) => {
+        const prev = polygon[(i - 1 + polygon.length) % polygon.length];
+        const next = polygon[(i + 1) % polygon.length];
+        const dx = next.x - prev.x;
+        const dz = next.z - prev.z;
+        const length = Math.hypot(dx, dz) || 1;
+
+        // Rechte Normale zeigt bei Gegen-Uhrzeigersinn nach außen
+        return {
+            x: point.x + (dz / length) * amount * orientation,
+            z: point.z - (dx / length) * amount * orientation
+        };
+    });
+}
@@ -0,0 +1,179 @@
+import * as THREE from 'three';
+
+/**
+ * LightingTimeline - Interpolation zwischen Licht-Keyframes eines Presets
+ * Keyframes liegen nicht auf Uhrzeiten, sondern auf Sonnenhöhen (Grad) und
+ * einer Tageshälfte (morning/evening). Dadurch verschieben sich Morgen- und
+ * Abenddämmerung automatisch mit Jahreszeit und Breitengrad.
+ *
+ * Preset-Format (JSON-tauglich, Farben als Zahl oder CSS-String):
+ * {
+ *   name: 'Standard',
+ *   moonlight: { color: '#8fa0d0', intensity: 0.3 },
+ *   keyframes: [
+ *     { id: 'midnight', phase: 'both', sunAltitude: -90, directionalColor, directionalIntensity,
+ *       ambientColor, ambientIntensity, backgroundColor, fogColor, zenithColor },
+ *     ...
+ *   ]
+ * }
+ * phase 'both' gilt für beide Tageshälften (z.B. Mitternacht, Mittag).
+ * backgroundColor ist die Himmelsfarbe am Horizont, das optionale zenithColor
+ * die Farbe im Zenit (ohne Angabe eine abgedunkelte Horizontfarbe).
+ */
+
+const COLOR_KEYS = ['directionalColor', 'ambientColor', 'backgroundColor', 'fogColor'];
+const OPTIONAL_COLOR_KEYS = ['zenithColor'];
+const ZENITH_FALLBACK_SCALE = 0.7;
+const NUMBER_KEYS = ['directionalIntensity', 'ambientIntensity'];
+const PHASES = ['morning', 'evening', 'both'];
+
+export class LightingTimeline {
+    constructor(preset) {
+        this.setPreset(preset);
+    }
+
+    setPreset(preset) {
+        LightingTimeline.validate(preset);
+        this.preset = preset;
+        this.track = this.buildTrack(preset.keyframes);
+        this.moonlight = {
+            color: new THREE.Color(preset.moonlight ? preset.moonlight.color : 0x8FA0D0),
+            intensity: preset.moonlight ? preset.moonlight.intensity : 0.3
+        };
+    }
+
+    // Wirft einen Fehler mit Hinweis auf das fehlerhafte Keyframe
+    static validate(preset) {
+        if (!preset || !Array.isArray(preset.keyframes) || preset.keyframes.length < 2) {
+            throw new Error('Licht-Preset braucht mindestens zwei Keyframes');
+        }
+
+        preset.keyframes.forEach((key, index) => {
+            const label = key.id || `#${index}`;
+            if (!PHASES.includes(key.phase)) {
+                throw new Error(`Keyframe ${label}: phase muss ${PHASES.join('/')} sein`);
+            }
+            if (typeof key.sunAltitude !== 'number' || key.sunAltitude < -90 || key.sunAltitude > 90) {
+                throw new Error(`Keyframe ${label}: sunAltitude muss zwischen -90 und 90 liegen`);
+            }
+            [...COLOR_KEYS, ...NUMBER_KEYS].forEach(property => {
+                if (key[property] === undefined) {
+                    throw new Error(`Keyframe ${label}: ${property} fehlt`);
+                }
+            });
+        });
+    }
+
+    /**
+     * Keyframes auf eine umlaufende Spur legen: 0 = Sonne im Nadir,
+     * 180 = Zenit (Vormittag aufsteigend), 360 = wieder Nadir (Nachmittag absteigend).
+     */
+    buildTrack(keyframes) {
+        const entries = [];
+
+        keyframes.forEach(key => {
+            const values = this.parseKeyframe(key);
+            if (key.phase !== 'evening') {
+                entries.push({ position: key.sunAltitude + 90, key, values });
+            }
+            if (key.phase !== 'morning') {
+                entries.push({ position: 270 - key.sunAltitude, key, values });
+            }
+        });
+
+        entries.sort((a, b) => a.position - b.position);
+        return entries;
+    }
+
+    parseKeyframe(key) {
+        const values = {};
+        COLOR_KEYS.forEach(property => {
+            values[property] = new THREE.Color(key[property]);
+        });
+        NUMBER_KEYS.forEach(property => {
+            values[property] = key[property];
+        });
+        values.zenithColor = key.zenithColor !== undefined
+            ? new THREE.Color(key.zenithColor)
+            : values.backgroundColor.clone().multiplyScalar(ZENITH_FALLBACK_SCALE);
+        return values;
+    }
+
+    getTrackPosition(sunAltitude, rising) {
+        return rising ? sunAltitude + 90 : 270 - sunAltitude;
+    }
+
+    /**
+     * Licht für eine Sonnenhöhe (Grad) und Tageshälfte.
+     * target wird wiederverwendet, um pro Frame keine neuen Farben anzulegen.
+     */
+    sample(sunAltitude, rising, target = this.createSample()) {
+        const position = this.getTrackPosition(sunAltitude, rising);
+        const track = this.track;
+
+        // Umlaufend: vor dem ersten und nach dem letzten Key wird über 360° hinweg interpoliert
+        const index = track.findIndex(entry => entry.position > position);
+        const last = track.length - 1;
+        let previous;
+        let next;
+        let previousPosition;
+        let nextPosition;
+
+        if (index === -1) {
+            previous = track[last];
+            next = track[0];
+            previousPosition = previous.position;
+            nextPosition = next.position + 360;
+        } else if (index === 0) {
+            previous = track[last];
+            next = track[0];
+            previousPosition = previous.position - 360;
+            nextPosition = next.position;
+        } else {
+            previous = track[index - 1];
+            next = track[index];
+            previousPosition = previous.position;
+            nextPosition = next.position;
+        }
+
+        const span = nextPosition - previousPosition;
+        const t = span > 0 ? (position - previousPosition) / span : 0;
+
+        [...COLOR_KEYS, ...OPTIONAL_COLOR_KEYS].forEach(property => {
+            target[property].copy(previous.values[property]).lerp(next.values[property], t);
+        });
+        NUMBER_KEYS.forEach(property => {
+            target[property] = previous.values[property] + (next.values[property] - previous.values[property]) * t;
+        });
+        target.from = previous.key.id;
+        target.to = next.key.id;
+        target.blend = t;
+
+        return target;
+    }
+
+    createSample() {
+        const sample = { from: null, to: null, blend: 0 };
+        [...COLOR_KEYS, ...OPTIONAL_COLOR_KEYS].forEach(property => {
+            sample[property] = new THREE.Color();
+        });
+        NUMBER_KEYS.forEach(property => {
+            sample[property] = 0;
+        });
+        return sample;
+    }
+
+    getKeyframe(id) {
+        return this.preset.keyframes.find(key => key.id === id) || null;
+    }
+
+    // Einzelnes Keyframe ändern, z.B. { fogColor: '#ffddaa' }
+    updateKeyframe(id, changes) {
+        const keyframes = this.preset.keyframes.map(key => (key.id === id ? { ...key, ...changes } : key));
+        this.setPreset({ ...this.preset, keyframes });
+    }
+
+    toJSON() {
+        return JSON.parse(JSON.stringify(this.preset));
+    }
+}
@@ -0,0 +1,61 @@
+import * as THREE from 'three';
+import { mergeGeometries } from 'three/examples/jsm/utils/BufferGeometryUtils.js';
+
+/**
+ * MeshUtils - Hilfsfunktionen für zusammengesetzte Geometrien
+ * Generatoren sammeln viele kleine Teile pro Material und führen sie
+ * zu einer Geometrie zusammen, um Draw Calls gering zu halten.
+ */
+
+// Einheitliches Attribut-Layout (nicht indiziert, ohne UV) für mergeGeometries
+export function normalizeGeometry(geometry) {
+    const normalized = geometry.index ? geometry.toNonIndexed() : geometry;
+    if (normalized.hasAttribute('uv')) {
+        normalized.deleteAttribute('uv');
+    }
+    return normalized;
+}
+
+// Führt eine Liste von Geometrien zusammen und gibt die Einzelteile frei
+export function mergeGeometryList(geometries) {
+    const merged = mergeGeometries(geometries.map(geometry => normalizeGeometry(geometry)));
+    geometries.forEach(geometry => geometry.dispose());
+    return merged;
+}
+
+/**
+ * Flaches Band entlang einer Polylinie (Straßen, Flüsse, Gräben).
+ * getY(x, z) liefert die Höhe jedes Randpunkts.
+ */
+export function createRibbonGeometry(points, width, getY) {
+    const positions = [];
+    const indices = [];
+    const halfWidth = width / 2;
+
+    points.forEach((point, i) => {
+        // Gemittelte Richtung an Knicken verhindert Lücken zwischen Segmenten
+        const prev = points[Math.max(0, i - 1)];
+        const next = points[Math.min(points.length - 1, i + 1)];
+        const dx = next.x - prev.x;
+        const dz = next.z - prev.z;
+        const length = Math.hypot(dx, dz) || 1;
+        const nx = -dz / length;
+        const nz = dx / length;
+
+        const left = { x: point.x + nx * halfWidth, z: point.z + nz * halfWidth };
+        const right = { x: point.x - nx * halfWidth, z: point.z - nz * halfWidth };
+        positions.push(left.x, getY(left.x, left.z), left.z);
+        positions.push(right.x, getY(right.x, right.z), right.z);
+
+        if (i > 0) {
+            const base = (i - 1) * 2;
+            indices.push(base, base + 2, base + 1, base + 1, base + 2, base + 3);
+        }
+    });
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    geometry.setIndex(indices);
+    geometry.computeVertexNormals();
+    return geometry;
+}
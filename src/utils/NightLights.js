@@ -0,0 +1,265 @@
+import * as THREE from 'three';
+import { SeededRandom } from './SeededRandom.js';
+
+/**
+ * NightLights - Laternen, Fackeln und erleuchtete Fenster bei Nacht
+ * Wird vom LightingManager gesteuert und bekommt nach jeder Stadtgenerierung
+ * die Lichtpunkte (StreetLightGenerator) und Gebäude übergeben.
+ *
+ * Nur die nächsten maxLights Lichtquellen zur Kamera sind echte Punktlichter
+ * (fester Pool, damit die Shader nicht neu kompiliert werden). Alle Lichtquellen
+ * bekommen zusätzlich einen additiven Leuchtpunkt, Fenster leuchten über emissive.
+ */
+export class NightLights {
+    constructor(scene, config = {}) {
+        this.scene = scene;
+        this.config = {
+            maxLights: 8,
+            lightDistance: 16,
+            lightDecay: 2,
+            assignInterval: 0.25,       // Sekunden zwischen Neuverteilung der Punktlichter
+            fadeTime: 1.5,              // Sekunden bis eine Lampe ganz an bzw. aus ist
+            glowSize: 1.4,              // Durchmesser der Leuchtpunkte in Metern
+            lantern: { color: 0xFFB35A, intensity: 6, flicker: 0.06 },
+            torch: { color: 0xFF7A2A, intensity: 8, flicker: 0.22 },
+            windows: { color: 0xFFB566, intensity: 0.9, litShare: 0.7, switchRange: [-3, 6], flicker: 0.04 },
+            ...config
+        };
+
+        this.sources = [];
+        this.windows = [];
+        this.pool = [];
+        this.glow = null;
+        this.elapsed = 0;
+        this.assignTimer = 0;
+        this.colorCache = new Map();
+
+        this.setupPool();
+    }
+
+    // Fester Pool an Punktlichtern – unbenutzte Lichter haben Intensität 0
+    setupPool() {
+        for (let i = 0; i < this.config.maxLights; i++) {
+            const light = new THREE.PointLight(0xFFB35A, 0, this.config.lightDistance, this.config.lightDecay);
+            light.name = `night-light-${i}`;
+            this.scene.add(light);
+            this.pool.push(light);
+        }
+    }
+
+    /**
+     * Lichtquellen ({ x, y, z, kind, switchAltitude, phase }) und Gebäude übernehmen.
+     * seed macht die Auswahl der erleuchteten Fenster reproduzierbar.
+     */
+    attach(lights, buildings, seed = 0) {
+        this.detach();
+        const random = new SeededRandom(`${seed}:night-lights`);
+
+        this.sources = lights.map(light => ({
+            ...light,
+            settings: this.config[light.kind] || this.config.lantern,
+            level: 0,
+            brightness: 0
+        }));
+        this.createGlow();
+
+        const { litShare, switchRange } = this.config.windows;
+        buildings.forEach(building => {
+            const materials = [];
+            building.traverse(child => {
+                if (!child.isMesh || child.name !== 'windows') return;
+                // Unbeleuchtete Materialien (z.B. MeshBasicMaterial aus glTF) haben kein emissive
+                materials.push(...[].concat(child.material).filter(material => material.emissive));
+            });
+            if (materials.length === 0) return;
+
+            // Fenstermaterialien sind je Gebäude eigene (BuildingFactory, CityGenerator.placeModel),
+            // daher leuchtet jedes Haus für sich
+            materials.forEach(material => material.emissive.set(this.config.windows.color));
+            this.windows.push({
+                materials,
+                // Manche Häuser bleiben dunkel, die übrigen schalten nacheinander ein
+                lit: random.chance(litShare),
+                switchAltitude: random.range(...switchRange),
+                phase: random.range(0, Math.PI * 2),
+                level: 0
+            });
+        });
+    }
+
+    createGlow() {
+        if (this.sources.length === 0) return;
+
+        const positions = new Float32Array(this.sources.length * 3);
+        this.sources.forEach((source, index) => {
+            positions.set([source.x, source.y, source.z], index * 3);
+        });
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        geometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(this.sources.length * 3), 3));
+
+        const material = new THREE.PointsMaterial({
+            size: this.config.glowSize,
+            map: this.createGlowTexture(),
+            vertexColors: true,
+            transparent: true,
+            depthWrite: false,
+            blending: THREE.AdditiveBlending
+        });
+
+        this.glow = new THREE.Points(geometry, material);
+        this.glow.name = 'night-light-glow';
+        this.glow.userData = { type: 'night-lights' };
+        this.glow.visible = false;
+        this.scene.add(this.glow);
+    }
+
+    // Weicher radialer Verlauf, ohne Canvas erzeugt
+    createGlowTexture(size = 64) {
+        const data = new Uint8Array(size * size * 4);
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                const dx = (x + 0.5) / size * 2 - 1;
+                const dy = (y + 0.5) / size * 2 - 1;
+                const falloff = Math.max(0, 1 - Math.sqrt(dx * dx + dy * dy));
+                const value = Math.round(255 * falloff * falloff);
+                data.set([value, value, value, value], (y * size + x) * 4);
+            }
+        }
+
+        const texture = new THREE.DataTexture(data, size, size);
+        texture.needsUpdate = true;
+        return texture;
+    }
+
+    /**
+     * Pro Frame: Ein-/Ausschalten nach Sonnenhöhe (Grad), Flackern und
+     * Verteilung der Punktlichter auf die nächsten Lichtquellen.
+     */
+    update(deltaTime, sunAltitude, cameraPosition) {
+        this.elapsed += deltaTime;
+        const step = Math.min(1, deltaTime / this.config.fadeTime);
+        this.updateSources(sunAltitude, step);
+
+        this.assignTimer -= deltaTime;
+        if (this.assignTimer <= 0 && cameraPosition) {
+            this.assignTimer = this.config.assignInterval;
+            this.assignLights(cameraPosition);
+        }
+        this.updatePoolIntensities();
+        this.updateWindows(sunAltitude, step);
+    }
+
+    updateSources(sunAltitude, step) {
+        if (!this.glow) return;
+
+        const colors = this.glow.geometry.attributes.color;
+        let anyLit = false;
+
+        this.sources.forEach((source, index) => {
+            const target = sunAltitude < source.switchAltitude ? 1 : 0;
+            source.level = this.approach(source.level, target, step);
+            source.brightness = source.level * this.flicker(source.phase, source.settings.flicker);
+            if (source.level > 0.01) anyLit = true;
+
+            const tint = this.getColor(source.settings.color);
+            colors.setXYZ(index, tint.r * source.brightness, tint.g * source.brightness, tint.b * source.brightness);
+        });
+
+        colors.needsUpdate = true;
+        this.glow.visible = anyLit;
+    }
+
+    // Gleichmäßig auf das Ziel zu (lineares Ein-/Ausblenden)
+    approach(value, target, step) {
+        return value < target ? Math.min(target, value + step) : Math.max(target, value - step);
+    }
+
+    // Drei überlagerte Sinus-Schwingungen mit eigener Phase – wirkt unregelmäßig
+    flicker(phase, amount) {
+        const t = this.elapsed;
+        const wave = Math.sin(t * 7.3 + phase) * 0.5 + Math.sin(t * 13.1 + phase * 2.7) * 0.3 + Math.sin(t * 23.7 + phase * 5.1) * 0.2;
+        return 1 + wave * amount;
+    }
+
+    // Die nächsten eingeschalteten Lichtquellen bekommen echte Punktlichter
+    assignLights(cameraPosition) {
+        const candidates = this.sources
+            .filter(source => source.level > 0.01)
+            .map(source => ({
+                source,
+                distance: (source.x - cameraPosition.x) ** 2 + (source.y - cameraPosition.y) ** 2 + (source.z - cameraPosition.z) ** 2
+            }))
+            .sort((a, b) => a.distance - b.distance)
+            .slice(0, this.pool.length);
+
+        this.pool.forEach((light, index) => {
+            const candidate = candidates[index];
+            light.userData.source = candidate ? candidate.source : null;
+            // Die letzten Plätze schwächer, damit Wechsel am Rand des Budgets nicht springen
+            light.userData.rankWeight = Math.min(1, (this.pool.length - index) / 2);
+            if (candidate) {
+                light.position.set(candidate.source.x, candidate.source.y, candidate.source.z);
+                light.color.copy(this.getColor(candidate.source.settings.color));
+            }
+        });
+    }
+
+    updatePoolIntensities() {
+        this.pool.forEach(light => {
+            const source = light.userData.source;
+            light.intensity = source ? source.settings.intensity * source.brightness * light.userData.rankWeight : 0;
+        });
+    }
+
+    updateWindows(sunAltitude, step) {
+        const { intensity, flicker } = this.config.windows;
+
+        this.windows.forEach(entry => {
+            const target = entry.lit && sunAltitude < entry.switchAltitude ? 1 : 0;
+            entry.level = this.approach(entry.level, target, step);
+            const value = entry.level * intensity * this.flicker(entry.phase, flicker);
+            entry.materials.forEach(material => {
+                material.emissiveIntensity = value;
+            });
+        });
+    }
+
+    getColor(hex) {
+        if (!this.colorCache.has(hex)) this.colorCache.set(hex, new THREE.Color(hex));
+        return this.colorCache.get(hex);
+    }
+
+    getActiveLightCount() {
+        return this.pool.filter(light => light.intensity > 0).length;
+    }
+
+    getSourceCount() {
+        return this.sources.length;
+    }
+
+    // Lichtquellen der alten Stadt freigeben, der Punktlicht-Pool bleibt bestehen
+    detach() {
+        if (this.glow) {
+            this.scene.remove(this.glow);
+            this.glow.geometry.dispose();
+            this.glow.material.map.dispose();
+            this.glow.material.dispose();
+            this.glow = null;
+        }
+        this.sources = [];
+        this.windows = [];
+        this.pool.forEach(light => {
+            light.intensity = 0;
+            light.userData.source = null;
+        });
+    }
+
+    // Cleanup
+    dispose() {
+        this.detach();
+        this.pool.forEach(light => this.scene.remove(light));
+        this.pool = [];
+    }
+}
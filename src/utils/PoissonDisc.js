@@ -0,0 +1,93 @@
+/**
+ * PoissonDisc - Gleichmäßige Zufallsverteilung mit Mindestabstand (Bridson)
+ * Punkte halten untereinander mindestens `radius` Abstand, wirken aber
+ * natürlicher als ein Raster. Wird für Bäume, Büsche und Gärten genutzt.
+ */
+
+/**
+ * bounds: { minX, maxX, minZ, maxZ }
+ * isValid(point): optionaler Filter (z.B. nicht auf Straßen), abgelehnte Punkte
+ * werden nicht weiterverfolgt.
+ * maxPoints begrenzt die Anzahl, attempts ist die Kandidatenzahl pro aktivem Punkt.
+ */
+export function poissonDiscSample(random, bounds, radius, { isValid = null, maxPoints = Infinity, attempts = 30, seeds = 12 } = {}) {
+    const cellSize = radius / Math.SQRT2;
+    const columns = Math.ceil((bounds.maxX - bounds.minX) / cellSize);
+    const rows = Math.ceil((bounds.maxZ - bounds.minZ) / cellSize);
+    const grid = new Int32Array(columns * rows).fill(-1);
+
+    const points = [];
+    const active = [];
+
+    const cellOf = (point) => ({
+        i: Math.min(columns - 1, Math.floor((point.x - bounds.minX) / cellSize)),
+        j: Math.min(rows - 1, Math.floor((point.z - bounds.minZ) / cellSize))
+    });
+
+    const isFarEnough = (point) => {
+        const { i, j } = cellOf(point);
+        for (let dj = -2; dj <= 2; dj++) {
+            for (let di = -2; di <= 2; di++) {
+                const ci = i + di;
+                const cj = j + dj;
+                if (ci < 0 || cj < 0 || ci >= columns || cj >= rows) continue;
+
+                const index = grid[cj * columns + ci];
+                if (index !== -1) {
+                    const other = points[index];
+                    if ((other.x - point.x) ** 2 + (other.z - point.z) ** 2 < radius * radius) return false;
+                }
+            }
+        }
+        return true;
+    };
+
+    const insideBounds = (point) =>
+        point.x >= bounds.minX && point.x < bounds.maxX && point.z >= bounds.minZ && point.z < bounds.maxZ;
+
+    const accept = (point) => {
+        const { i, j } = cellOf(point);
+        grid[j * columns + i] = points.length;
+        points.push(point);
+        active.push(point);
+    };
+
+    // Mehrere Startpunkte, da gültige Flächen zerstückelt sein können (Straßen, Mauer)
+    for (let s = 0; s < seeds * 4 && points.length < seeds; s++) {
+        const point = { x: random.range(bounds.minX, bounds.maxX), z: random.range(bounds.minZ, bounds.maxZ) };
+        if (isFarEnough(point) && (!isValid || isValid(point))) {
+            accept(point);
+        }
+    }
+
+    while (active.length > 0 && points.length < maxPoints) {
+        const activeIndex = random.int(0, active.length - 1);
+        const origin = active[activeIndex];
+        let found = false;
+
+        for (let k = 0; k < attempts; k++) {
+            const angle = random.range(0, Math.PI * 2);
+            const distance = random.range(radius, radius * 2);
+            const candidate = {
+                x: origin.x + Math.cos(angle) * distance,
+                z: origin.z + Math.sin(angle) * distance
+            };
+
+            if (insideBounds(candidate) && isFarEnough(candidate)) {
+                // Ungültige Kandidaten blockieren das Raster nicht
+                if (!isValid || isValid(candidate)) {
+                    accept(candidate);
+                    found = true;
+                    break;
+                }
+            }
+        }
+
+        if (!found) {
+            active[activeIndex] = active[active.length - 1];
+            active.pop();
+        }
+    }
+
+    return points.slice(0, maxPoints);
+}
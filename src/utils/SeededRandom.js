@@ -0,0 +1,67 @@
+/**
+ * SeededRandom - Deterministischer Zufallsgenerator (Mulberry32)
+ * Verantwortlichkeiten:
+ * - Reproduzierbare Zufallszahlen aus einem Seed (Zahl oder String)
+ * - Hilfsfunktionen für Bereiche, Auswahl und Wahrscheinlichkeiten
+ * - Unabhängige Teil-Streams pro Generierungsschritt (fork)
+ */
+export class SeededRandom {
+    constructor(seed = 1) {
+        this.setSeed(seed);
+    }
+    
+    setSeed(seed) {
+        this.seed = SeededRandom.hashSeed(seed);
+        this.state = this.seed;
+    }
+    
+    // Zahlen direkt übernehmen, Strings per FNV-1a hashen
+    static hashSeed(seed) {
+        if (typeof seed === 'number' && Number.isFinite(seed)) {
+            return seed >>> 0;
+        }
+        
+        const text = String(seed);
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+    
+    // Gleichverteilte Zahl in [0, 1)
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+    
+    range(min, max) {
+        return min + (max - min) * this.next();
+    }
+    
+    // Ganzzahl in [min, max] (inklusive)
+    int(min, max) {
+        return Math.floor(this.range(min, max + 1));
+    }
+    
+    pick(array) {
+        return array[Math.floor(this.next() * array.length)];
+    }
+    
+    chance(probability) {
+        return this.next() < probability;
+    }
+    
+    sign() {
+        return this.next() < 0.5 ? -1 : 1;
+    }
+    
+    // Eigener Stream pro Schritt: Änderungen an einem Schritt verschieben die anderen nicht
+    fork(label) {
+        return new SeededRandom(`${this.seed}:${label}`);
+    }
+}
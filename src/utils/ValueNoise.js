@@ -0,0 +1,70 @@
+/**
+ * ValueNoise - Geseedetes 2D Value Noise mit fraktaler Überlagerung (fBm)
+ * Verantwortlichkeiten:
+ * - Glattes, reproduzierbares Rauschen für Terrain und Verteilungen
+ * - Oktaven-Summe für natürlich wirkende Hügel
+ *
+ * Werte liegen ungefähr im Bereich [-1, 1].
+ */
+export class ValueNoise {
+    constructor(random, tableSize = 256) {
+        this.size = tableSize;
+        this.values = new Float32Array(tableSize);
+        this.permutation = new Uint16Array(tableSize * 2);
+
+        for (let i = 0; i < tableSize; i++) {
+            this.values[i] = random.range(-1, 1);
+            this.permutation[i] = i;
+        }
+
+        // Fisher-Yates mit dem übergebenen Seed
+        for (let i = tableSize - 1; i > 0; i--) {
+            const j = Math.floor(random.next() * (i + 1));
+            [this.permutation[i], this.permutation[j]] = [this.permutation[j], this.permutation[i]];
+        }
+        for (let i = 0; i < tableSize; i++) {
+            this.permutation[tableSize + i] = this.permutation[i];
+        }
+    }
+
+    lattice(ix, iz) {
+        const mask = this.size - 1;
+        return this.values[this.permutation[this.permutation[ix & mask] + (iz & mask)]];
+    }
+
+    noise(x, z) {
+        const ix = Math.floor(x);
+        const iz = Math.floor(z);
+        const fx = x - ix;
+        const fz = z - iz;
+
+        // Smootherstep für stetige Ableitungen an den Gitterpunkten
+        const sx = fx * fx * fx * (fx * (fx * 6 - 15) + 10);
+        const sz = fz * fz * fz * (fz * (fz * 6 - 15) + 10);
+
+        const a = this.lattice(ix, iz);
+        const b = this.lattice(ix + 1, iz);
+        const c = this.lattice(ix, iz + 1);
+        const d = this.lattice(ix + 1, iz + 1);
+
+        const top = a + (b - a) * sx;
+        const bottom = c + (d - c) * sx;
+        return top + (bottom - top) * sz;
+    }
+
+    fbm(x, z, octaves = 4, lacunarity = 2, gain = 0.5) {
+        let sum = 0;
+        let amplitude = 1;
+        let frequency = 1;
+        let normalization = 0;
+
+        for (let i = 0; i < octaves; i++) {
+            sum += this.noise(x * frequency, z * frequency) * amplitude;
+            normalization += amplitude;
+            amplitude *= gain;
+            frequency *= lacunarity;
+        }
+
+        return sum / normalization;
+    }
+}